@@ -7,7 +7,7 @@
  * Features:
  * - Ultra quality volumetric atmospheric effects
  * - Adaptive performance optimization (auto-quality adjustment)
- * - Secure Hugging Face AI integration via serverless API
+ * - AI fact generation via serverless, OpenAI-compatible or local model backends
  * - Mobile-optimized touch controls
  * - Real-time shader transformations between tunnel/singularity effects
  * - Educational cosmic facts with physics explanations
@@ -15,13 +15,49 @@
  * Performance Optimizations:
  * - Reduced shader iterations (75 max vs 150)
  * - Optimized FBM noise (4 octaves max vs 8)
- * - Adaptive quality based on FPS monitoring
+ * - Adaptive render scale and quality based on p95 frame time
  * - Mobile-specific optimizations and throttling
  * ============================================================================
  */
 
 import * as THREE from 'three';
 import { GUI } from 'lil-gui';
+import { VRButton } from 'three/addons/webxr/VRButton.js';
+import {
+    getScene,
+    getSceneIndex,
+    getNextSceneIndex,
+    getTransitionEffect,
+    getSceneTopics,
+    collectSceneUniforms,
+    selectShaderVariant
+} from './src/scenes/index.js';
+import { createSceneMaterialCache } from './src/render/scene-materials.js';
+import { QUALITY_LEVELS, getQualityProfile } from './src/render/quality.js';
+import { createAdaptiveResolution } from './src/render/adaptive-resolution.js';
+import { createFrameProfiler } from './src/profiler/frame-profiler.js';
+import { createProfilerOverlay } from './src/profiler/overlay.js';
+import { createSceneClock } from './src/animation/clock.js';
+import { createTransitionMachine } from './src/animation/transition-machine.js';
+import { createTimeline } from './src/animation/timeline.js';
+import { createFlightControls } from './src/input/flight-controls.js';
+import { AUDIO_SOURCES, createAudioAnalyser } from './src/audio/analyser.js';
+import { createSoundscape } from './src/audio/soundscape.js';
+import { createNarrator, splitSentences } from './src/audio/narrator.js';
+import { openStorage } from './src/storage/db.js';
+import { createFactLibrary, getFactId } from './src/storage/fact-library.js';
+import { createViewHistory } from './src/storage/history.js';
+import { createSettings } from './src/storage/settings.js';
+import { PROVIDER_IDS, getProvider, getDefaultProviderOptions } from './src/ai/providers/index.js';
+import { escapeHTML } from './src/ai/fact-validation.js';
+import { createFactPipeline, getFactCacheKey } from './src/ai/fact-pipeline.js';
+import { createTopicScheduler, normaliseTopic } from './src/ai/topic-scheduler.js';
+import { generateStaticFact } from './src/ai/static-facts.js';
+import { createQuiz } from './src/quiz/quiz.js';
+import { detectLocale, getFactText, getLocale, getLocaleNames, setLocale, t } from './src/i18n/index.js';
+import { EXPORT_FORMATS, exportClip } from './src/export/clip-exporter.js';
+import { MAX_STILL_SIZE, captureTiledStill } from './src/export/still-capture.js';
+import { downloadBlob } from './src/export/download.js';
 
 // =============================================================================
 // GLOBAL VARIABLES & CONFIGURATION
@@ -29,37 +65,95 @@ import { GUI } from 'lil-gui';
 
 // --- Core Application Variables ---
 let camera, scene, renderer;
-let material;
-let is_transitioning = false;
-let shader_index = 0;
+let mesh, sceneMaterials;
+let adaptiveResolution;
+let profiler, profilerOverlay;
+let flightControls; // Pointer-driven view direction, roll and speed
+let audioAnalyser; // Mic / file FFT bands for the audio-reactive mode
+let soundscape; // Generative ambience following the scene on screen
+let narrator; // Reads facts aloud (see src/audio/narrator.js)
+let transitions; // Transition state machine, owns the active scene index
 let isMobile = false;
 let qualityLevel = 'high'; // 'low', 'medium', 'high', 'ultra'
+let qualityProfile = null; // Shader loop bounds for qualityLevel
 let batteryMode = false;
-let lastFrameTime = 0;
-let frameCount = 0;
-let fps = 60;
+let lastRenderTime = 0;
+let lastPerformanceCheck = 0;
+
+// --- Animation Timing ---
+// Shaders and transitions run on scene time so clips can be rendered offline
+const sceneClock = createSceneClock();
+let isExporting = false;
+let exportCancelRequested = false;
+let timeline = null;
+
+// --- Timeline Journeys ---
+const TIMELINE_LIBRARY = {
+    'Journey to the Singularity': 'assets/timelines/singularity-journey.json'
+};
 
 // --- Touch Gesture Variables ---
 let touchStartX = 0;
 let touchStartY = 0;
 let isSwipeDetected = false;
+let isMultiTouch = false; // Two-finger gestures belong to the flight controls
 
 // --- Educational Content Variables ---
 let educationalPanel = null;
 let currentFactIndex = 0;
 let isLoadingFact = false;
-let factCache = new Map();
+let factRequest = null; // AbortController of the generation in flight
+let factCache = new Map(); // getFactCacheKey(topic, variant) -> fact
+let topicScheduler = null; // Picks the next topic (see src/ai/topic-scheduler.js)
+let factContextId = null; // Scene (or warp) whose facts the panel is following
+const sceneFactVisits = new Map(); // Scene id -> linked facts surfaced so far
+let factLibrary = null; // Stored copy of generated facts (and favourites)
+let viewHistory = null; // Facts the user has read
+let lastViewedFactId = null; // Re-renders of the same fact aren't new views
+let favouriteFactIds = new Set();
+const FACT_CACHE_TTL = 24 * 60 * 60 * 1000; // Stored facts answer their topic for a day
+let quiz = null; // Questions from the facts, with score (see src/quiz/quiz.js)
+let quizPanel = null;
+const QUIZ_EDGE_WIDTH = 40; // Swiping in from this close to the right edge opens the quiz
+let isNarrating = false; // Narration switched on; it follows the fact on screen
+let narratedFactId = null;
+let narrationSentence = null; // { section, index } being spoken
+let narrationHeld = false; // Paused for a transition, not by the user
+let narrationAdvanceTimer = null;
+const NARRATION_ADVANCE_DELAY = 1500; // Pause before auto-advancing to the next fact
+
+// --- Persisted Settings ---
+// GUI choices restored on startup (see src/storage/); null means "auto"
+let settings = null;
+const SETTINGS_DEFAULTS = {
+    quality: null,
+    batteryMode: null,
+    profilerOverlay: false,
+    transitionSpeed: 1.0,
+    steering: true,
+    autopilotDelay: 4,
+    soundEnabled: true,
+    soundVolume: 0.5,
+    audioGain: 1.0,
+    audioTwist: 1.0,
+    audioGlow: 1.0,
+    audioWarp: 1.0,
+    topicScheduler: null, // Topic coverage and pinned syllabus
+    sceneFacts: true, // Panel and generation follow the scene on screen
+    quizStats: null, // Best quiz streak
+    language: null, // null follows the browser (see src/i18n/)
+    narrationVoice: '', // Browser default
+    narrationRate: 1.0,
+    narrationAutoAdvance: true,
+    aiProvider: 'serverless',
+    aiProviderOptions: {} // Endpoint / model overrides per provider (never API keys)
+};
 
 // --- AI Configuration & Integration ---
 const AI_CONFIG = {
-    // Secure API endpoint (deployed separately on Vercel/Netlify)
-    // Update this URL when you deploy your serverless function
-    serverlessEndpoint: 'https://cosmic-wanderer-eosin.vercel.app/api/generate-fact', // CHANGE THIS TO YOUR DEPLOYED URL
-    
-    // Alternative: Auto-detect based on current domain
-    // serverlessEndpoint: window.location.hostname.includes('github.io') 
-    //     ? 'https://your-cosmic-api.vercel.app/api/generate-fact'  // Production API
-    //     : '/api/generate-fact',  // Local development
+    // Fact backend (see src/ai/providers/) and its editable endpoint/model/key
+    provider: 'serverless',
+    providerOptions: getDefaultProviderOptions(),
     
     // Mode selection: 'api' for serverless only, 'hybrid' for API + static fallback
     mode: 'hybrid', 
@@ -70,23 +164,29 @@ const AI_CONFIG = {
         isWorking: false,
         errorCount: 0,
         usingFallback: false,
-        hasServerlessAPI: false
+        providerAvailable: false,
+        lastRejection: null // Why the last malformed fact was refused
     },
     
-    // Rate limiting for API calls (OpenRouter has generous limits)
+    // Rate limiting for API calls
     rateLimit: {
-        maxCallsPerMinute: 20, // Increased for OpenRouter
+        maxCallsPerMinute: 20,
         callHistory: [],
         lastReset: Date.now()
     },
     
-    // CORS handling for cross-origin requests (GitHub Pages -> Vercel API)
-    corsMode: 'cors',
-    credentials: 'omit',  // Don't send cookies cross-origin
-    
-    // OpenRouter configuration
-    timeout: 30000, // Increased to 30 seconds for OpenRouter's slower models
+    // Request timeout (providers may override) and retries
+    timeout: 30000, // Some hosted models are slow to answer
     retryAttempts: 2,
+    retryDelay: 2000, // Base backoff before retrying within one request
+    
+    // Stop calling a failing provider for a while (see src/ai/circuit-breaker.js)
+    circuitBreaker: {
+        failureThreshold: 5,
+        baseDelay: 5000,
+        maxDelay: 5 * 60 * 1000,
+        jitter: 0.5
+    },
     
     // Topics for AI fact generation
     cosmicTopics: [
@@ -111,7 +211,6 @@ const AI_CONFIG = {
         'solar wind and heliosphere',
         'planetary rings and moons',
         'stellar nurseries and nebulae',
-        'cosmic microwave background',
         'Hawking radiation',
         'solar system formation',
         'galactic collisions',
@@ -123,15 +222,31 @@ const AI_CONFIG = {
     ]
 };
 
+// Cache, rate limit, provider calls and curated fallback (see src/ai/)
+const factPipeline = createFactPipeline(AI_CONFIG, {
+    cache: factCache,
+    isOnline: () => navigator.onLine,
+    getOfflineFact: (topic, locale) => getOfflineFact(topic, locale),
+    onFact: (fact, topic) => rememberFact(fact, topic),
+    onRetry: (attempt) => showFactLoadingStateWithRetry(attempt)
+});
+
 // --- Shader Uniforms ---
 const uniforms = {
     time: { value: 0.0 },
     resolution: { value: new THREE.Vector2() },
+    tile_offset: { value: new THREE.Vector2() },
     transition_progress: { value: 0.0 },
     interstellar_mix: { value: 0.0 },
-    quality_factor: { value: 1.0 },
-    iteration_count: { value: 100.0 },
-    detail_level: { value: 1.0 }
+    detail_level: { value: 1.0 },
+    view_rotation: { value: new THREE.Matrix3() },
+    view_angles: { value: new THREE.Vector3() },
+    view_travel: { value: 0.0 },
+    audio_bass: { value: 0.0 },
+    audio_mid: { value: 0.0 },
+    audio_treble: { value: 0.0 },
+    audio_beat: { value: 0.0 },
+    ...collectSceneUniforms()
 };
 
 // =============================================================================
@@ -139,38 +254,29 @@ const uniforms = {
 // =============================================================================
 
 // --- Educational Content Data ---
+// Curated facts by id (their English title); the text comes from the locale
+// bundle (see src/i18n/locales/), scenes link them to what's on screen
 const cosmicFacts = [
-    {
-        title: "Black Holes",
-        content: "Black holes are regions of spacetime where gravity is so strong that nothing, not even light, can escape once it crosses the event horizon.",
-        physics: "The visualization shows how matter spirals into a black hole, creating an accretion disk that glows from intense heat and friction. In Ultra mode, volumetric atmospheric effects simulate the superheated plasma and gas clouds surrounding these cosmic monsters."
-    },
-    {
-        title: "Wormholes",
-        content: "Theoretical passages through spacetime that could create shortcuts between distant regions of the universe.",
-        physics: "The tunnel effect demonstrates how spacetime might bend to connect two distant points, as predicted by Einstein's general relativity. Ultra quality adds realistic atmospheric scattering to show how light would behave in such exotic spacetime geometries."
-    },
-    {
-        title: "Gravitational Lensing",
-        content: "Massive objects bend light around them, creating distorted or multiple images of distant objects.",
-        physics: "The warping effects you see represent how gravity curves spacetime, affecting the path of light rays. The enhanced atmospheric effects in Ultra mode show how interstellar medium would be affected by these gravitational fields."
-    },
-    {
-        title: "Cosmic Microwave Background",
-        content: "The afterglow of the Big Bang, visible throughout the universe as faint radiation.",
-        physics: "The chaotic patterns represent quantum fluctuations from the early universe that eventually formed galaxies and stars. Ultra mode's volumetric clouds simulate the primordial plasma that filled the early cosmos."
-    },
-    {
-        title: "Dark Matter",
-        content: "Invisible matter that makes up about 27% of the universe, only detectable through its gravitational effects.",
-        physics: "The invisible forces shaping the visual patterns represent how dark matter influences the structure of the cosmos. The atmospheric effects in Ultra quality visualize how dark matter might interact with the cosmic web of matter and energy."
-    },
-    {
-        title: "Atmospheric Scattering",
-        content: "The physics behind why we see blue skies and red sunsets - light scattering off particles in the atmosphere.",
-        physics: "Ultra mode implements real Rayleigh and Mie scattering equations, the same physics that creates Earth's sky colors. Blue light scatters more than red, creating the spectacular atmospheric effects you see."
+    { id: 'black holes', scenes: ['singularity'] },
+    { id: 'wormholes', scenes: ['tunnel'] },
+    { id: 'gravitational lensing', scenes: ['tunnel'] },
+    { id: 'cosmic microwave background' },
+    { id: 'dark matter' },
+    { id: 'atmospheric scattering' },
+    { id: 'accretion disks', scenes: ['singularity'] },
+    { id: 'time dilation', scenes: ['warp'] },
+    { id: 'length contraction', scenes: ['warp'] }
+].map(fact => ({ ...fact, ...getFactText(fact.id) }));
+
+// Generated and restored facts are added in front of these
+const STATIC_FACT_COUNT = cosmicFacts.length;
+
+// Re-read the curated facts' text once the locale is known
+function localiseCuratedFacts() {
+    for (const fact of cosmicFacts.slice(-STATIC_FACT_COUNT)) {
+        Object.assign(fact, getFactText(fact.id), { locale: getLocale() });
     }
-];
+}
 
 // =============================================================================
 // DEVICE DETECTION & PERFORMANCE
@@ -184,6 +290,7 @@ function detectMobile() {
     // Detect battery API for power-conscious rendering
     if ('getBattery' in navigator) {
         navigator.getBattery().then(battery => {
+            if (settings.get('batteryMode') !== null) return; // User chose explicitly
             batteryMode = battery.level < 0.3 || !battery.charging;
             if (batteryMode) {
                 qualityLevel = 'low';
@@ -196,46 +303,21 @@ function detectMobile() {
 }
 
 // --- Quality Settings ---
+// Each tier selects compiled shader variants with its own loop bounds
+// (see src/render/quality.js)
 function updateQualitySettings() {
-    const wasUltra = uniforms.detail_level.value >= 2.0;
-    
-    // More aggressive performance optimization
-    switch(qualityLevel) {
-        case 'low':
-            uniforms.quality_factor.value = 0.25;
-            uniforms.iteration_count.value = isMobile ? 15.0 : 25.0;
-            uniforms.detail_level.value = 0.3;
-            break;
-        case 'medium':
-            uniforms.quality_factor.value = 0.5;
-            uniforms.iteration_count.value = isMobile ? 25.0 : 40.0;
-            uniforms.detail_level.value = 0.6;
-            break;
-        case 'high':
-            uniforms.quality_factor.value = 0.8;
-            uniforms.iteration_count.value = isMobile ? 40.0 : 60.0;
-            uniforms.detail_level.value = 0.8;
-            break;
-        case 'ultra':
-            uniforms.quality_factor.value = 1.0;
-            uniforms.iteration_count.value = isMobile ? 50.0 : 75.0; // Reduced from 150
-            uniforms.detail_level.value = 1.5; // Reduced from 2.0
-            break;
-    }
-    
     // Adaptive quality based on screen size and device
     const screenArea = window.innerWidth * window.innerHeight;
     const isHighRes = screenArea > 2073600; // 1920x1080
     
-    if (isHighRes && !isMobile) {
-        // Scale down quality for high resolution displays
-        uniforms.quality_factor.value *= 0.7;
-        uniforms.iteration_count.value *= 0.8;
-    }
+    qualityProfile = getQualityProfile(qualityLevel, { isMobile, isHighRes });
+    uniforms.detail_level.value = qualityProfile.detailLevel;
     
-    // Add resolution-based scaling
-    const resolutionScale = Math.min(1.0, 1920 / window.innerWidth);
-    uniforms.quality_factor.value *= resolutionScale;
+    // Materials are created lazily; before init() the profile is just stored
+    if (sceneMaterials) {
+        sceneMaterials.setQuality(qualityProfile);
+        warmUpTransitionVariants();
+    }
 }
 
 // --- Touch Gesture Handling ---
@@ -244,15 +326,20 @@ function setupTouchGestures() {
     
     canvas.addEventListener('touchstart', (e) => {
         e.preventDefault();
+        if (e.touches.length > 1) {
+            isMultiTouch = true;
+            return;
+        }
         const touch = e.touches[0];
         touchStartX = touch.clientX;
         touchStartY = touch.clientY;
         isSwipeDetected = false;
+        isMultiTouch = false;
     }, { passive: false });
     
     canvas.addEventListener('touchmove', (e) => {
         e.preventDefault();
-        if (isSwipeDetected) return;
+        if (isSwipeDetected || isMultiTouch) return;
         
         const touch = e.touches[0];
         const deltaX = touch.clientX - touchStartX;
@@ -264,7 +351,10 @@ function setupTouchGestures() {
             
             if (Math.abs(deltaX) > Math.abs(deltaY)) {
                 // Horizontal swipe
-                if (deltaX > 0) {
+                if (deltaX < 0 && touchStartX > window.innerWidth - QUIZ_EDGE_WIDTH) {
+                    // Swipe in from the right edge - quiz
+                    toggleQuizPanel();
+                } else if (deltaX > 0) {
                     // Swipe right - next fact
                     showNextFact();
                 } else {
@@ -292,6 +382,7 @@ function setupTouchGestures() {
     // Double tap for quality toggle
     let lastTap = 0;
     canvas.addEventListener('touchend', (e) => {
+        if (isMultiTouch) return;
         const currentTime = Date.now();
         const tapLength = currentTime - lastTap;
         if (tapLength < 500 && tapLength > 0) {
@@ -332,82 +423,123 @@ function createEducationalPanel() {
 // =============================================================================
 
 // --- AI Fact Generation Functions ---
-async function generateCosmicFact(topic = null) {
+// request: { topic, variant } from scheduleTopic()
+async function generateCosmicFact({ topic, variant = 0 }) {
     if (isLoadingFact) return null;
     
     isLoadingFact = true;
+    const request = new AbortController();
+    factRequest = request;
     showFactLoadingState();
     
-    // Safety timeout to prevent getting stuck
-    const safetyTimeout = setTimeout(() => {
-        console.log('Safety timeout: Forcing end of loading state');
-        isLoadingFact = false;
-        hideFactLoadingState();
-        showDetailedNotification(
-            '⚠️ Generation Timeout', 
-            'Taking longer than expected. Using curated content instead.',
-            3000
-        );
-    }, 45000); // 45 second safety timeout
+    // Safety timeout to prevent getting stuck (streamed progress re-arms it)
+    let safetyTimeout = null;
+    const armSafetyTimeout = () => {
+        clearTimeout(safetyTimeout);
+        safetyTimeout = setTimeout(() => {
+            console.log('Safety timeout: Forcing end of loading state');
+            isLoadingFact = false;
+            hideFactLoadingState();
+            showDetailedNotification(
+                t('notify.generationTimeout'), 
+                t('notify.generationTimeout.details'),
+                3000
+            );
+        }, 45000); // 45 second safety timeout
+    };
+    armSafetyTimeout();
+    
+    // Render sections into the panel as they stream in
+    const onPartial = (partial) => {
+        armSafetyTimeout();
+        showStreamingFact(partial);
+    };
     
     try {
-        // Select random topic if none provided
-        if (!topic) {
-            topic = AI_CONFIG.cosmicTopics[Math.floor(Math.random() * AI_CONFIG.cosmicTopics.length)];
-        }
-        
-        console.log('Starting fact generation for topic:', topic);
-        
-        // Check cache first
-        if (factCache.has(topic)) {
-            console.log('Using cached fact for topic:', topic);
-            const cachedFact = factCache.get(topic);
-            clearTimeout(safetyTimeout);
-            isLoadingFact = false;
-            return cachedFact;
-        }
-        
-        // Generate prompt for cosmic fact
-        const prompt = createCosmicFactPrompt(topic);
-        console.log('Generated prompt, calling API...');
-        
-        // Try different free APIs
-        let fact = await tryGenerateWithFreeAPIs(prompt, topic);
-        
-        console.log('API response received:', fact ? 'Success' : 'Failed');
-        
-        if (fact) {
-            // Cache the generated fact
-            factCache.set(topic, fact);
-            clearTimeout(safetyTimeout);
-            console.log('Fact generated successfully:', fact.title);
-            return fact;
-        } else {
-            // Fallback to enhanced static facts
-            console.log('API failed, using enhanced static fact');
-            clearTimeout(safetyTimeout);
-            return generateEnhancedStaticFact(topic);
+        const fact = await factPipeline.generateFact(topic, { variant, locale: getLocale(), signal: request.signal, onPartial });
+        if (!fact) {
+            console.log('Fact generation cancelled');
+            return null;
         }
+        console.log('Fact ready:', fact.title, `(${fact.source})`);
+        return fact;
         
     } catch (error) {
         console.warn('AI fact generation failed, using enhanced static content:', error);
-        clearTimeout(safetyTimeout);
-        return generateEnhancedStaticFact(topic);
+        return generateStaticFact(topic, getLocale());
     } finally {
         isLoadingFact = false;
+        if (factRequest === request) factRequest = null;
         hideFactLoadingState();
         clearTimeout(safetyTimeout);
         console.log('Fact generation process completed');
     }
 }
 
-function createCosmicFactPrompt(topic) {
-    return `Generate a fascinating space fact about ${topic}. 
-    Format: Title: [Short Title]
-    Content: [2-3 sentences of engaging description suitable for general audience]
-    Physics: [1-2 sentences explaining the scientific principles involved]
+// --- Topic Scheduling ---
+// Coverage carries over between sessions; a syllabus can also be pinned
+// from a shared link, e.g. ?syllabus=black holes,neutron stars,quasars
+function setupTopicScheduler() {
+    topicScheduler = createTopicScheduler(AI_CONFIG.cosmicTopics, {
+        state: settings.get('topicScheduler')
+    });
     
-    Make it educational but captivating, suitable for a cosmic visualization app. Focus on real science.`;
+    const linkedSyllabus = new URLSearchParams(window.location.search).get('syllabus');
+    if (linkedSyllabus) {
+        topicScheduler.setSyllabus(linkedSyllabus.split(','));
+        saveTopicScheduler();
+    }
+    
+    topicScheduler.on('syllabuscomplete', ({ total }) => {
+        showDetailedNotification(t('notify.syllabusComplete'), t('notify.syllabusComplete.details', { total }), 4000);
+    });
+}
+
+function saveTopicScheduler() {
+    settings.set('topicScheduler', topicScheduler.getState());
+}
+
+// The next topic to show, or a visit to a specific one
+function scheduleTopic(topic = null) {
+    const request = topic ? topicScheduler.visit(topic) : topicScheduler.next({ prefer: getContextTopics() });
+    saveTopicScheduler();
+    return request;
+}
+
+// --- Scene-Linked Facts ---
+// The panel follows what's on screen: the scene while idle, the warp effect
+// while a transformation is under way
+function getFactContextScene() {
+    return transitions.isIdle() ? getScene(transitions.getScene()) : getTransitionEffect();
+}
+
+// Curated facts are tagged with scene ids, generated ones match by topic
+function isSceneFact(fact, scene) {
+    return Boolean(fact.scenes?.includes(scene.id)) ||
+        getSceneTopics(scene).map(normaliseTopic).includes(fact.topic);
+}
+
+// Topics generation leans toward; none when scene-linked facts are off
+function getContextTopics() {
+    return settings.get('sceneFacts') ? getSceneTopics(getFactContextScene()) : [];
+}
+
+// Show a fact about the new context when the scene on screen changes
+function updateFactContext() {
+    if (!settings.get('sceneFacts') || isExporting) return;
+    const scene = getFactContextScene();
+    if (scene.id === factContextId) return;
+    factContextId = scene.id;
+    if (isLoadingFact || isSceneFact(cosmicFacts[currentFactIndex], scene)) return;
+    
+    const linked = cosmicFacts.flatMap((fact, index) => (isSceneFact(fact, scene) ? [index] : []));
+    if (linked.length === 0) return;
+    
+    // Rotate, so coming back to a scene brings its next fact
+    const visits = sceneFactVisits.get(scene.id) || 0;
+    sceneFactVisits.set(scene.id, visits + 1);
+    currentFactIndex = linked[visits % linked.length];
+    updateEducationalContent();
 }
 
 // --- Enhanced Educational Panel Functions ---
@@ -417,37 +549,56 @@ async function generateNewFact() {
         return;
     }
     
-    const newFact = await generateCosmicFact();
+    const request = scheduleTopic();
+    const newFact = await generateCosmicFact(request);
     if (newFact) {
-        // Add to the beginning of the facts array
-        cosmicFacts.unshift(newFact);
-        currentFactIndex = 0;
+        newFact.topic ??= request.topic; // Links it to scenes about the topic
+        // Add to the beginning of the facts array, or jump to it if it's
+        // already there (cached and library facts)
+        const existingIndex = cosmicFacts.findIndex(fact => fact.title.toLowerCase() === newFact.title.toLowerCase());
+        if (existingIndex !== -1) {
+            currentFactIndex = existingIndex;
+        } else {
+            cosmicFacts.unshift(newFact);
+            currentFactIndex = 0;
+        }
         updateEducationalContent();
         
         if (educationalPanel.style.transform !== 'translateY(0px)') {
             toggleEducationalPanel();
         }
+    } else {
+        // Cancelled: put the current fact back
+        updateEducationalContent();
     }
 }
 
+// Stop an in-flight generation, mid-stream included
+function cancelFactGeneration() {
+    if (!factRequest) return;
+    factRequest.abort(new DOMException('Fact generation cancelled', 'AbortError'));
+}
+
 // Force refresh function if generation gets stuck
 function forceRefreshFacts() {
     console.log('Force refreshing fact generation system');
     
     // Reset all loading states
+    cancelFactGeneration();
     isLoadingFact = false;
     hideFactLoadingState();
     
-    // Reset API status
+    // Reset API status and let requests through again
     AI_CONFIG.apiStatus.errorCount = 0;
     AI_CONFIG.apiStatus.usingFallback = false;
+    factPipeline.breaker.reset();
     
     // Show current fact or generate new one
     updateEducationalContent();
     
     showDetailedNotification(
-        '🔄 System Refreshed', 
-        'Fact generation system has been reset.\nTry generating a new fact now!',
+        t('notify.refreshed'), 
+        t('notify.refreshed.details'),
         3000
     );
 }
@@ -456,20 +607,42 @@ function updateEducationalContent() {
     if (!educationalPanel || isLoadingFact) return;
     
     const fact = cosmicFacts[currentFactIndex];
+    const isFavourite = favouriteFactIds.has(getFactId(fact));
+    
+    // Sentences are wrapped so narration can highlight them
+    const title = renderSentences(fact.title, 'title');
+    const content = renderSentences(fact.content, 'content');
+    const physics = renderSentences(fact.physics, 'physics');
     
     educationalPanel.innerHTML = `
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-            <h3 style="margin: 0; color: #64b5f6;">${fact.title}</h3>
+            <h3 style="margin: 0; color: #64b5f6;">${title}</h3>
+            <div style="white-space: nowrap;">
+                <button id="narration-button" onclick="toggleNarration()" title="${t('panel.readAloud')}" style="
+                    background: none;
+                    border: none;
+                    color: #64b5f6;
+                    font-size: 18px;
+                    cursor: pointer;
+                ">${isNarrating ? '⏹' : '🔊'}</button>
+                <button onclick="toggleFavouriteFact()" title="${t('panel.favourite')}" style="
+                    background: none;
+                    border: none;
+                    color: #ffd54f;
+                    font-size: 18px;
+                    cursor: pointer;
+                ">${isFavourite ? '★' : '☆'}</button>
+            </div>
         </div>
-        <p style="margin: 0 0 15px 0; line-height: 1.5;">${fact.content}</p>
+        <p style="margin: 0 0 15px 0; line-height: 1.5;">${content}</p>
         <div style="border-top: 1px solid rgba(255,255,255,0.2); padding-top: 15px;">
-            <h4 style="margin: 0 0 8px 0; color: #81c784;">Physics Explanation:</h4>
-            <p style="margin: 0; line-height: 1.4; font-size: 0.9em;">${fact.physics}</p>
+            <h4 style="margin: 0 0 8px 0; color: #81c784;">${t('panel.physics')}</h4>
+            <p style="margin: 0; line-height: 1.4; font-size: 0.9em;">${physics}</p>
         </div>
         <div style="margin-top: 15px; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.1);">
             <div style="display: flex; justify-content: space-between; align-items: center;">
                 <div style="font-size: 0.8em; color: #bbb;">
-                    ${currentFactIndex + 1} / ${cosmicFacts.length} facts
+                    ${t('panel.factCount', { index: currentFactIndex + 1, total: cosmicFacts.length })}
                 </div>
                 <button onclick="generateNewFact()" style="
                     background: linear-gradient(45deg, #64b5f6, #81c784);
@@ -481,7 +654,7 @@ function updateEducationalContent() {
                     cursor: pointer;
                     font-weight: bold;
                     margin-right: 5px;
-                ">✨ Generate Fact</button>
+                ">${t('panel.generate')}</button>
                 <button onclick="forceRefreshFacts()" style="
                     background: linear-gradient(45deg, #ff9800, #f57c00);
                     border: none;
@@ -491,24 +664,89 @@ function updateEducationalContent() {
                     font-size: 10px;
                     cursor: pointer;
                     font-weight: bold;
-                ">🔄 Refresh</button>
+                ">${t('panel.refresh')}</button>
             </div>
             <div style="margin-top: 8px; text-align: center; font-size: 0.7em; color: #888;">
-                Swipe left/right for more
+                ${t('panel.swipeHint')}
             </div>
         </div>
     `;
+    
+    recordFactView();
+    syncNarration();
+}
+
+// Fact text may come from a model or a remote endpoint: never markup
+function renderSentences(text, section) {
+    return splitSentences(text)
+        .map((sentence, index) => `<span data-sentence="${section}-${index}">${escapeHTML(sentence)}</span>`)
+        .join(' ');
 }
 
 // Make generateNewFact available globally
 window.generateNewFact = generateNewFact;
 window.forceRefreshFacts = forceRefreshFacts;
+window.toggleFavouriteFact = toggleFavouriteFact;
+window.cancelFactGeneration = cancelFactGeneration;
+window.toggleNarration = toggleNarration;
 
 function toggleEducationalPanel() {
     if (!educationalPanel) return;
     
     const isVisible = educationalPanel.style.transform === 'translateY(0px)';
     educationalPanel.style.transform = isVisible ? 'translateY(-100%)' : 'translateY(0px)';
+    if (isVisible) lastViewedFactId = null;
+    recordFactView();
+}
+
+// --- Favourites & History ---
+// Only facts actually on screen count as read
+function recordFactView() {
+    if (!viewHistory || educationalPanel.style.transform !== 'translateY(0px)') return;
+    const fact = cosmicFacts[currentFactIndex];
+    if (getFactId(fact) === lastViewedFactId) return;
+    lastViewedFactId = getFactId(fact);
+    viewHistory.recordView(fact)
+        .catch(error => console.warn('Could not record fact view:', error));
+}
+
+async function toggleFavouriteFact() {
+    const fact = cosmicFacts[currentFactIndex];
+    try {
+        const isFavourite = await factLibrary.toggleFavourite(fact);
+        if (isFavourite) {
+            favouriteFactIds.add(getFactId(fact));
+        } else {
+            favouriteFactIds.delete(getFactId(fact));
+        }
+        updateEducationalContent();
+        showDetailedNotification(t(isFavourite ? 'notify.favouriteAdded' : 'notify.favouriteRemoved'), fact.title);
+    } catch (error) {
+        console.warn('Could not update favourites:', error);
+    }
+}
+
+function showNextFavourite() {
+    for (let step = 1; step <= cosmicFacts.length; step++) {
+        const index = (currentFactIndex + step) % cosmicFacts.length;
+        if (favouriteFactIds.has(getFactId(cosmicFacts[index]))) {
+            currentFactIndex = index;
+            updateEducationalContent();
+            if (educationalPanel.style.transform !== 'translateY(0px)') {
+                toggleEducationalPanel();
+            }
+            return;
+        }
+    }
+    showDetailedNotification(t('notify.noFavourites'), t('notify.noFavourites.details'));
+}
+
+async function showRecentlyViewed() {
+    const recent = await viewHistory.getRecent(5);
+    const details = recent.length > 0
+        ? recent.map(entry => `📖 ${entry.title}${entry.views > 1 ? ` (×${entry.views})` : ''}`).join('\n')
+        : t('notify.recentlyViewed.empty');
+    showDetailedNotification(t('notify.recentlyViewed'), details, 4000);
 }
 
 function showNextFact() {
@@ -519,6 +757,22 @@ function showNextFact() {
     }
 }
 
+// Curated facts also answer to their id, so English titles in timeline
+// scripts find them in any language
+function showFactByTitle(title) {
+    const index = cosmicFacts.findIndex(fact => fact.title.toLowerCase() === title.toLowerCase() ||
+        getFactId(fact) === title.toLowerCase());
+    if (index === -1) {
+        console.warn('No fact titled:', title);
+        return;
+    }
+    currentFactIndex = index;
+    updateEducationalContent();
+    if (educationalPanel.style.transform !== 'translateY(0px)') {
+        toggleEducationalPanel();
+    }
+}
+
 function showPreviousFact() {
     currentFactIndex = (currentFactIndex - 1 + cosmicFacts.length) % cosmicFacts.length;
     updateEducationalContent();
@@ -528,29 +782,14 @@ function showPreviousFact() {
 }
 
 function cycleQuality() {
-    const qualities = ['low', 'medium', 'high', 'ultra'];
-    const currentIndex = qualities.indexOf(qualityLevel);
-    qualityLevel = qualities[(currentIndex + 1) % qualities.length];
+    const currentIndex = QUALITY_LEVELS.indexOf(qualityLevel);
+    qualityLevel = QUALITY_LEVELS[(currentIndex + 1) % QUALITY_LEVELS.length];
+    settings.set('quality', qualityLevel);
     updateQualitySettings();
     
     // Show enhanced quality notification with details
-    let message = `Quality: ${qualityLevel.toUpperCase()}`;
-    let details = '';
-    
-    switch(qualityLevel) {
-        case 'ultra':
-            details = '\n🌫️ Volumetric Atmosphere\n☁️ Multi-layer Clouds\n🌅 Physics-based Scattering\n✨ God Rays & Full-screen Effects';
-            break;
-        case 'high':
-            details = '\n🎯 Maximum Detail\n🔥 Enhanced Effects';
-            break;
-        case 'medium':
-            details = '\n⚖️ Balanced Performance';
-            break;
-        case 'low':
-            details = '\n⚡ Optimized Speed\n🔋 Battery Friendly';
-            break;
-    }
+    const message = t('notify.quality', { level: qualityLevel.toUpperCase() });
+    const details = `\n${t(`notify.quality.${qualityLevel}`)}`;
     
     showDetailedNotification(message, details, qualityLevel === 'ultra' ? 4000 : 2000);
 }
@@ -608,656 +847,1314 @@ function triggerTransformation() {
     transform_controls.transform();
 }
 
-// --- FPS Monitoring with Adaptive Quality ---
-function updateFPS(timestamp) {
-    frameCount++;
-    if (timestamp - lastFrameTime >= 1000) {
-        fps = frameCount;
-        frameCount = 0;
-        lastFrameTime = timestamp;
-        
-        // Adaptive quality reduction for poor performance
-        if (!batteryMode) {
-            if (fps < 25 && qualityLevel === 'ultra') {
-                qualityLevel = 'high';
-                updateQualitySettings();
-                showDetailedNotification('Auto Quality: High', '⚡ Reduced from Ultra for smoother performance');
-            } else if (fps < 20 && qualityLevel === 'high') {
-                qualityLevel = 'medium';
-                updateQualitySettings();
-                showDetailedNotification('Auto Quality: Medium', '⚡ Optimizing for better frame rate');
-            } else if (fps < 15 && qualityLevel === 'medium') {
-                qualityLevel = 'low';
-                updateQualitySettings();
-                showDetailedNotification('Auto Quality: Low', '⚡ Maximum optimization for stability');
-            }
+// --- Performance Monitoring with Adaptive Quality ---
+// Runs once a second on the profiler's p95 frame time (see src/profiler/)
+function updatePerformance(timestamp) {
+    if (timestamp - lastPerformanceCheck < 1000) return;
+    lastPerformanceCheck = timestamp;
+    
+    const frameTime = profiler.getStats().frameTime;
+    if (!frameTime || frameTime.count < 30) return;
+    
+    // Render scale absorbs most slowdowns; tiers only change once it is
+    // pinned at its limit (see src/render/adaptive-resolution.js)
+    const pressure = adaptiveResolution.getPressure(frameTime.p95, timestamp);
+    if (pressure === 'down' && qualityLevel !== 'low') {
+        if (batteryMode) {
+            applyAutoQuality('low', t('notify.batteryQuality.details'), t('notify.batteryQuality'));
+        } else if (qualityLevel === 'ultra') {
+            applyAutoQuality('high', t('notify.autoQuality.fromUltra'));
+        } else if (qualityLevel === 'high') {
+            applyAutoQuality('medium', t('notify.autoQuality.fromHigh'));
+        } else {
+            applyAutoQuality('low', t('notify.autoQuality.fromMedium'));
         }
-        
+    } else if (pressure === 'up' && !batteryMode) {
         // Auto-upgrade quality if performance is good
-        if (fps > 55 && qualityLevel === 'low' && !batteryMode) {
-            qualityLevel = 'medium';
-            updateQualitySettings();
-            showDetailedNotification('Auto Quality: Medium', '✨ Performance improved - upgrading quality');
-        } else if (fps > 58 && qualityLevel === 'medium' && !batteryMode) {
-            qualityLevel = 'high';
-            updateQualitySettings();
-            showDetailedNotification('Auto Quality: High', '✨ Excellent performance - upgrading quality');
-        }
-        
-        // Battery mode performance optimization
-        if (batteryMode && fps < 30 && qualityLevel !== 'low') {
-            qualityLevel = 'low';
-            updateQualitySettings();
-            showDetailedNotification('Battery Mode: Quality Reduced', '🔋 Optimizing for battery life');
+        if (qualityLevel === 'low') {
+            applyAutoQuality('medium', t('notify.autoQuality.improved'));
+        } else if (qualityLevel === 'medium') {
+            applyAutoQuality('high', t('notify.autoQuality.excellent'));
         }
     }
 }
 
+// message defaults to "Auto Quality: <level>"
+function applyAutoQuality(level, details, message = null) {
+    qualityLevel = level;
+    updateQualitySettings();
+    adaptiveResolution.resetPressure();
+    profiler.reset();
+    const levelName = level.charAt(0).toUpperCase() + level.slice(1);
+    showDetailedNotification(message || t('notify.autoQuality', { level: levelName }), details);
+}
+
 // =============================================================================
 // SHADER CODE & GRAPHICS
 // =============================================================================
 
 // --- Vertex Shader ---
+// The quad is emitted straight in clip space, so it fills the canvas or, in
+// VR, each eye's viewport. vEyeRay is the eye-space ray through the vertex,
+// used by XR shader variants to look in the direction of each pixel.
 const vertexShader = `
     varying vec2 vUv;
+    varying vec3 vEyeRay;
     void main() {
         vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+        vec4 eye = inverse(projectionMatrix) * vec4(position.xy, -1.0, 1.0);
+        vEyeRay = eye.xyz / eye.w;
     }
 `;
 
-// --- Shader Code (Performance Optimized) ---
-const volumetric_atmosphere_code = `
-    // Optimized atmospheric scattering
-    vec3 rayleigh_scattering(float cosTheta) {
-        return vec3(0.58, 1.35, 3.31) * (1.0 + cosTheta * cosTheta) * 0.06;
-    }
-    
-    vec3 mie_scattering(float cosTheta, float g) {
-        float g2 = g * g;
-        float num = (1.0 - g2);
-        float denom = pow(1.0 + g2 - 2.0 * g * cosTheta, 1.5);
-        return vec3(0.4) * num / denom;
-    }
+// --- Performance Transformation Function ---
+// Starts a transformation to the next scene, or turns the one in flight around
+function performTransformation() {
+    if (timeline?.isPlaying()) return;
     
-    // Optimized noise function
-    float noise3D(vec3 p) {
-        p = fract(p * 0.1031);
-        p += dot(p, p.yzx + 33.33);
-        return fract((p.x + p.y) * p.z);
+    if (transitions.isIdle()) {
+        transitions.start(getNextSceneIndex(transitions.getScene()));
+    } else {
+        transitions.reverse();
     }
+}
+
+// --- Transition State Machine ---
+// Phases are stepped by the render loop on scene time (see src/animation/)
+function setupTransitions() {
+    // Adjust transition speed based on device capability
+    const transition_duration = isMobile ? 2000 : 1500;
+    const interstellar_hold = isMobile ? 3000 : 2000;
     
-    // Much faster FBM with fewer octaves
-    float fbm(vec3 p, int octaves) {
-        float value = 0.0;
-        float amplitude = 0.5;
-        float frequency = 1.0;
-        
-        // Limit to maximum 4 octaves for performance
-        int maxOctaves = min(octaves, 4);
-        
-        for (int i = 0; i < 4; i++) {
-            if (i >= maxOctaves) break;
-            value += noise3D(p * frequency) * amplitude;
-            frequency *= 2.0;
-            amplitude *= 0.5;
+    transitions = createTransitionMachine({
+        uniforms,
+        durations: {
+            warp: transition_duration,
+            crossfade: transition_duration,
+            hold: interstellar_hold / 2
         }
-        return value;
-    }
+    });
     
-    vec4 get_volumetric_atmosphere(vec2 uv, vec3 rayDir, float time) {
-        vec3 sunDir = normalize(vec3(sin(time * 0.1), 0.8, cos(time * 0.1)));
-        float cosTheta = dot(rayDir, sunDir);
-        
-        // Simplified atmospheric density
-        float altitude = rayDir.y * 0.5 + 0.5;
-        float density = exp(-altitude * 3.0);
-        
-        // Single optimized cloud layer instead of 3
-        vec3 cloudPos = rayDir * 60.0 + vec3(time * 1.5, time * 0.3, time * 1.0);
-        float cloud = fbm(cloudPos * 0.015, 3); // Reduced from 6 octaves
-        cloud = smoothstep(0.4, 0.8, cloud);
-        
-        // Optional second layer only for ultra quality
-        float cloud2 = 0.0;
-        if (detail_level > 1.0) {
-            vec3 cloudPos2 = rayDir * 90.0 + vec3(time * -1.0, time * 0.2, time * 1.5);
-            cloud2 = fbm(cloudPos2 * 0.01, 2); // Reduced from 5 octaves
-            cloud2 = smoothstep(0.5, 0.9, cloud2) * 0.3;
-        }
-        
-        float totalCloud = cloud + cloud2;
-        
-        // Simplified scattering
-        vec3 rayleigh = rayleigh_scattering(cosTheta);
-        vec3 mie = mie_scattering(cosTheta, 0.76);
-        
-        // Simplified atmospheric coloring
-        vec3 horizonColor = vec3(1.0, 0.5, 0.2) * (1.0 - altitude);
-        vec3 zenithColor = vec3(0.2, 0.4, 0.9) * altitude;
-        vec3 skyColor = mix(horizonColor, zenithColor, altitude);
-        
-        // Simplified sun disk
-        float sunIntensity = max(0.0, 1.0 - distance(rayDir.xy, sunDir.xy) * 25.0);
-        vec3 sunColor = vec3(1.0, 0.9, 0.7) * sunIntensity * 10.0;
-        
-        // Combine effects more efficiently
-        vec3 scatteredLight = rayleigh * skyColor;
-        vec3 cloudColor = mix(vec3(0.9, 0.95, 1.0), vec3(1.0, 0.7, 0.4), sunIntensity);
-        
-        vec3 finalColor = scatteredLight + sunColor;
-        finalColor = mix(finalColor, cloudColor, totalCloud * density);
-        
-        // Simplified god rays
-        if (detail_level > 1.0) {
-            float godRays = pow(max(0.0, cosTheta), 6.0) * totalCloud * 0.3;
-            finalColor += vec3(1.0, 0.8, 0.6) * godRays;
-        }
-        
-        float alpha = density * (0.2 + totalCloud * 0.5);
-        return vec4(finalColor, alpha);
-    }
-`;
+    transitions.on('reverse', ({ to }) => {
+        console.log('Transformation reversed, heading back to:', getScene(to).name);
+    });
+    transitions.on('complete', ({ scene: index }) => {
+        console.log('Arrived at scene:', getScene(index).name);
+        warmUpTransitionVariants();
+    });
+    
+    // Warp starting / ending, and cuts from timelines
+    transitions.on('statechange', updateFactContext);
+    transitions.on('scenechange', updateFactContext);
+    transitions.on('statechange', holdNarrationDuringTransition);
+}
 
-const tunnel_shader_code = `
-    vec4 get_tunnel_color(vec2 u, float t) {
-        vec4 fragColor = vec4(0.0);
-        float d = 0.0;
-        for (float i = 0.0; i < 100.0; i++) {
-            vec3 p = vec3(u * d, d + t * 2.0);
-            float angle = p.z * 0.2;
-            p.xy *= mat2(cos(angle), -sin(angle), sin(angle), cos(angle));
-            float s = sin(p.y + p.x);
-            for (float n = 1.0; n < 32.0; n += n) {
-                s -= abs(dot(cos(0.3 * t + p * n), vec3(0.3))) / n;
-            }
-            s = 0.01 + abs(s) * 0.8;
-            d += s;
-            fragColor += vec4(0.1 / s);
-        }
-        
-        vec4 result = tanh(fragColor / 20000.0 / length(u));
-        
-        // Ultra quality: Add volumetric atmosphere overlay
-        if (detail_level >= 1.2) {
-            vec3 rayDir = normalize(vec3(u, 1.0));
-            vec4 atmosphere = get_volumetric_atmosphere(u, rayDir, t);
-            result = mix(result, atmosphere, atmosphere.a * 0.2);
-        }
-        
-        return result;
-    }
-`;
+// --- Shader Variant Selection ---
+// Only the scenes that contribute to the frame are compiled into the material
+function getActiveShaderVariant(xr = renderer.xr.isPresenting) {
+    return selectShaderVariant({
+        from: transitions.getScene(),
+        to: transitions.getTarget(),
+        transitionProgress: uniforms.transition_progress.value,
+        interstellarMix: uniforms.interstellar_mix.value,
+        xr
+    });
+}
+
+// Precompile the variants the next transformation will step through
+function warmUpTransitionVariants() {
+    const current_index = transitions.getScene();
+    const next_index = getNextSceneIndex(current_index);
+    const xr = renderer.xr.isPresenting;
+    sceneMaterials.warmUp(renderer, camera, [
+        { from: current_index, warp: true, xr },
+        { warp: true, xr },
+        { from: next_index, warp: true, xr },
+        { from: next_index, xr }
+    ]);
+}
+
+// --- Scene Stepping ---
+// Advance transitions, the piloted view and shader time to the scene clock's
+// current time
+function syncSceneTime() {
+    const deltaMs = sceneClock.getDelta() * 1000;
+    transitions.update(deltaMs);
+    flightControls.update(deltaMs);
+    uniforms.time.value = sceneClock.getTime();
+}
+
+// Offsets render one tile of a larger width × height frame
+function renderSceneTo(target, width, height, offsetX = 0, offsetY = 0) {
+    uniforms.resolution.value.set(width, height);
+    uniforms.tile_offset.value.set(offsetX, offsetY);
+    mesh.material = sceneMaterials.get(getActiveShaderVariant(false));
+    renderer.setRenderTarget(target);
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(null);
+    uniforms.tile_offset.value.set(0, 0);
+}
+
+// =============================================================================
+// CLIP EXPORT & STILL CAPTURE
+// =============================================================================
 
-const singularity_shader_code = `
-vec4 get_singularity_color(vec2 fragCoord, vec2 resolution, float time) {
-    float i = 0.2, a;
-    vec2 r = resolution,
-         p = (fragCoord + fragCoord - r) / r.y / 0.7,
-         d = vec2(-1,1),
-         b = p - i*d,
-         c = p * mat2(1, 1, d/(0.1 + i/dot(b,b))),
-         v = c * mat2(cos(0.5*log(a=dot(c,c)) + time*i + vec4(0,33,11,0)))/i,
-         w;
-    
-    for(; i<9.0; i++) {
-        w += 1.0+sin(v);
-        v += 0.7* sin(v.yx*i+time) / i + 0.5;
+// --- Deterministic Clip Export ---
+// Renders `duration` seconds at a fixed 1/fps step from `startTime`, firing
+// the scripted transformation when the clip reaches `transformAt` seconds.
+async function exportTransformationClip(options, onProgress) {
+    if (isExporting) return;
+    if (!transitions.isIdle()) {
+        showDetailedNotification(t('notify.exportWaiting'), t('notify.waitForTransition'));
+        return;
+    }
+    // A playing journey owns the uniforms and blocks the transformation cue,
+    // and the export steps scene time without it
+    if (timeline?.isPlaying()) {
+        showDetailedNotification(t('notify.exportWaiting'), t('notify.waitForTimeline'));
+        return;
     }
     
-    i = length( sin(v/0.3)*0.4 + c*(3.0+d) );
+    const [width, height] = options.resolution.split('x').map(Number);
+    const cues = options.transformAt >= 0 ? [options.transformAt] : [];
+    const snapshot = {
+        time: sceneClock.getTime(),
+        scene_index: transitions.getScene(),
+        transition_progress: uniforms.transition_progress.value,
+        interstellar_mix: uniforms.interstellar_mix.value,
+        view: flightControls.getView(),
+        piloted: flightControls.isPiloted(),
+        audio: ['audio_bass', 'audio_mid', 'audio_treble', 'audio_beat'].map(name => [name, uniforms[name].value])
+    };
+    
+    isExporting = true;
+    exportCancelRequested = false;
+    sceneClock.setTime(options.startTime);
+    let clipTime = 0;
     
-    vec4 O = 1.0 - exp( -exp( c.x * vec4(0.6,-0.4,-1.0,0) )
-                   / w.xyyx
-                   / ( 2.0 + i*i/4.0 - i )
-                   / ( 0.5 + 1.0 / a )
-                   / ( 0.03 + abs( length(p)-0.7 ) )
-             );
+    // Same clip every time: default view with no live input or inertia, and
+    // no audio reaction (updateAudioReactive doesn't run while exporting)
+    flightControls.setEnabled(false);
+    flightControls.reset();
+    clearAudioUniforms();
     
-    vec4 result = O;
+    showDetailedNotification(t('notify.exportStarted'), t('notify.exportStarted.details', {
+        width, height, fps: options.fps, duration: options.duration, format: options.format
+    }));
     
-    // Ultra quality: Add volumetric atmospheric effects around singularity
-    if (detail_level >= 1.2) {
-        vec3 rayDir = normalize(vec3(p, 0.8));
-        vec4 atmosphere = get_volumetric_atmosphere(p, rayDir, time);
-        
-        // Add accretion disk effects
-        float diskDist = length(p);
-        float diskEffect = exp(-diskDist * 1.5) * 0.3;
-        atmosphere.rgb *= (1.0 + diskEffect);
+    try {
+        const result = await exportClip({
+            renderer,
+            width,
+            height,
+            fps: options.fps,
+            duration: options.duration,
+            format: options.format,
+            advance: (seconds) => {
+                clipTime += seconds;
+                sceneClock.step(seconds);
+                syncSceneTime();
+                // Scripted timeline: start queued transformations at their cue
+                while (cues.length > 0 && cues[0] <= clipTime + 1e-6) {
+                    cues.shift();
+                    performTransformation();
+                }
+            },
+            renderFrame: renderSceneTo,
+            onProgress,
+            shouldCancel: () => exportCancelRequested
+        });
         
-        result = mix(result, atmosphere, atmosphere.a * 0.25);
+        downloadBlob(result.blob, `into-the-unknown-${width}x${height}-${options.fps}fps.${result.extension}`);
+        showDetailedNotification(t('notify.exportComplete'), t('notify.saved', { size: (result.blob.size / 1048576).toFixed(1) }), 3000);
+    } catch (error) {
+        console.warn('Clip export failed:', error);
+        showDetailedNotification(t('notify.exportStopped'), error.message, 3000);
+    } finally {
+        // Put the live view back exactly where it was
+        transitions.cut(snapshot.scene_index);
+        uniforms.transition_progress.value = snapshot.transition_progress;
+        uniforms.interstellar_mix.value = snapshot.interstellar_mix;
+        snapshot.audio.forEach(([name, value]) => { uniforms[name].value = value; });
+        flightControls.restoreView(snapshot.view, snapshot.piloted);
+        flightControls.setEnabled(settings.get('steering'));
+        sceneClock.setTime(snapshot.time);
+        sceneClock.resync();
+        isExporting = false;
     }
-    
-    return result;
 }
-`;
 
-const transition_shader_code = `
-    // 'Warp Speed 2' by David Hoskins 2015.
-    // Adapted for Three.js
-    vec4 get_transition_color(vec2 fragCoord, vec2 resolution, float time) {
-        float s = 0.0, v = 0.0;
-        vec2 uv = (fragCoord / resolution) * 2.0 - 1.0;
-        float t = (time - 2.0) * 58.0;
-        vec3 col = vec3(0.0);
-        vec3 init = vec3(sin(t * 0.0032) * 0.3, 0.35 - cos(t * 0.005) * 0.3, t * 0.002);
-        for (int r = 0; r < 100; r++) 
-        {
-            vec3 p = init + s * vec3(uv, 0.05);
-            p.z = fract(p.z);
-            for (int i = 0; i < 10; i++) {
-                p = abs(p * 2.04) / dot(p, p) - 0.9;
-            }
-            v += pow(dot(p, p), 0.7) * 0.06;
-            col += vec3(v) * 0.00003;
-            s += 0.025;
-        }
-        
-        vec4 result = tanh(vec4(col, 1.0) / 30.0 / length(uv));
-        
-        // Ultra quality: Add volumetric warp effects
-        if (detail_level >= 1.2) {
-            vec3 rayDir = normalize(vec3(uv, 0.4));
-            vec4 atmosphere = get_volumetric_atmosphere(uv, rayDir, time);
-            
-            // Add warp effects
-            float warpStrength = length(col) * 0.05;
-            atmosphere.rgb *= (1.0 + warpStrength);
-            
-            // Add warp rays
-            vec3 warpRays = vec3(1.0, 0.9, 0.95) * warpStrength;
-            atmosphere.rgb += warpRays;
-            
-            result = mix(result, atmosphere, atmosphere.a * 0.4);
-        }
-        
-        return result;
+// --- High-Resolution Still Capture ---
+// Freezes the scene and renders the current frame in tiles at any size
+async function captureStill(width, height, onProgress) {
+    if (isExporting) return;
+    isExporting = true;
+    
+    try {
+        const blob = await captureTiledStill({
+            renderer,
+            width,
+            height,
+            renderTile: renderSceneTo,
+            onProgress
+        });
+        downloadBlob(blob, `into-the-unknown-${width}x${height}.png`);
+        showDetailedNotification(t('notify.stillCaptured'), `${width}×${height}\n${t('notify.saved', { size: (blob.size / 1048576).toFixed(1) })}`, 3000);
+    } catch (error) {
+        console.warn('Still capture failed:', error);
+        showDetailedNotification(t('notify.captureFailed'), error.message, 3000);
+    } finally {
+        sceneClock.resync();
+        isExporting = false;
     }
-`;
+}
 
-// --- Performance Transformation Function ---
-function performTransformation() {
-    if (is_transitioning) return;
-    is_transitioning = true;
+function setupExportControls(gui) {
+    const export_controls = {
+        duration: 8,
+        fps: 30,
+        resolution: '1920x1080',
+        format: 'png-zip',
+        startTime: 0,
+        transformAt: 1.5,
+        start: () => {
+            exportTransformationClip(export_controls, (progress) => {
+                startButton.name(t('gui.export.progress', { percent: Math.round(progress * 100) }));
+            }).finally(() => startButton.name(t('gui.export.start')));
+        },
+        cancel: () => {
+            exportCancelRequested = true;
+        }
+    };
     
-    // Adjust transition speed based on device capability
-    const transition_duration = isMobile ? 2000 : 1500;
-    const interstellar_hold = isMobile ? 3000 : 2000;
-
-    const animate_phase = (uniform, target, duration, onComplete) => {
-        const start_value = uniform.value;
-        const start_time = performance.now();
-        function do_animate() {
-            const elapsed = performance.now() - start_time;
-            const progress = Math.min(elapsed / duration, 1.0);
-            uniform.value = THREE.MathUtils.lerp(start_value, target, progress);
-            if (progress < 1.0) requestAnimationFrame(do_animate);
-            else if (onComplete) onComplete();
+    const exportFolder = gui.addFolder(t('gui.export'));
+    exportFolder.add(export_controls, 'duration', 1, 60, 0.5).name(t('gui.export.duration'));
+    exportFolder.add(export_controls, 'fps', [24, 25, 30, 60]).name(t('gui.export.fps'));
+    exportFolder.add(export_controls, 'resolution', ['1280x720', '1920x1080', '2560x1440', '3840x2160']).name(t('gui.export.resolution'));
+    exportFolder.add(export_controls, 'format', EXPORT_FORMATS).name(t('gui.export.format'));
+    exportFolder.add(export_controls, 'startTime', 0, 120, 0.5).name(t('gui.export.startTime'));
+    exportFolder.add(export_controls, 'transformAt', -1, 60, 0.5).name(t('gui.export.transformAt'));
+    const startButton = exportFolder.add(export_controls, 'start').name(t('gui.export.start'));
+    exportFolder.add(export_controls, 'cancel').name(t('gui.export.cancel'));
+    exportFolder.close();
+    
+    const still_controls = {
+        preset: '7680x4320',
+        width: 7680,
+        height: 4320,
+        capture: () => {
+            captureStill(still_controls.width, still_controls.height, (progress) => {
+                captureButton.name(t('gui.still.progress', { percent: Math.round(progress * 100) }));
+            }).finally(() => captureButton.name(t('gui.still.capture')));
         }
-        do_animate();
     };
-
-    if (shader_index === 0) { // Tunnel -> Galaxy
-        animate_phase(uniforms.interstellar_mix, 1.0, transition_duration, () => {
-            animate_phase(uniforms.transition_progress, 1.0, transition_duration, () => {
-                setTimeout(() => {
-                    animate_phase(uniforms.interstellar_mix, 0.0, transition_duration, () => {
-                        shader_index = 1;
-                        is_transitioning = false;
-                    });
-                }, interstellar_hold / 2);
-            });
-        });
-    } else { // Galaxy -> Tunnel
-        animate_phase(uniforms.interstellar_mix, 1.0, transition_duration, () => {
-            animate_phase(uniforms.transition_progress, 0.0, transition_duration, () => {
-                setTimeout(() => {
-                     animate_phase(uniforms.interstellar_mix, 0.0, transition_duration, () => {
-                        shader_index = 0;
-                        is_transitioning = false;
-                    });
-                }, interstellar_hold / 2);
-            });
-        });
-    }
+    
+    const stillFolder = gui.addFolder(t('gui.still'));
+    stillFolder.add(still_controls, 'preset', ['1920x1080', '3840x2160', '7680x4320', '15360x8640']).onChange((value) => {
+        [still_controls.width, still_controls.height] = value.split('x').map(Number);
+        widthControl.updateDisplay();
+        heightControl.updateDisplay();
+    }).name(t('gui.still.preset'));
+    const widthControl = stillFolder.add(still_controls, 'width', 256, MAX_STILL_SIZE, 1).name(t('gui.still.width'));
+    const heightControl = stillFolder.add(still_controls, 'height', 256, MAX_STILL_SIZE, 1).name(t('gui.still.height'));
+    const captureButton = stillFolder.add(still_controls, 'capture').name(t('gui.still.capture'));
+    stillFolder.close();
 }
 
 // =============================================================================
-// MAIN APPLICATION LOGIC & INITIALIZATION
+// TIMELINE SEQUENCER
 // =============================================================================
 
-// --- Main Application Logic ---
-function main() {
-    // Initialize mobile detection and settings
-    detectMobile();
-    updateQualitySettings();
-    
-    // --- Shader Compilation ---
-    const fragmentShader = `
-        uniform vec2 resolution;
-        uniform float time;
-        uniform float transition_progress;
-        uniform float interstellar_mix;
-        uniform float quality_factor;
-        uniform float iteration_count;
-        uniform float detail_level;
-        varying vec2 vUv;
-
-        ${volumetric_atmosphere_code}
-        ${tunnel_shader_code}
-        ${singularity_shader_code}
-        ${transition_shader_code}
-
-        // --- Main Shader Logic (Performance Optimized) ---
-        void main() {
-            vec2 res_coord = gl_FragCoord.xy;
-            vec2 u = (res_coord - 0.5 * resolution.xy) / resolution.y;
-            vec4 tunnel_color = get_tunnel_color(u, time);
-            vec4 singularity_color = get_singularity_color(res_coord, resolution, time);
-            vec4 transition_effect = get_transition_color(res_coord, resolution, time);
-            vec4 main_mix = mix(tunnel_color, singularity_color, smoothstep(0.0, 1.0, transition_progress));
-            vec4 final_color = mix(main_mix, transition_effect, smoothstep(0.0, 1.0, interstellar_mix));
-            
-            // Ultra quality: Add optimized atmospheric enhancement
-            if (detail_level >= 1.2) {
-                vec3 rayDir = normalize(vec3(u, 0.8));
-                vec4 global_atmosphere = get_volumetric_atmosphere(u, rayDir, time);
-                final_color.rgb = mix(final_color.rgb, global_atmosphere.rgb, global_atmosphere.a * 0.1);
-            }
-            
-            gl_FragColor = vec4(final_color.rgb, 1.0);
+// --- Timeline Targets & Events ---
+// Every numeric uniform (including scene uniforms), the scene time scale and
+// the camera. view_* uniforms are written by the flight controls each frame.
+function buildTimelineTargets() {
+    const targets = {
+        timeScale: (value) => sceneClock.setTimeScale(value),
+        camera_yaw: (value) => flightControls.set('yaw', value),
+        camera_pitch: (value) => flightControls.set('pitch', value),
+        camera_roll: (value) => flightControls.set('roll', value),
+        camera_speed: (value) => flightControls.set('speed', value)
+    };
+    for (const [name, uniform] of Object.entries(uniforms)) {
+        if (typeof uniform.value === 'number' && !name.startsWith('view_')) {
+            targets[name] = (value) => { uniform.value = value; };
         }
-    `;
-
-    // --- Initialization ---
-    init(fragmentShader);
-    
-    // Setup mobile features
-    if (isMobile) {
-        setupTouchGestures();
     }
-    
-    // Create educational panel
-    createEducationalPanel();
-    
-    // Initialize AI features
-    initializeAIFeatures();
-    
-    // --- Start Animation Loop ---
-    animate(0);
+    return targets;
 }
 
-// --- AI Initialization ---
-async function initializeAIFeatures() {
-    // Check if serverless API is available
-    const hasAPI = await checkServerlessAPIAvailability();
-    
-    if (hasAPI) {
-        AI_CONFIG.mode = 'hybrid';
-    } else {
-        AI_CONFIG.mode = 'hybrid';
-    }
-    
-    // Initialize AI system
-    setTimeout(() => {
-        initializeAISystem();
-    }, 5000);
+function findTimelineScene(event) {
+    const index = getSceneIndex(event.scene);
+    if (index === -1) console.warn('Timeline references unknown scene:', event.scene);
+    return index;
 }
 
-async function initializeAISystem() {
-    // Test API generation
-    if (AI_CONFIG.apiStatus.hasServerlessAPI) {
-        const testTopics = ['black holes and event horizons', 'neutron stars and pulsars'];
-        
-        let apiCount = 0;
-        
-        for (const topic of testTopics) {
-            try {
-                const fact = await generateCosmicFact(topic);
-                if (fact && fact.source.includes('OpenRouter')) {
-                    apiCount++;
-                }
-                // Small delay between generations
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            } catch (error) {
-                // Silent fail for initialization test
-            }
+function handleTimelineEvent(event, { seeking }) {
+    switch (event.type) {
+        case 'scene': {
+            // Cut to a scene (usually while the warp covers the screen)
+            const index = findTimelineScene(event);
+            if (index !== -1) transitions.cut(index);
+            break;
         }
-        
-        // Report initialization results
-        if (apiCount > 0) {
-            AI_CONFIG.apiStatus.isWorking = true;
+        case 'crossfadeTo': {
+            // transition_progress now blends toward this scene
+            const index = findTimelineScene(event);
+            if (index !== -1) transitions.setCrossfadeTarget(index);
+            break;
         }
+        case 'showFact':
+            if (!seeking) showFactByTitle(event.fact);
+            break;
+        case 'hideFacts':
+            if (!seeking && educationalPanel.style.transform === 'translateY(0px)') {
+                toggleEducationalPanel();
+            }
+            break;
+        case 'notify': {
+            if (seeking) break;
+            // Bundled journeys name a string key (title, and details under
+            // "<key>.details"); user scripts can just give literal text
+            const translate = (key, fallback) => (key && t(key) !== key ? t(key) : fallback);
+            showDetailedNotification(
+                translate(event.key, event.title),
+                translate(event.key && `${event.key}.details`, event.details || ''),
+                event.duration || 2500
+            );
+            break;
+        }
+        default:
+            console.warn('Unknown timeline event type:', event.type);
     }
 }
 
-// Enhanced API integration with secure serverless endpoint
-async function tryGenerateWithFreeAPIs(prompt, topic) {
-    // Update API status
-    AI_CONFIG.apiStatus.lastAttempt = new Date().toISOString();
-    
+// source: URL of a bundled journey or a user-picked File
+async function loadTimelineScript(source, quiet = false) {
     try {
-        // Check rate limiting
-        if (!checkRateLimit()) {
-            return generateEnhancedStaticFact(topic);
+        const json = source instanceof File ? await source.text() : await (await fetch(source)).text();
+        const loaded = timeline.load(json);
+        if (!quiet) {
+            showDetailedNotification(t('notify.journeyLoaded'), `${loaded.name}\n⏱️ ${loaded.duration.toFixed(1)}s`);
         }
-        
-        // Try serverless API first if available and mode allows
-        if ((AI_CONFIG.mode === 'api' || AI_CONFIG.mode === 'hybrid') && AI_CONFIG.apiStatus.errorCount < 5) {
-            const apiResult = await callServerlessAPI(topic);
-            if (apiResult) {
-                AI_CONFIG.apiStatus.isWorking = true;
-                AI_CONFIG.apiStatus.usingFallback = false;
-                AI_CONFIG.apiStatus.hasServerlessAPI = true;
-                AI_CONFIG.apiStatus.errorCount = 0; // Reset error count on success
-                return apiResult;
-            }
-        }
-        
-        // Fallback to enhanced static facts
-        AI_CONFIG.apiStatus.usingFallback = true;
-        return generateEnhancedStaticFact(topic);
-        
+        return loaded;
     } catch (error) {
-        AI_CONFIG.apiStatus.errorCount++;
-        return generateEnhancedStaticFact(topic);
+        console.warn('Timeline script rejected:', error);
+        showDetailedNotification(t('notify.invalidJourney'), error.message, 3000);
+        return null;
     }
 }
 
-// Secure serverless API call - updated for OpenRouter with retry logic
-async function callServerlessAPI(topic, attempt = 1) {
-    try {
-        console.log(`OpenRouter API call attempt ${attempt} for topic:`, topic);
-        
-        const response = await fetch(AI_CONFIG.serverlessEndpoint, {
-            method: 'POST',
-            mode: AI_CONFIG.corsMode, // 'cors' for cross-origin requests
-            credentials: AI_CONFIG.credentials, // 'omit' for security
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                // Add origin header for CORS
-                'Origin': window.location.origin
-            },
-            body: JSON.stringify({ topic }),
-            // Updated timeout for OpenRouter (some models can be slower)
-            signal: AbortSignal.timeout(AI_CONFIG.timeout) // 30 second timeout
-        });
-        
-        console.log('OpenRouter API response status:', response.status);
-        
-        if (!response.ok) {
-            // Handle different HTTP error codes
-            if (response.status === 429) {
-                throw new Error('Rate limit exceeded - please wait before generating more facts');
-            } else if (response.status >= 500) {
-                throw new Error('Server error - OpenRouter API temporarily unavailable');
-            } else {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+function setupTimelineControls(gui) {
+    timeline = createTimeline({
+        targets: buildTimelineTargets(),
+        onEvent: handleTimelineEvent,
+        onRewind: () => transitions.setCrossfadeTarget(null)
+    });
+    
+    const timeline_controls = {
+        journey: Object.keys(TIMELINE_LIBRARY)[0],
+        loop: false,
+        get position() {
+            return timeline.getTime();
+        },
+        set position(value) {
+            timeline.seek(value);
+        },
+        play: () => {
+            if (!transitions.isIdle()) {
+                showDetailedNotification(t('notify.timelineWaiting'), t('notify.waitForTransition'));
+                return;
             }
-        }
-        
-        const result = await response.json();
-        console.log('OpenRouter API result:', result);
-        
-        if (result.success && result.fact) {
-            // Track successful API call
-            trackAPICall();
-            
-            console.log('Successfully parsed OpenRouter response:', result.fact.title);
-            
-            return {
-                title: result.fact.title,
-                content: result.fact.content,
-                physics: result.fact.physics,
-                source: `OpenRouter AI (${result.metadata?.model || 'Moonshot AI Kimi K2'})`,
-                timestamp: new Date().toISOString(),
-                quality: 'premium',
-                generationTime: result.metadata?.tokens_used || 'N/A'
+            if (!timeline.isLoaded()) return;
+            // The script owns the uniforms while it plays
+            timeline.setLoop(timeline_controls.loop);
+            timeline.play();
+        },
+        pause: () => timeline.pause(),
+        stop: () => {
+            timeline.stop();
+            sceneClock.setTimeScale(1.0);
+            flightControls.reset();
+        },
+        loadFile: () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            input.onchange = async () => {
+                if (!input.files[0]) return;
+                if (await loadTimelineScript(input.files[0])) {
+                    positionControl.max(timeline.getDuration()).updateDisplay();
+                }
             };
-        } else if (result.fallback) {
-            // Server suggests using fallback
-            console.log('Server suggested fallback, debug info:', result.debug);
-            throw new Error('Server suggested fallback');
+            input.click();
+        }
+    };
+    
+    const timelineFolder = gui.addFolder(t('gui.timeline'));
+    timelineFolder.add(timeline_controls, 'journey', Object.keys(TIMELINE_LIBRARY)).onChange(async (value) => {
+        if (await loadTimelineScript(TIMELINE_LIBRARY[value])) {
+            positionControl.max(timeline.getDuration()).updateDisplay();
+        }
+    }).name(t('gui.timeline.journey'));
+    timelineFolder.add(timeline_controls, 'play').name(t('gui.timeline.play'));
+    timelineFolder.add(timeline_controls, 'pause').name(t('gui.timeline.pause'));
+    timelineFolder.add(timeline_controls, 'stop').name(t('gui.timeline.stop'));
+    const positionControl = timelineFolder.add(timeline_controls, 'position', 0, 1, 0.01).name(t('gui.timeline.seek')).listen();
+    timelineFolder.add(timeline_controls, 'loop').onChange((value) => timeline.setLoop(value)).name(t('gui.timeline.loop'));
+    timelineFolder.add(timeline_controls, 'loadFile').name(t('gui.timeline.loadFile'));
+    timelineFolder.close();
+    
+    // Preload the default journey
+    loadTimelineScript(TIMELINE_LIBRARY[timeline_controls.journey], true).then((loaded) => {
+        if (loaded) positionControl.max(timeline.getDuration()).updateDisplay();
+    });
+}
+
+// =============================================================================
+// AUDIO-REACTIVE MODE
+// =============================================================================
+
+// --- Band Uniforms ---
+// Runs on real time: audio keeps playing whatever the scene time scale is
+function updateAudioReactive(deltaMs) {
+    if (!audioAnalyser?.isActive()) return;
+    const bands = audioAnalyser.update(deltaMs);
+    uniforms.audio_bass.value = bands.bass;
+    uniforms.audio_mid.value = bands.mid;
+    uniforms.audio_treble.value = bands.treble;
+    uniforms.audio_beat.value = bands.beat;
+}
+
+function clearAudioUniforms() {
+    uniforms.audio_bass.value = 0.0;
+    uniforms.audio_mid.value = 0.0;
+    uniforms.audio_treble.value = 0.0;
+    uniforms.audio_beat.value = 0.0;
+}
+
+// --- Sources ---
+// Run from a user gesture so the audio context may start (a dropped file
+// waits for the next click instead)
+async function setAudioSource(source, file = null) {
+    try {
+        if (source === 'microphone') {
+            await audioAnalyser.useMicrophone();
+            showDetailedNotification(t('notify.listening'), t('notify.listening.details'));
+        } else if (source === 'file' && file) {
+            await audioAnalyser.useFile(file, {
+                onWaitingForGesture: () => showDetailedNotification(t('notify.clickToPlay'), t('notify.clickToPlay.details', { name: file.name }))
+            });
+            showDetailedNotification(t('notify.nowPlaying'), file.name);
         } else {
-            console.log('Invalid response format:', result);
-            throw new Error('Invalid response format');
+            audioAnalyser.stop();
+            clearAudioUniforms();
         }
-        
     } catch (error) {
-        // Handle timeout specifically
-        if (error.name === 'TimeoutError' || error.message.includes('timed out')) {
-            console.log(`OpenRouter timeout on attempt ${attempt}:`, error.message);
-            if (attempt < AI_CONFIG.retryAttempts) {
-                console.log(`OpenRouter timeout (attempt ${attempt}), retrying...`);
-                // Show user that we're retrying
-                showFactLoadingStateWithRetry(attempt);
-                return await callServerlessAPI(topic, attempt + 1);
-            } else {
-                console.log('OpenRouter API timeout after retries - using fallback content');
-                AI_CONFIG.apiStatus.errorCount++;
-                return null;
-            }
-        }
-        
-        console.log('OpenRouter API Error:', error.message); // Keep essential error logging
-        AI_CONFIG.apiStatus.errorCount++;
-        
-        // Handle specific error types
-        if (error.name === 'TypeError' || error.message.includes('fetch')) {
-            AI_CONFIG.apiStatus.hasServerlessAPI = false;
-        } else if (error.message.includes('CORS')) {
-            AI_CONFIG.apiStatus.hasServerlessAPI = false;
+        // A file still waiting for a click was replaced by a later pick
+        if (error.name === 'AbortError') return audioAnalyser.getSource();
+        console.warn('Audio source unavailable:', error);
+        showDetailedNotification(t('notify.audioUnavailable'), error.message, 3000);
+        audioAnalyser.stop();
+        clearAudioUniforms();
+    }
+    return audioAnalyser.getSource();
+}
+
+function pickAudioFile(onPicked) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*';
+    input.onchange = () => {
+        if (input.files[0]) onPicked(input.files[0]);
+    };
+    input.click();
+}
+
+function setupAudioControls(gui) {
+    audioAnalyser = createAudioAnalyser();
+    
+    const audio_controls = {
+        source: 'off',
+        gain: settings.get('audioGain'),
+        twist: settings.get('audioTwist'),
+        glow: settings.get('audioGlow'),
+        warp: settings.get('audioWarp'),
+        loadFile: () => pickAudioFile(playAudioFile)
+    };
+    audioAnalyser.setGain(audio_controls.gain);
+    uniforms.tunnel_audio_twist.value = audio_controls.twist;
+    uniforms.singularity_audio_glow.value = audio_controls.glow;
+    uniforms.warp_audio_boost.value = audio_controls.warp;
+    
+    async function playAudioFile(file) {
+        audio_controls.source = await setAudioSource('file', file);
+        sourceControl.updateDisplay();
+    }
+    
+    const audioFolder = gui.addFolder(t('gui.audio'));
+    const sourceControl = audioFolder.add(audio_controls, 'source', AUDIO_SOURCES).onChange(async (value) => {
+        if (value === 'file') {
+            // Keep the current source until a file is actually picked
+            audio_controls.source = audioAnalyser.getSource();
+            sourceControl.updateDisplay();
+            pickAudioFile(playAudioFile);
+            return;
         }
-        
-        // Retry on server errors (but not on client errors)
-        if (error.message.includes('Server error') && attempt < AI_CONFIG.retryAttempts) {
-            console.log(`Server error (attempt ${attempt}), retrying...`);
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-            return await callServerlessAPI(topic, attempt + 1);
+        audio_controls.source = await setAudioSource(value);
+        sourceControl.updateDisplay();
+    }).name(t('gui.audio.source'));
+    audioFolder.add(audio_controls, 'loadFile').name(t('gui.audio.loadFile'));
+    audioFolder.add(audio_controls, 'gain', 0, 4, 0.1).onChange((value) => {
+        audioAnalyser.setGain(value);
+        settings.set('audioGain', value);
+    }).name(t('gui.audio.gain'));
+    audioFolder.add(audio_controls, 'twist', 0, 4, 0.1).onChange((value) => {
+        uniforms.tunnel_audio_twist.value = value;
+        settings.set('audioTwist', value);
+    }).name(t('gui.audio.twist'));
+    audioFolder.add(audio_controls, 'glow', 0, 4, 0.1).onChange((value) => {
+        uniforms.singularity_audio_glow.value = value;
+        settings.set('audioGlow', value);
+    }).name(t('gui.audio.glow'));
+    audioFolder.add(audio_controls, 'warp', 0, 4, 0.1).onChange((value) => {
+        uniforms.warp_audio_boost.value = value;
+        settings.set('audioWarp', value);
+    }).name(t('gui.audio.warp'));
+    audioFolder.close();
+    
+    // Drop an audio file anywhere on the page to play along with it
+    window.addEventListener('dragover', (e) => {
+        if ([...e.dataTransfer.items].some(item => item.type.startsWith('audio/'))) {
+            e.preventDefault();
         }
-        
-        return null;
-    }
+    });
+    window.addEventListener('drop', (e) => {
+        const file = [...e.dataTransfer.files].find(dropped => dropped.type.startsWith('audio/'));
+        if (!file) return;
+        e.preventDefault();
+        playAudioFile(file);
+    });
 }
 
-// Rate limiting functions
-function checkRateLimit() {
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
+// =============================================================================
+// AMBIENT SOUNDTRACK
+// =============================================================================
+
+// --- Scene Weights ---
+// How loud each scene's voice should be, mirroring the shader's crossfade;
+// scenes duck under the warp whoosh
+function getSoundscapeWeights() {
+    const progress = uniforms.transition_progress.value;
+    const blend = progress * progress * (3.0 - 2.0 * progress); // smoothstep, as in the shader
+    const duck = 1.0 - 0.6 * uniforms.interstellar_mix.value;
+    const weights = {};
+    const add = (index, weight) => {
+        const id = getScene(index).id;
+        weights[id] = (weights[id] || 0) + weight * duck;
+    };
     
-    // Reset if more than a minute has passed
-    if (now - AI_CONFIG.rateLimit.lastReset > 60000) {
-        AI_CONFIG.rateLimit.callHistory = [];
-        AI_CONFIG.rateLimit.lastReset = now;
+    const target = transitions.getTarget();
+    add(transitions.getScene(), target === null ? 1.0 : 1.0 - blend);
+    if (target !== null) add(target, blend);
+    return weights;
+}
+
+function updateSoundscape(deltaMs) {
+    if (!soundscape.isRunning()) return;
+    soundscape.update({ weights: getSoundscapeWeights(), warp: uniforms.interstellar_mix.value }, deltaMs);
+}
+
+// =============================================================================
+// NARRATION
+// =============================================================================
+
+// --- Narrated Facts ---
+// Reads the fact on screen aloud, highlighting each sentence as it's spoken
+function toggleNarration() {
+    if (!narrator.isSupported()) {
+        showDetailedNotification(t('notify.narrationUnavailable'), t('notify.narrationUnavailable.details'));
+        return;
     }
+    isNarrating = !isNarrating;
+    if (isNarrating) {
+        narrateCurrentFact();
+    } else {
+        clearTimeout(narrationAdvanceTimer);
+        narrationHeld = false;
+        narrator.stop();
+    }
+    updateNarrationButton();
+}
+
+function narrateCurrentFact() {
+    const fact = cosmicFacts[currentFactIndex];
+    clearTimeout(narrationAdvanceTimer);
+    narratedFactId = getFactId(fact);
+    narrator.speak([
+        { id: 'title', text: fact.title },
+        { id: 'content', text: fact.content },
+        { id: 'physics', text: fact.physics }
+    ]);
+    
+    // Started mid-transition (auto-advance, scene-linked facts): wait for it
+    if (!transitions.isIdle() && narrator.pause()) {
+        narrationHeld = true;
+    }
+}
+
+// After the panel re-renders: follow a new fact, or re-apply the highlight
+function syncNarration() {
+    if (!isNarrating) return;
+    if (getFactId(cosmicFacts[currentFactIndex]) !== narratedFactId) {
+        narrateCurrentFact();
+    } else {
+        highlightNarration();
+    }
+}
+
+function highlightNarration() {
+    const active = narrationSentence && `${narrationSentence.section}-${narrationSentence.index}`;
+    for (const span of educationalPanel.querySelectorAll('[data-sentence]')) {
+        span.style.background = span.dataset.sentence === active ? 'rgba(100, 181, 246, 0.35)' : '';
+        span.style.borderRadius = '3px';
+    }
+}
+
+function updateNarrationButton() {
+    const button = document.getElementById('narration-button');
+    if (button) button.textContent = isNarrating ? '⏹' : '🔊';
+}
+
+// The warp has the screen's attention; carry on once it has landed
+function holdNarrationDuringTransition() {
+    if (!narrator || !isNarrating) return;
+    if (!transitions.isIdle()) {
+        if (narrator.pause()) narrationHeld = true;
+    } else if (narrationHeld) {
+        narrationHeld = false;
+        narrator.resume();
+    }
+}
+
+function setupNarrationControls(folder) {
+    const narration_controls = {
+        narrate: () => toggleNarration(),
+        voice: settings.get('narrationVoice'),
+        rate: settings.get('narrationRate'),
+        autoAdvance: settings.get('narrationAutoAdvance')
+    };
+    narrator = createNarrator();
+    narrator.setRate(narration_controls.rate);
+    narrator.setLang(getLocale());
     
-    // Remove old calls
-    AI_CONFIG.rateLimit.callHistory = AI_CONFIG.rateLimit.callHistory.filter(
-        timestamp => timestamp > oneMinuteAgo
-    );
+    narrator.on('sentence', ({ section, index }) => {
+        narrationSentence = { section, index };
+        highlightNarration();
+    });
+    narrator.on('end', () => {
+        narrationSentence = null;
+        highlightNarration();
+        if (!narration_controls.autoAdvance) {
+            isNarrating = false;
+            updateNarrationButton();
+            return;
+        }
+        narrationAdvanceTimer = setTimeout(showNextFact, NARRATION_ADVANCE_DELAY);
+    });
+    narrator.on('stop', () => {
+        narrationSentence = null;
+        highlightNarration();
+    });
+    narrator.on('error', ({ error }) => {
+        console.warn('Narration stopped:', error);
+        isNarrating = false;
+        updateNarrationButton();
+    });
+    
+    // Voices load asynchronously in most browsers
+    const getVoiceOptions = () => {
+        const options = { [t('gui.narration.defaultVoice')]: '' };
+        for (const voice of narrator.getVoices()) {
+            options[`${voice.name} (${voice.lang})`] = voice.name;
+        }
+        return options;
+    };
     
-    // Check if under limit
-    return AI_CONFIG.rateLimit.callHistory.length < AI_CONFIG.rateLimit.maxCallsPerMinute;
+    const narrationFolder = folder.addFolder(t('gui.narration'));
+    narrationFolder.add(narration_controls, 'narrate').name(t('gui.narration.narrate'));
+    const voiceController = narrationFolder.add(narration_controls, 'voice', getVoiceOptions()).onChange((value) => {
+        narrator.setVoice(value);
+        settings.set('narrationVoice', value);
+    }).name(t('gui.narration.voice'));
+    narrationFolder.add(narration_controls, 'rate', 0.5, 2, 0.1).onChange((value) => {
+        narrator.setRate(value);
+        settings.set('narrationRate', value);
+    }).name(t('gui.narration.rate'));
+    narrationFolder.add(narration_controls, 'autoAdvance').onChange((value) => {
+        settings.set('narrationAutoAdvance', value);
+    }).name(t('gui.narration.autoAdvance'));
+    narrationFolder.close();
+    
+    narrator.setVoice(narration_controls.voice);
+    narrator.on('voiceschanged', () => {
+        voiceController.options(getVoiceOptions());
+        narrator.setVoice(narration_controls.voice);
+    });
 }
 
-function trackAPICall() {
-    AI_CONFIG.rateLimit.callHistory.push(Date.now());
+// =============================================================================
+// COSMIC QUIZ
+// =============================================================================
+
+// --- Quiz Session ---
+// Curated and generated facts alike become questions; the best streak is kept
+function setupQuiz() {
+    quiz = createQuiz({
+        getFacts: () => cosmicFacts,
+        state: settings.get('quizStats'),
+        text: {
+            whichFact: t('quiz.whichFact'),
+            trueOrFalse: t('quiz.trueOrFalse'),
+            true: t('quiz.true'),
+            false: t('quiz.false')
+        }
+    });
+    quiz.on('answer', ({ stats }) => {
+        settings.set('quizStats', quiz.getState());
+        if (stats.streak > 0 && stats.streak % 5 === 0) {
+            showDetailedNotification(t('notify.quizStreak', { streak: stats.streak }), t('notify.quizStreak.details', { best: stats.bestStreak }));
+        }
+    });
 }
 
-// Enhanced server connectivity check
-async function checkServerlessAPIAvailability() {
-    try {
-        const response = await fetch(AI_CONFIG.serverlessEndpoint, {
-            method: 'OPTIONS', // Pre-flight check
-            signal: AbortSignal.timeout(5000)
-        });
-        
-        AI_CONFIG.apiStatus.hasServerlessAPI = response.ok;
-        return response.ok;
-    } catch (error) {
-        AI_CONFIG.apiStatus.hasServerlessAPI = false;
+// --- Quiz Panel ---
+function createQuizPanel() {
+    quizPanel = document.createElement('div');
+    quizPanel.id = 'quiz-panel';
+    quizPanel.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 20px;
+        right: 20px;
+        background: rgba(0, 0, 0, 0.85);
+        color: white;
+        padding: 20px;
+        border-radius: 10px;
+        font-family: 'Segoe UI', Arial, sans-serif;
+        max-width: 400px;
+        z-index: 1000;
+        transform: translateY(calc(100% + 40px));
+        transition: transform 0.3s ease;
+        backdrop-filter: blur(10px);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+    `;
+    
+    document.body.appendChild(quizPanel);
+}
+
+function toggleQuizPanel() {
+    if (!quizPanel) return;
+    
+    const isVisible = quizPanel.style.transform === 'translateY(0px)';
+    if (!isVisible && (!quiz.getQuestion() || quiz.isAnswered())) {
+        if (!nextQuizQuestion()) return;
+    }
+    quizPanel.style.transform = isVisible ? 'translateY(calc(100% + 40px))' : 'translateY(0px)';
+}
+
+function nextQuizQuestion() {
+    if (!quiz.next()) {
+        showDetailedNotification(t('notify.quizNotEnoughFacts'), t('notify.quizNotEnoughFacts.details'));
         return false;
     }
+    renderQuizQuestion();
+    return true;
 }
 
-function generateEnhancedStaticFact(topic) {
-    // Simplified static fact generation
-    const factTemplates = {
-        'black holes': {
-            title: 'Black Holes',
-            content: 'These cosmic vacuum cleaners can have masses up to billions of times our Sun, yet compress all that matter into regions smaller than our solar system. Their gravitational pull is so intense that time itself slows down near the event horizon.',
-            physics: 'General relativity predicts that massive objects warp spacetime, and black holes represent the extreme case where this curvature becomes so severe that escape velocity exceeds the speed of light.'
-        },
-        'neutron stars': {
-            title: 'Neutron Stars',
-            content: 'A neutron star\'s magnetic field can be a trillion times stronger than Earth\'s. These dense stellar remnants spin incredibly fast, some completing hundreds of rotations per second while being more massive than our Sun.',
-            physics: 'Neutron degeneracy pressure prevents further gravitational collapse, creating matter so dense that a teaspoon would weigh about 6 billion tons on Earth.'
+function answerQuizQuestion(choice) {
+    const result = quiz.answer(choice);
+    if (result) renderQuizQuestion({ choice, correct: result.correct });
+}
+
+// answered: { choice, correct } once the question has been answered
+function renderQuizQuestion(answered = null) {
+    const question = quiz.getQuestion();
+    const { score, total, streak } = quiz.getStats();
+    
+    // Fact text may come from a model or a remote endpoint: never markup
+    const choices = question.choices.map((choice, index) => {
+        let background = 'rgba(255,255,255,0.1)';
+        if (answered && index === question.answer) {
+            background = 'rgba(129,199,132,0.6)';
+        } else if (answered && index === answered.choice) {
+            background = 'rgba(229,115,115,0.6)';
+        }
+        return `
+            <button onclick="answerQuizQuestion(${index})" ${answered ? 'disabled' : ''} style="
+                display: block;
+                width: 100%;
+                margin: 0 0 6px 0;
+                padding: 8px 12px;
+                background: ${background};
+                border: 1px solid rgba(255,255,255,0.2);
+                border-radius: 8px;
+                color: white;
+                font-size: 13px;
+                text-align: left;
+                cursor: ${answered ? 'default' : 'pointer'};
+            ">${escapeHTML(choice)}</button>`;
+    }).join('');
+    
+    const feedback = answered ? `
+        <div style="border-top: 1px solid rgba(255,255,255,0.2); margin-top: 10px; padding-top: 12px;">
+            <h4 style="margin: 0 0 8px 0; color: ${answered.correct ? '#81c784' : '#e57373'};">
+                ${answered.correct ? t('quiz.correct') : t('quiz.incorrect', { answer: escapeHTML(question.choices[question.answer]) })}
+            </h4>
+            <p style="margin: 0; line-height: 1.4; font-size: 0.9em;">
+                <strong>${escapeHTML(question.factTitle)}:</strong> ${escapeHTML(question.explanation)}
+            </p>
+        </div>
+        <div style="margin-top: 12px; text-align: right;">
+            <button onclick="nextQuizQuestion()" style="
+                background: linear-gradient(45deg, #64b5f6, #81c784);
+                border: none;
+                padding: 5px 12px;
+                border-radius: 15px;
+                color: white;
+                font-size: 11px;
+                cursor: pointer;
+                font-weight: bold;
+            ">${t('quiz.next')}</button>
+        </div>` : '';
+    
+    quizPanel.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+            <h3 style="margin: 0; color: #64b5f6;">${t('quiz.title')}</h3>
+            <button onclick="toggleQuizPanel()" title="${t('quiz.close')}" style="
+                background: none;
+                border: none;
+                color: #bbb;
+                font-size: 18px;
+                cursor: pointer;
+            ">✕</button>
+        </div>
+        <div style="font-size: 0.8em; color: #bbb; margin-bottom: 10px;">
+            ${t('quiz.score', { score, total })}${streak > 1 ? ` · ${t('quiz.inARow', { streak })}` : ''}
+        </div>
+        <p style="margin: 0 0 8px 0; font-weight: bold;">${escapeHTML(question.prompt)}</p>
+        <p style="margin: 0 0 12px 0; line-height: 1.5; font-style: italic;">“${escapeHTML(question.statement)}”</p>
+        ${choices}
+        ${feedback}
+    `;
+}
+
+window.toggleQuizPanel = toggleQuizPanel;
+window.nextQuizQuestion = nextQuizQuestion;
+window.answerQuizQuestion = answerQuizQuestion;
+
+function setupQuizControls(folder) {
+    const quiz_controls = {
+        start: () => toggleQuizPanel(),
+        score: () => {
+            const { score, total, streak, bestStreak } = quiz.getStats();
+            const details = total > 0
+                ? t('notify.quizScore.details', { score, total, streak, best: bestStreak })
+                : t('notify.quizScore.empty', { best: bestStreak });
+            showDetailedNotification(t('notify.quizScore'), details, 4000);
         },
-        'dark matter': {
-            title: 'Dark Matter',
-            content: 'Dark matter makes up 85% of all matter in the universe, yet we can\'t see it directly. It forms an invisible cosmic web that acts as scaffolding for galaxy formation and evolution.',
-            physics: 'Dark matter interacts gravitationally but not electromagnetically, making it detectable only through its gravitational effects on visible matter and light.'
+        reset: () => {
+            quiz.reset();
+            quizPanel.style.transform = 'translateY(calc(100% + 40px))';
+            showDetailedNotification(t('notify.quizReset'), t('notify.quizReset.details'));
+        }
+    };
+    
+    const quizFolder = folder.addFolder(t('gui.quiz'));
+    quizFolder.add(quiz_controls, 'start').name(t('gui.quiz.start'));
+    quizFolder.add(quiz_controls, 'score').name(t('gui.quiz.score'));
+    quizFolder.add(quiz_controls, 'reset').name(t('gui.quiz.reset'));
+    quizFolder.close();
+}
+
+// =============================================================================
+// SYLLABUS & TOPIC COVERAGE
+// =============================================================================
+
+function setupSyllabusControls(folder) {
+    const syllabus_controls = {
+        topics: topicScheduler.getSyllabus()?.topics.join(', ') || '',
+        pin: () => {
+            const topics = syllabus_controls.topics.split(',').map(topic => topic.trim()).filter(Boolean);
+            if (topics.length === 0) {
+                showDetailedNotification(t('notify.noTopics'), t('notify.noTopics.details'));
+                return;
+            }
+            topicScheduler.setSyllabus(topics);
+            saveTopicScheduler();
+            showDetailedNotification(t('notify.syllabusPinned'), t('notify.syllabusPinned.details', { count: topics.length, first: topics[0] }), 3000);
         },
-        'exoplanets': {
-            title: 'Exoplanets',
-            content: 'Over 5,000 exoplanets have been discovered, ranging from super-Earths to hot Jupiters. Some orbit in the habitable zone where liquid water could exist on their surfaces.',
-            physics: 'Planet detection relies on gravitational effects, transit photometry, and direct imaging, revealing the incredible diversity of planetary systems.'
+        clear: () => {
+            topicScheduler.setSyllabus(null);
+            saveTopicScheduler();
+            showDetailedNotification(t('notify.syllabusCleared'), t('notify.syllabusCleared.details'));
         },
-        'gravitational waves': {
-            title: 'Gravitational Waves',
-            content: 'LIGO detectors have confirmed Einstein\'s prediction by measuring distortions in spacetime caused by colliding black holes and neutron stars, opening a new window to observe the universe.',
-            physics: 'These waves carry energy at the speed of light, stretching and compressing space itself by amounts smaller than 1/10,000th the width of a proton.'
+        coverage: () => {
+            const coverage = topicScheduler.getCoverage();
+            const syllabus = topicScheduler.getSyllabus();
+            let details = t('notify.coverage.covered', { covered: coverage.covered, total: coverage.total });
+            if (syllabus) {
+                details += `\n${t('notify.coverage.syllabus', {
+                    position: syllabus.position,
+                    total: syllabus.topics.length,
+                    next: syllabus.topics[syllabus.position]
+                })}`;
+            } else if (coverage.uncovered.length > 0) {
+                details += `\n${t('notify.coverage.uncovered', { topics: coverage.uncovered.slice(0, 3).join(', ') })}`;
+            }
+            showDetailedNotification(t('notify.coverage'), details, 5000);
         },
-        'supernovas': {
-            title: 'Supernovas',
-            content: 'Type Ia supernovas are so consistent in brightness that they serve as "standard candles" for measuring cosmic distances, helping us discover that the universe\'s expansion is accelerating.',
-            physics: 'Nuclear fusion chains create elements up to iron, while the supernova explosion itself forges heavier elements and disperses them throughout the galaxy.'
+        resetCoverage: () => {
+            topicScheduler.reset();
+            saveTopicScheduler();
+            showDetailedNotification(t('notify.coverageReset'), t('notify.coverageReset.details'));
         }
     };
     
-    // Find matching template or create generic one
-    for (const [key, template] of Object.entries(factTemplates)) {
-        if (topic.toLowerCase().includes(key)) {
-            return { ...template, source: 'Curated Content', timestamp: new Date().toISOString() };
+    const syllabusFolder = folder.addFolder(t('gui.syllabus'));
+    syllabusFolder.add(syllabus_controls, 'topics').name(t('gui.syllabus.topics'));
+    syllabusFolder.add(syllabus_controls, 'pin').name(t('gui.syllabus.pin'));
+    syllabusFolder.add(syllabus_controls, 'clear').name(t('gui.syllabus.clear'));
+    syllabusFolder.add(syllabus_controls, 'coverage').name(t('gui.syllabus.coverage'));
+    syllabusFolder.add(syllabus_controls, 'resetCoverage').name(t('gui.syllabus.resetCoverage'));
+    syllabusFolder.close();
+}
+
+// =============================================================================
+// AI BACKEND SELECTION
+// =============================================================================
+
+function setupProviderControls(folder) {
+    const backend_controls = {
+        provider: AI_CONFIG.provider,
+        endpoint: '',
+        model: '',
+        apiKey: '',
+        test: async () => {
+            const name = getProvider(AI_CONFIG.provider).name;
+            const reachable = await factPipeline.checkAvailability();
+            const key = reachable ? 'notify.providerReachable' : 'notify.providerUnreachable';
+            showDetailedNotification(t(key, { provider: name }), t(`${key}.details`), 3000);
         }
+    };
+    
+    // Show the selected provider's own options
+    function syncFields() {
+        const options = AI_CONFIG.providerOptions[AI_CONFIG.provider];
+        backend_controls.endpoint = options.endpoint;
+        backend_controls.model = options.model;
+        backend_controls.apiKey = options.apiKey || '';
+        keyControl.show('apiKey' in options);
+        modelControl.show(AI_CONFIG.provider !== 'serverless'); // The server picks its model
+        [endpointControl, modelControl, keyControl].forEach(control => control.updateDisplay());
+    }
+    
+    // Endpoint and model persist; API keys stay in memory for the session
+    function updateOption(field, value) {
+        AI_CONFIG.providerOptions[AI_CONFIG.provider][field] = value.trim();
+        if (field === 'apiKey') return;
+        const saved = settings.get('aiProviderOptions');
+        settings.set('aiProviderOptions', {
+            ...saved,
+            [AI_CONFIG.provider]: { ...saved[AI_CONFIG.provider], [field]: value.trim() }
+        });
     }
     
-    // Generic cosmic fact for unknown topics
-    const cosmicFact = {
-        title: formatTopicTitle(topic),
-        content: `${formatTopicTitle(topic)} represent some of the most extreme and fascinating phenomena in our universe, pushing the boundaries of our understanding of physics and challenging our perception of reality.`,
-        physics: "These cosmic phenomena operate under conditions so extreme that they serve as natural laboratories for testing the fundamental laws of physics in regimes impossible to recreate on Earth."
+    const backendFolder = folder.addFolder(t('gui.backend'));
+    backendFolder.add(backend_controls, 'provider', Object.fromEntries(
+        PROVIDER_IDS.map(id => [getProvider(id).name, id])
+    )).onChange((value) => {
+        AI_CONFIG.provider = value;
+        AI_CONFIG.apiStatus.errorCount = 0;
+        settings.set('aiProvider', value);
+        syncFields();
+        factPipeline.checkAvailability();
+    }).name(t('gui.backend.provider'));
+    const endpointControl = backendFolder.add(backend_controls, 'endpoint')
+        .onFinishChange(value => updateOption('endpoint', value)).name(t('gui.backend.endpoint'));
+    const modelControl = backendFolder.add(backend_controls, 'model')
+        .onFinishChange(value => updateOption('model', value)).name(t('gui.backend.model'));
+    const keyControl = backendFolder.add(backend_controls, 'apiKey')
+        .onFinishChange((value) => {
+            updateOption('apiKey', value);
+            // The key leaves the browser with every request: say where to
+            if (value.trim()) {
+                const { endpoint } = AI_CONFIG.providerOptions[AI_CONFIG.provider];
+                showDetailedNotification(t('notify.apiKeyWarning'), t('notify.apiKeyWarning.details', { endpoint }), 6000);
+            }
+        }).name(t('gui.backend.apiKey'));
+    keyControl.$input.type = 'password';
+    backendFolder.add(backend_controls, 'test').name(t('gui.backend.test'));
+    backendFolder.close();
+    
+    syncFields();
+}
+
+function setupSoundControls(gui) {
+    const sound_controls = {
+        enabled: settings.get('soundEnabled'),
+        volume: settings.get('soundVolume')
+    };
+    soundscape = createSoundscape({ volume: sound_controls.volume });
+    soundscape.setMuted(!sound_controls.enabled);
+    
+    // Browsers only allow audio after the user interacts with the page
+    const startOnGesture = () => {
+        window.removeEventListener('pointerdown', startOnGesture);
+        window.removeEventListener('keydown', startOnGesture);
+        if (!sound_controls.enabled) return;
+        soundscape.start().catch(error => console.warn('Soundscape could not start:', error));
     };
+    window.addEventListener('pointerdown', startOnGesture);
+    window.addEventListener('keydown', startOnGesture);
+    
+    const soundFolder = gui.addFolder(t('gui.sound'));
+    soundFolder.add(sound_controls, 'enabled').onChange((value) => {
+        soundscape.setMuted(!value);
+        settings.set('soundEnabled', value);
+        if (value && !soundscape.isRunning()) startOnGesture();
+    }).name(t('gui.sound.ambient'));
+    soundFolder.add(sound_controls, 'volume', 0, 1, 0.05).onChange((value) => {
+        soundscape.setVolume(value);
+        settings.set('soundVolume', value);
+    }).name(t('gui.sound.volume'));
+    soundFolder.close();
+}
+
+// =============================================================================
+// VR MODE
+// =============================================================================
+
+// --- WebXR Session ---
+// Each eye draws the scenes from its own view rays (XR shader variants in
+// src/scenes/compose.js) and the headset orientation turns the view
+function setupXR() {
+    renderer.xr.enabled = true;
+    // Raymarched scenes at the native eye-buffer size are too heavy for headsets
+    renderer.xr.setFramebufferScaleFactor(0.6);
+    
+    // three.js poses the XR camera inside render(), so the head rotation is
+    // picked up just before the quad draws, from this frame's pose
+    mesh.onBeforeRender = () => {
+        if (renderer.xr.isPresenting) {
+            flightControls.setHeadPose(renderer.xr.getCamera().quaternion);
+        }
+    };
+    
+    // Controller trigger runs (or turns around) a transformation
+    for (let i = 0; i < 2; i++) {
+        const controller = renderer.xr.getController(i);
+        controller.addEventListener('select', performTransformation);
+        scene.add(controller);
+    }
+    
+    renderer.xr.addEventListener('sessionstart', () => {
+        console.log('Entered VR');
+        warmUpTransitionVariants();
+    });
+    renderer.xr.addEventListener('sessionend', () => {
+        console.log('Left VR');
+        flightControls.setHeadPose(null);
+        warmUpTransitionVariants();
+    });
     
-    return { ...cosmicFact, source: 'Curated Content', timestamp: new Date().toISOString() };
+    // Only offer the button where an immersive session can actually start
+    if (!navigator.xr) return;
+    navigator.xr.isSessionSupported('immersive-vr').then((supported) => {
+        if (supported) document.body.appendChild(VRButton.createButton(renderer));
+    }).catch(error => console.warn('WebXR support check failed:', error));
 }
 
-function formatTopicTitle(topic) {
-    return topic.split(' ')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
+// =============================================================================
+// OFFLINE SUPPORT
+// =============================================================================
+
+// --- Service Worker ---
+// Precaches the app shell and vendored modules (see sw.js)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => console.log('Service worker registered for', registration.scope))
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+// --- Fact Library ---
+// Puts facts generated in earlier sessions, in the current language, back at
+// the front of the panel and lets recent ones answer their topic again
+// without an API call
+async function loadFactLibrary() {
+    try {
+        const saved = (await factLibrary.getFacts()).filter(fact => fact.locale === getLocale());
+        const known = new Set(cosmicFacts.map(getFactId));
+        const restored = saved.filter(fact => !known.has(fact.id));
+        
+        for (const fact of saved) {
+            const age = Date.now() - Date.parse(fact.timestamp);
+            const cacheKey = fact.topic && getFactCacheKey(fact.topic, fact.variant, fact.locale);
+            if (cacheKey && !factCache.has(cacheKey) && age < FACT_CACHE_TTL) {
+                factCache.set(cacheKey, fact);
+            }
+        }
+        if (restored.length > 0) {
+            cosmicFacts.unshift(...restored);
+            updateEducationalContent();
+            console.log(`Restored ${restored.length} facts from the library`);
+        }
+    } catch (error) {
+        console.warn('Fact library unavailable, generated facts will not be kept:', error);
+    }
+}
+
+function rememberFact(fact, topic) {
+    factLibrary.saveFact(fact, topic).catch(error => console.warn('Could not save fact:', error));
+}
+
+// A stored fact about the topic, or any stored fact, in the given language
+async function getOfflineFact(topic, locale) {
+    const inLocale = (facts) => facts.filter(fact => fact.locale === locale);
+    const matches = inLocale(await factLibrary.findByTopic(topic));
+    const pool = matches.length > 0 ? matches : inLocale(await factLibrary.getFacts());
+    return pool.length > 0 ? pool[Math.floor(Math.random() * pool.length)] : null;
+}
+
+// =============================================================================
+// USER DATA
+// =============================================================================
+
+// --- Storage ---
+// IndexedDB with localStorage / in-memory fallbacks (see src/storage/db.js)
+async function openUserData() {
+    const storage = await openStorage();
+    factLibrary = createFactLibrary(storage);
+    viewHistory = createViewHistory(storage);
+    settings = createSettings(storage, SETTINGS_DEFAULTS);
+    
+    try {
+        await settings.load();
+        favouriteFactIds = await factLibrary.getFavouriteIds();
+    } catch (error) {
+        console.warn('Could not restore saved data:', error);
+    }
+    console.log('User data stored in', storage.kind);
+    
+    applyLocale();
+    setupTopicScheduler();
+    setupQuiz();
+}
+
+// --- Language ---
+// The saved choice, else the browser's preferred languages (see src/i18n/)
+function applyLocale() {
+    setLocale(settings.get('language') || detectLocale(navigator.languages || [navigator.language]));
+    document.documentElement.lang = getLocale();
+    localiseCuratedFacts();
+}
+
+// Settings needed before the renderer and GUI are created
+function applySavedSettings() {
+    if (QUALITY_LEVELS.includes(settings.get('quality'))) {
+        qualityLevel = settings.get('quality');
+    }
+    if (settings.get('batteryMode') !== null) {
+        batteryMode = settings.get('batteryMode');
+    }
+    if (PROVIDER_IDS.includes(settings.get('aiProvider'))) {
+        AI_CONFIG.provider = settings.get('aiProvider');
+    }
+    for (const [id, overrides] of Object.entries(settings.get('aiProviderOptions'))) {
+        if (AI_CONFIG.providerOptions[id]) {
+            Object.assign(AI_CONFIG.providerOptions[id], overrides);
+        }
+    }
+}
+
+// =============================================================================
+// MAIN APPLICATION LOGIC & INITIALIZATION
+// =============================================================================
+
+// --- Main Application Logic ---
+async function main() {
+    // Saved settings come first so everything below starts from them
+    await openUserData();
+    applySavedSettings();
+    
+    // Initialize mobile detection and settings
+    detectMobile();
+    setupTransitions();
+    updateQualitySettings();
+    
+    // --- Initialization ---
+    init();
+    
+    // Setup mobile features
+    if (isMobile) {
+        setupTouchGestures();
+    }
+    
+    // Create educational panel
+    createEducationalPanel();
+    createQuizPanel();
+    
+    // Offline support: cached app shell and the saved fact library
+    registerServiceWorker();
+    loadFactLibrary().then(updateFactContext);
+    
+    // Initialize AI features
+    initializeAIFeatures();
+    
+    // --- Start Animation Loop ---
+    // setAnimationLoop also keeps rendering when a VR session takes over
+    renderer.setAnimationLoop(animate);
+}
+
+// --- AI Initialization ---
+async function initializeAIFeatures() {
+    // Check if the selected fact provider is reachable
+    await factPipeline.checkAvailability();
+    
+    // Initialize AI system
+    setTimeout(() => {
+        initializeAISystem();
+    }, 5000);
+}
+
+async function initializeAISystem() {
+    // Test API generation
+    if (AI_CONFIG.apiStatus.providerAvailable) {
+        const testTopics = ['black holes and event horizons', 'neutron stars and pulsars'];
+        
+        let apiCount = 0;
+        
+        for (const topic of testTopics) {
+            try {
+                // Warm-up only: not counted as the user seeing the topic
+                const fact = await generateCosmicFact({ topic, variant: 0 });
+                if (fact && fact.provider) {
+                    apiCount++;
+                }
+                // Small delay between generations
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            } catch (error) {
+                // Silent fail for initialization test
+            }
+        }
+        
+        // Report initialization results
+        if (apiCount > 0) {
+            AI_CONFIG.apiStatus.isWorking = true;
+        }
+    }
 }
 
 function showFactLoadingState() {
@@ -1266,11 +2163,21 @@ function showFactLoadingState() {
     educationalPanel.innerHTML = `
         <div style="text-align: center; padding: 20px;">
             <div style="font-size: 24px; margin-bottom: 15px;">✨</div>
-            <h3 style="margin: 0 0 10px 0; color: #64b5f6;">Generating Fact...</h3>
+            <h3 style="margin: 0 0 10px 0; color: #64b5f6;">${t('panel.generating')}</h3>
             <div style="width: 100%; height: 4px; background: rgba(255,255,255,0.2); border-radius: 2px; overflow: hidden;">
                 <div style="width: 0%; height: 100%; background: #64b5f6; border-radius: 2px; animation: loading 2s ease-in-out;" id="loading-bar"></div>
             </div>
-            <p style="margin: 15px 0 0 0; font-size: 12px; color: #ccc;">Loading cosmic knowledge...</p>
+            <p style="margin: 15px 0 0 0; font-size: 12px; color: #ccc;">${t('panel.generatingDetail')}</p>
+            <button onclick="cancelFactGeneration()" style="
+                margin-top: 12px;
+                background: rgba(255,255,255,0.1);
+                border: 1px solid rgba(255,255,255,0.3);
+                padding: 4px 12px;
+                border-radius: 15px;
+                color: #ccc;
+                font-size: 11px;
+                cursor: pointer;
+            ">${t('panel.cancel')}</button>
         </div>
         <style>
             @keyframes loading {
@@ -1290,11 +2197,21 @@ function showFactLoadingStateWithRetry(attempt) {
     educationalPanel.innerHTML = `
         <div style="text-align: center; padding: 20px;">
             <div style="font-size: 24px; margin-bottom: 15px;">⚠️</div>
-            <h3 style="margin: 0 0 10px 0; color: #ff9800;">Retrying (Attempt ${attempt})...</h3>
+            <h3 style="margin: 0 0 10px 0; color: #ff9800;">${t('panel.retrying', { attempt })}</h3>
             <div style="width: 100%; height: 4px; background: rgba(255,255,255,0.2); border-radius: 2px; overflow: hidden;">
                 <div style="width: 0%; height: 100%; background: #ff9800; border-radius: 2px; animation: loading 1s ease-in-out;" id="loading-bar"></div>
             </div>
-            <p style="margin: 15px 0 0 0; font-size: 12px; color: #ccc;">Attempting to load content...</p>
+            <p style="margin: 15px 0 0 0; font-size: 12px; color: #ccc;">${t('panel.retryingDetail')}</p>
+            <button onclick="cancelFactGeneration()" style="
+                margin-top: 12px;
+                background: rgba(255,255,255,0.1);
+                border: 1px solid rgba(255,255,255,0.3);
+                padding: 4px 12px;
+                border-radius: 15px;
+                color: #ccc;
+                font-size: 11px;
+                cursor: pointer;
+            ">${t('panel.cancel')}</button>
         </div>
         <style>
             @keyframes loading {
@@ -1306,11 +2223,47 @@ function showFactLoadingStateWithRetry(attempt) {
     `;
 }
 
+// Partial fact from a streaming provider, laid out like the finished panel
+// with a cursor after the section still being written
+function showStreamingFact(partial) {
+    if (!educationalPanel) return;
+    
+    const cursor = '<span style="animation: blink 1s step-end infinite;">▍</span>';
+    const writing = partial.physics ? 'physics' : partial.content ? 'content' : 'title';
+    const section = (field) => `${escapeHTML(partial[field])}${field === writing ? cursor : ''}`;
+    
+    educationalPanel.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+            <h3 style="margin: 0; color: #64b5f6;">${section('title')}</h3>
+            <button onclick="cancelFactGeneration()" title="${t('panel.cancelTitle')}" style="
+                background: none;
+                border: none;
+                color: #ccc;
+                font-size: 14px;
+                cursor: pointer;
+            ">✖</button>
+        </div>
+        <p style="margin: 0 0 15px 0; line-height: 1.5;">${partial.content || partial.physics ? section('content') : ''}</p>
+        <div style="border-top: 1px solid rgba(255,255,255,0.2); padding-top: 15px;">
+            <h4 style="margin: 0 0 8px 0; color: #81c784;">${t('panel.physics')}</h4>
+            <p style="margin: 0; line-height: 1.4; font-size: 0.9em;">${partial.physics ? section('physics') : ''}</p>
+        </div>
+        <div style="margin-top: 15px; text-align: center; font-size: 0.7em; color: #888;">
+            ${t('panel.writing', { provider: getProvider(AI_CONFIG.provider).name })}
+        </div>
+        <style>
+            @keyframes blink {
+                50% { opacity: 0; }
+            }
+        </style>
+    `;
+}
+
 function hideFactLoadingState() {
     // This will be called when updateEducationalContent is called
 }
 
-function init(fragmentShader) {
+function init() {
     renderer = new THREE.WebGLRenderer({ 
         antialias: !isMobile, // Disable antialiasing on mobile for performance
         powerPreference: batteryMode ? "low-power" : "high-performance"
@@ -1323,48 +2276,114 @@ function init(fragmentShader) {
     
     document.body.appendChild(renderer.domElement);
 
+    // Scene is drawn offscreen at a frame-time driven scale, then upscaled
+    adaptiveResolution = createAdaptiveResolution(renderer);
+    
+    // Drag / wheel / pinch steering of the view
+    flightControls = createFlightControls(renderer.domElement, { uniforms });
+    
+    // Frame timings for auto-quality and the optional overlay
+    profiler = createFrameProfiler(renderer);
+    profilerOverlay = createProfilerOverlay(profiler, {
+        getDetails: () => {
+            const size = adaptiveResolution.getRenderSize();
+            return {
+                Scale: `${Math.round(adaptiveResolution.getScale() * 100)}% (${size.x}×${size.y})`,
+                Tier: `${qualityLevel}${batteryMode ? ' (battery)' : ''}`,
+                budget: getFrameBudget()
+            };
+        }
+    });
+
     scene = new THREE.Scene();
     camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
     
-    uniforms.resolution.value.x = window.innerWidth;
-    uniforms.resolution.value.y = window.innerHeight;
+    uniforms.resolution.value.copy(adaptiveResolution.getRenderSize());
 
-    material = new THREE.ShaderMaterial({
-        uniforms: uniforms,
-        vertexShader: vertexShader,
-        fragmentShader: fragmentShader,
-    });
+    // --- Shader Compilation ---
+    // Variants are composed from the scene registry (see src/scenes/)
+    sceneMaterials = createSceneMaterialCache({ uniforms, vertexShader, quality: qualityProfile });
 
-    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), sceneMaterials.get(getActiveShaderVariant()));
+    mesh.frustumCulled = false; // Positioned in clip space, never outside the view
     scene.add(mesh);
+    warmUpTransitionVariants();
+    
+    setupXR();
 
     // --- Enhanced GUI Setup ---
     const gui = new GUI();
     
-    // Transform control
+    // Transform control (pressing again mid-transformation turns it around)
     const transition_controls = {
-        transform: performTransformation
+        transform: performTransformation,
+        skip: () => transitions.skip(),
+        speed: settings.get('transitionSpeed')
     };
-    gui.add(transition_controls, 'transform').name('🌌 Enter The Void');
+    transitions.setSpeed(transition_controls.speed);
+    gui.add(transition_controls, 'transform').name(t('gui.transform'));
+    gui.add(transition_controls, 'skip').name(t('gui.skipTransition'));
+    gui.add(transition_controls, 'speed', 0.25, 4.0, 0.25).name(t('gui.transitionSpeed')).onChange((value) => {
+        transitions.setSpeed(value);
+        settings.set('transitionSpeed', value);
+    });
     
     // Quality controls
     const quality_controls = {
         quality: qualityLevel,
-        batteryMode: batteryMode
+        batteryMode: batteryMode,
+        profiler: settings.get('profilerOverlay')
     };
+    profilerOverlay.setVisible(quality_controls.profiler);
     
-    gui.add(quality_controls, 'quality', ['low', 'medium', 'high', 'ultra']).onChange((value) => {
+    gui.add(quality_controls, 'quality', QUALITY_LEVELS).onChange((value) => {
         qualityLevel = value;
+        settings.set('quality', value);
         updateQualitySettings();
-    }).name('🎮 Quality (Ultra = Volumetric)');
+    }).name(t('gui.quality'));
     
     gui.add(quality_controls, 'batteryMode').onChange((value) => {
         batteryMode = value;
+        settings.set('batteryMode', value);
         if (value) {
             qualityLevel = 'low';
             updateQualitySettings();
         }
-    }).name('🔋 Battery Mode');
+    }).name(t('gui.batteryMode'));
+    
+    gui.add(quality_controls, 'profiler').onChange((value) => {
+        profilerOverlay.setVisible(value);
+        settings.set('profilerOverlay', value);
+    }).name(t('gui.performanceOverlay'));
+    
+    // Language: the GUI, panel and facts are built in it, so switching reloads
+    const language_controls = { language: getLocale() };
+    gui.add(language_controls, 'language', Object.fromEntries(
+        Object.entries(getLocaleNames()).map(([code, name]) => [name, code])
+    )).onChange(async (value) => {
+        await settings.set('language', value);
+        window.location.reload();
+    }).name(t('gui.language'));
+    
+    // Flight controls
+    const flight_controls = {
+        steering: settings.get('steering'),
+        autopilotDelay: settings.get('autopilotDelay'),
+        recenter: () => flightControls.reset()
+    };
+    flightControls.setEnabled(flight_controls.steering);
+    flightControls.setAutopilotDelay(flight_controls.autopilotDelay * 1000);
+    const flightFolder = gui.addFolder(t('gui.flight'));
+    flightFolder.add(flight_controls, 'steering').onChange((value) => {
+        flightControls.setEnabled(value);
+        settings.set('steering', value);
+    }).name(t('gui.flight.steering'));
+    flightFolder.add(flight_controls, 'autopilotDelay', 1, 30, 1).onChange((value) => {
+        flightControls.setAutopilotDelay(value * 1000);
+        settings.set('autopilotDelay', value);
+    }).name(t('gui.flight.autopilot'));
+    flightFolder.add(flight_controls, 'recenter').name(t('gui.flight.recenter'));
+    flightFolder.close();
     
     // Educational controls
     const education_controls = {
@@ -1374,58 +2393,85 @@ function init(fragmentShader) {
         generateAIFact: () => generateNewFact(),
         clearAIFacts: () => {
             // Remove AI-generated facts, keep original static ones
-            const originalFactsCount = 6; // Original static facts
-            if (cosmicFacts.length > originalFactsCount) {
-                cosmicFacts.splice(0, cosmicFacts.length - originalFactsCount);
+            if (cosmicFacts.length > STATIC_FACT_COUNT) {
+                cosmicFacts.splice(0, cosmicFacts.length - STATIC_FACT_COUNT);
+                factLibrary.clear().catch(error => console.warn('Could not clear fact library:', error));
                 currentFactIndex = 0;
                 updateEducationalContent();
-                showDetailedNotification('AI Facts Cleared', '🧹 Removed generated facts\n📚 Restored to original content');
+                showDetailedNotification(t('notify.factsCleared'), t('notify.factsCleared.details'));
             }
         },
-        forceRefresh: () => forceRefreshFacts()
+        forceRefresh: () => forceRefreshFacts(),
+        cancelGeneration: () => cancelFactGeneration(),
+        nextFavourite: () => showNextFavourite(),
+        recentlyViewed: () => showRecentlyViewed(),
+        followScene: settings.get('sceneFacts')
     };
     
-    const eduFolder = gui.addFolder('📚 Cosmic Education');
-    eduFolder.add(education_controls, 'showFacts').name('Toggle Facts Panel');
-    eduFolder.add(education_controls, 'nextFact').name('Next Fact →');
-    eduFolder.add(education_controls, 'previousFact').name('← Previous Fact');
+    const eduFolder = gui.addFolder(t('gui.education'));
+    eduFolder.add(education_controls, 'showFacts').name(t('gui.education.showFacts'));
+    eduFolder.add(education_controls, 'nextFact').name(t('gui.education.nextFact'));
+    eduFolder.add(education_controls, 'previousFact').name(t('gui.education.previousFact'));
+    eduFolder.add(education_controls, 'nextFavourite').name(t('gui.education.nextFavourite'));
+    eduFolder.add(education_controls, 'recentlyViewed').name(t('gui.education.recentlyViewed'));
+    eduFolder.add(education_controls, 'followScene').name(t('gui.education.followScene')).onChange((value) => {
+        settings.set('sceneFacts', value);
+        factContextId = null;
+        updateFactContext();
+    });
+    setupSyllabusControls(eduFolder);
+    setupQuizControls(eduFolder);
+    setupNarrationControls(eduFolder);
     
     // AI Controls subfolder
-    const aiFolder = eduFolder.addFolder('🤖 AI Generation');
-    aiFolder.add(education_controls, 'generateAIFact').name('Generate New Fact');
-    aiFolder.add(education_controls, 'clearAIFacts').name('Clear AI Facts');
-    aiFolder.add(education_controls, 'forceRefresh').name('Force Refresh Facts');
+    const aiFolder = eduFolder.addFolder(t('gui.ai'));
+    aiFolder.add(education_controls, 'generateAIFact').name(t('gui.ai.generate'));
+    aiFolder.add(education_controls, 'clearAIFacts').name(t('gui.ai.clear'));
+    aiFolder.add(education_controls, 'forceRefresh').name(t('gui.ai.forceRefresh'));
+    aiFolder.add(education_controls, 'cancelGeneration').name(t('gui.ai.cancel'));
+    setupProviderControls(aiFolder);
     
     // Add info about features
     const infoControls = {
         about: () => {
-            let title = '📚 Cosmic Facts';
-            let content = `📖 High-quality space facts
-🔬 Scientifically accurate content
-⚡ Instant access
-🎯 Educational cosmic content
-🌟 Explore the universe`;
-            
-            showDetailedNotification(title, content, 5000);
+            showDetailedNotification(t('notify.about'), t('notify.about.details'), 5000);
         },
         
         status: () => {
             const status = AI_CONFIG.apiStatus;
             
-            let statusText = `🔍 System Status:
-Mode: ${AI_CONFIG.mode.toUpperCase()}
-Error Count: ${status.errorCount}
-Timeout Setting: ${AI_CONFIG.timeout / 1000}s`;
+            let statusText = t('notify.status.details', {
+                mode: AI_CONFIG.mode.toUpperCase(),
+                provider: getProvider(AI_CONFIG.provider).name,
+                availability: t(status.providerAvailable ? 'notify.status.reachable' : 'notify.status.unreachable'),
+                errors: status.errorCount,
+                timeout: AI_CONFIG.timeout / 1000
+            });
+            const circuit = factPipeline.breaker.getState();
+            statusText += `\n${t('notify.status.circuit', { state: circuit.state.toUpperCase(), failures: circuit.failures })}`;
+            if (circuit.nextRetryAt) {
+                const seconds = Math.max(0, Math.ceil((circuit.nextRetryAt - Date.now()) / 1000));
+                const time = new Date(circuit.nextRetryAt).toLocaleTimeString(getLocale());
+                statusText += `\n${t('notify.status.nextRetry', { time, seconds })}`;
+            }
+            if (status.lastRejection) {
+                statusText += `\n${t('notify.status.lastRejection', { reason: status.lastRejection })}`;
+            }
             
-            showDetailedNotification('📊 System Status', statusText, 4000);
+            showDetailedNotification(t('notify.status'), statusText, 4000);
         }
     };
     
-    aiFolder.add(infoControls, 'about').name('ℹ️ About System');
-    aiFolder.add(infoControls, 'status').name('📊 System Status');
+    aiFolder.add(infoControls, 'about').name(t('gui.ai.about'));
+    aiFolder.add(infoControls, 'status').name(t('gui.ai.status'));
     
     eduFolder.open();
     aiFolder.open();
+    
+    setupTimelineControls(gui);
+    setupAudioControls(gui);
+    setupSoundControls(gui);
+    setupExportControls(gui);
 
     // Mobile instructions with simplified AI info
     if (isMobile) {
@@ -1443,15 +2489,10 @@ Timeout Setting: ${AI_CONFIG.timeout / 1000}s`;
             text-align: center;
             z-index: 1000;
             backdrop-filter: blur(5px);
+            white-space: pre-line;
         `;
         
-        instructions.innerHTML = `
-            📱 Touch Controls:<br>
-            ↕️ Swipe up: Transform • Swipe down: Facts<br>
-            ↔️ Swipe left/right: Navigate facts<br>
-            👆👆 Double tap: Cycle quality (includes Ultra!)<br>
-            🌫️ Ultra mode: Full volumetric atmosphere
-        `;
+        instructions.textContent = t('mobile.instructions');
         document.body.appendChild(instructions);
         
         // Hide instructions after 8 seconds
@@ -1466,36 +2507,72 @@ Timeout Setting: ${AI_CONFIG.timeout / 1000}s`;
 
 function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
-    uniforms.resolution.value.x = window.innerWidth;
-    uniforms.resolution.value.y = window.innerHeight;
+    adaptiveResolution.setSize();
+    uniforms.resolution.value.copy(adaptiveResolution.getRenderSize());
 }
 
-function animate(timestamp) {
-    requestAnimationFrame(animate);
-    
-    // Update FPS monitoring
-    updateFPS(timestamp);
-    
+// Frame time the render loop aims for, matching the throttling in animate()
+function getFrameBudget() {
+    if (batteryMode) return 33; // 30fps
+    if (isMobile && qualityLevel === 'low') return 20; // 50fps
+    return 16.67; // 60fps
+}
+
+function shouldThrottleFrame(timestamp) {
     // Adaptive frame rate limiting for better performance
     const targetFrameTime = batteryMode ? 33 : 16.67; // 30fps or 60fps
-    if (timestamp - lastFrameTime < targetFrameTime - 1) {
-        return; // Skip frame if we're running too fast
+    if (timestamp - lastRenderTime < targetFrameTime - 1) {
+        return true; // Skip frame if we're running too fast
     }
     
     // Additional performance throttling for low-end devices
-    if (isMobile && qualityLevel === 'low' && timestamp - lastFrameTime < 20) {
-        return; // Extra throttling for mobile low quality (50fps max)
+    if (isMobile && qualityLevel === 'low' && timestamp - lastRenderTime < 20) {
+        return true; // Extra throttling for mobile low quality (50fps max)
     }
     
     // High refresh rate display optimization (120Hz+)
     const isHighRefresh = window.screen && window.screen.refreshRate > 90;
-    if (isHighRefresh && !batteryMode && timestamp - lastFrameTime < 12) {
-        return; // Limit to ~83fps even on 120Hz displays
+    if (isHighRefresh && !batteryMode && timestamp - lastRenderTime < 12) {
+        return true; // Limit to ~83fps even on 120Hz displays
     }
     
-    lastFrameTime = timestamp;
-    uniforms.time.value = timestamp / 1000.0;
-    renderer.render(scene, camera);
+    return false;
+}
+
+function animate(timestamp) {
+    // The clip exporter drives the scene while it runs
+    if (isExporting) return;
+    
+    // Headsets pace their own frames; a skipped XR frame shows nothing
+    const presenting = renderer.xr.isPresenting;
+    if (!presenting && shouldThrottleFrame(timestamp)) return;
+    
+    lastRenderTime = timestamp;
+    profiler.beginFrame(timestamp);
+    
+    const deltaSeconds = sceneClock.tick(timestamp);
+    timeline.update(deltaSeconds);
+    updateAudioReactive(deltaSeconds * 1000);
+    syncSceneTime();
+    updateSoundscape(deltaSeconds * 1000);
+    uniforms.resolution.value.copy(adaptiveResolution.getRenderSize());
+    mesh.material = sceneMaterials.get(getActiveShaderVariant());
+    if (presenting) {
+        // Eye buffers are sized by the XR session, not the resolution scaler
+        renderer.render(scene, camera);
+    } else {
+        adaptiveResolution.render(scene, camera);
+    }
+    
+    // Feed each new frame cost sample to the resolution scaler
+    const frameCost = profiler.endFrame();
+    if (frameCost !== null) {
+        adaptiveResolution.setTargetFrameTime(getFrameBudget());
+        adaptiveResolution.recordFrameTime(frameCost, timestamp);
+    }
+    
+    updatePerformance(timestamp);
+    profilerOverlay.update(timestamp);
 }
 
 // --- Initialization ---
@@ -0,0 +1,154 @@
+/**
+ * ============================================================================
+ * CIRCUIT BREAKER
+ * ============================================================================
+ * Keeps a failing fact provider from being hammered:
+ *
+ *   closed -> open -> half-open -> closed
+ *
+ *   closed:    requests flow; consecutive failures are counted
+ *   open:      requests are refused until the backoff delay has passed
+ *              (failureThreshold failures, or a Retry-After from the server)
+ *   half-open: one trial request; success closes the circuit, failure opens
+ *              it again with a doubled delay
+ *
+ * Delays grow exponentially with each re-open, are randomised by `jitter`
+ * so many clients don't retry in lockstep, and never undercut a server's
+ * Retry-After. With a `probe` function the breaker checks the backend by
+ * itself when the delay runs out, instead of waiting for the next request.
+ *
+ * Events (subscribe with on(event, handler)):
+ *   statechange  { state, previous, failures, nextRetryAt }
+ * ============================================================================
+ */
+
+import { createEmitter } from '../utils/emitter.js';
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+const { CLOSED, OPEN, HALF_OPEN } = CIRCUIT_STATES;
+
+// Exponential backoff with jitter: attempt 0 waits about `base` ms
+export function computeBackoff(attempt, { base = 2000, max = 300000, jitter = 0.5, random = Math.random } = {}) {
+    const delay = Math.min(max, base * 2 ** attempt);
+    const jittered = delay * (1 - jitter + random() * jitter * 2);
+    return Math.round(Math.min(max, jittered));
+}
+
+export function createCircuitBreaker({
+    failureThreshold = 5,
+    baseDelay = 2000,
+    maxDelay = 300000,
+    jitter = 0.5,
+    probe = null,
+    now = () => Date.now()
+} = {}) {
+    const emitter = createEmitter();
+    let state = CLOSED;
+    let failures = 0;       // Consecutive failures
+    let opens = 0;          // Consecutive opens, drives the backoff
+    let nextRetryAt = null; // When an open circuit lets a trial through
+    let trialInFlight = false;
+    let probeTimer = null;
+
+    function setState(next) {
+        if (next === state) return;
+        const previous = state;
+        state = next;
+        emitter.emit('statechange', { state, previous, failures, nextRetryAt });
+    }
+
+    function open(retryAfter = null) {
+        const delay = Math.max(
+            computeBackoff(opens, { base: baseDelay, max: maxDelay, jitter }),
+            retryAfter || 0
+        );
+        opens++;
+        trialInFlight = false;
+        nextRetryAt = now() + delay;
+        setState(OPEN);
+        scheduleProbe(delay);
+    }
+
+    // --- Recovery Probe ---
+    function scheduleProbe(delay) {
+        clearTimeout(probeTimer);
+        if (!probe) return;
+        probeTimer = setTimeout(runProbe, delay);
+        probeTimer.unref?.(); // Never keep a Node process (tests) alive
+    }
+
+    async function runProbe() {
+        if (state !== OPEN) return;
+        let healthy = false;
+        try {
+            healthy = await probe();
+        } catch (error) {
+            healthy = false;
+        }
+        if (state !== OPEN) return; // Reset meanwhile
+        if (healthy) {
+            // Reachable again: let the next real request be the trial
+            nextRetryAt = now();
+            setState(HALF_OPEN);
+        } else {
+            open();
+        }
+    }
+
+    // --- Requests ---
+    // Whether a request may go out now; claims the trial slot when half-open
+    function canRequest() {
+        if (state === OPEN && now() >= nextRetryAt) {
+            setState(HALF_OPEN);
+        }
+        if (state === CLOSED) return true;
+        if (state === HALF_OPEN && !trialInFlight) {
+            trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    function recordSuccess() {
+        clearTimeout(probeTimer);
+        failures = 0;
+        opens = 0;
+        nextRetryAt = null;
+        trialInFlight = false;
+        setState(CLOSED);
+    }
+
+    // retryAfter (ms): the server named its own delay, so open right away
+    function recordFailure({ retryAfter = null } = {}) {
+        failures++;
+        if (state === HALF_OPEN || retryAfter !== null || failures >= failureThreshold) {
+            open(retryAfter);
+        }
+    }
+
+    // A request that was cancelled says nothing about the backend; give the
+    // trial slot back
+    function recordCancelled() {
+        trialInFlight = false;
+    }
+
+    // Manual override (Force Refresh)
+    function reset() {
+        recordSuccess();
+    }
+
+    return {
+        on: emitter.on,
+        canRequest,
+        recordSuccess,
+        recordFailure,
+        recordCancelled,
+        reset,
+        getState: () => ({ state, failures, nextRetryAt })
+    };
+}
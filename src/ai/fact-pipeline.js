@@ -0,0 +1,304 @@
+/**
+ * ============================================================================
+ * FACT PIPELINE
+ * ============================================================================
+ * Everything between "we want a fact about X" and a fact object, without any
+ * rendering: topic cache, offline library, rate limit, the selected provider
+ * with its timeout / retry handling behind a circuit breaker, and the
+ * curated fallback.
+ *
+ * The pipeline reads its settings from, and reports into, the config object
+ * it is given (AI_CONFIG in main.js), so the GUI and status dialog keep
+ * working on the same object:
+ *
+ *   config.provider / providerOptions     selected backend (providers/)
+ *   config.mode                           'api' or 'hybrid'
+ *   config.timeout / retryAttempts / retryDelay
+ *   config.circuitBreaker                 options for circuit-breaker.js
+ *   config.rateLimit                      { maxCallsPerMinute, callHistory, lastReset }
+ *   config.apiStatus                      errorCount, lastRejection, ...
+ *
+ * Facts are asked for in a locale (see i18n/): the prompt names the language,
+ * and the fact, its cache key and the curated fallback follow it.
+ *
+ * It has no DOM or three.js dependencies so it runs under Node for the
+ * tests in test/.
+ * ============================================================================
+ */
+
+import { getProvider } from './providers/index.js';
+import { sanitiseText } from './fact-validation.js';
+import { generateStaticFact } from './static-facts.js';
+import { CIRCUIT_STATES, computeBackoff, createCircuitBreaker } from './circuit-breaker.js';
+import { DEFAULT_LOCALE, getBundle } from '../i18n/index.js';
+
+// Later variants of a topic ask for a different angle, so revisiting a topic
+// brings a new fact rather than the model's favourite one again
+const VARIANT_ANGLES = [
+    null,
+    'how scientists discovered or observe it',
+    'a surprising number or comparison that puts its scale in perspective',
+    'an open question researchers are still working on',
+    'its connection to everyday life on Earth'
+];
+
+// The Title / Content / Physics labels stay in English whatever the language,
+// since that is what parseFact() looks for
+export function createFactPrompt(topic, variant = 0, locale = DEFAULT_LOCALE) {
+    const angle = VARIANT_ANGLES[variant % VARIANT_ANGLES.length];
+    const language = locale !== DEFAULT_LOCALE && getBundle(locale).promptLanguage;
+    return `Generate a fascinating space fact about ${topic}.${angle ? ` Focus on ${angle}.` : ''}${language ? `
+    Write the title, content and physics in ${language}, but keep the English labels "Title:", "Content:" and "Physics:".` : ''}
+    Format: Title: [Short Title]
+    Content: [2-3 sentences of engaging description suitable for general audience]
+    Physics: [1-2 sentences explaining the scientific principles involved]
+
+    Make it educational but captivating, suitable for a cosmic visualization app. Focus on real science.`;
+}
+
+// Variant 0 keys by topic alone, as facts restored from the library do;
+// other locales than English are tagged on
+export function getFactCacheKey(topic, variant = 0, locale = DEFAULT_LOCALE) {
+    const key = variant > 0 ? `${topic}#${variant}` : topic;
+    return locale !== DEFAULT_LOCALE ? `${key}@${locale}` : key;
+}
+
+// hooks (all optional):
+//   cache:          Map of getFactCacheKey() -> fact, shared with whoever restores it
+//   isOnline():     false skips straight to the offline library
+//   getOfflineFact(topic, locale) -> stored fact or null
+//   onFact(fact, topic):   a provider fact was accepted (e.g. store it)
+//   onRetry(attempt):      a timed out request is being retried
+//   logger:         console-like object
+export function createFactPipeline(config, {
+    cache = new Map(),
+    isOnline = () => true,
+    getOfflineFact = async () => null,
+    onFact = () => {},
+    onRetry = () => {},
+    logger = console
+} = {}) {
+    const status = config.apiStatus;
+    
+    // Opens after repeated failures; probes the provider to recover by itself
+    const breaker = createCircuitBreaker({
+        ...config.circuitBreaker,
+        probe: () => checkAvailability()
+    });
+    breaker.on('statechange', ({ state, nextRetryAt }) => {
+        const retry = state === CIRCUIT_STATES.OPEN ? `, next try in ${Math.round((nextRetryAt - Date.now()) / 1000)}s` : '';
+        logger.log(`Fact provider circuit ${state}${retry}`);
+    });
+
+    // --- Generation ---
+    // Resolves to a fact, or null when cancelled through signal. variant
+    // picks one of several distinct facts about the topic (see topic-scheduler.js),
+    // locale the language it is written in.
+    async function generateFact(topic, {
+        variant = 0,
+        locale = DEFAULT_LOCALE,
+        signal = new AbortController().signal,
+        onPartial = () => {}
+    } = {}) {
+        logger.log(`Starting fact generation for topic: ${topic} (variant ${variant}, ${locale})`);
+
+        // Check cache first
+        const cacheKey = getFactCacheKey(topic, variant, locale);
+        if (cache.has(cacheKey)) {
+            logger.log('Using cached fact for topic:', topic);
+            return cache.get(cacheKey);
+        }
+
+        // Offline: serve the accumulated library instead of waiting on the API
+        if (!isOnline()) {
+            const offlineFact = await getOfflineFact(topic, locale);
+            if (offlineFact) {
+                logger.log('Offline, using library fact:', offlineFact.title);
+                return offlineFact;
+            }
+        }
+
+        const request = { topic, variant, locale, prompt: createFactPrompt(topic, variant, locale) };
+        const fact = await generateWithProvider(request, { signal, onPartial });
+        if (signal.aborted) return null;
+
+        // Only provider facts are worth keeping; curated ones ship with the app
+        if (fact.provider) {
+            fact.variant = variant;
+            fact.locale = locale;
+            cache.set(cacheKey, fact);
+            onFact(fact, topic);
+        }
+        return fact;
+    }
+
+    // Generate with the selected provider, falling back to curated content
+    async function generateWithProvider(request, stream) {
+        const { topic, locale } = request;
+        status.lastAttempt = new Date().toISOString();
+
+        try {
+            if (!checkRateLimit()) {
+                return generateStaticFact(topic, locale);
+            }
+
+            if ((config.mode === 'api' || config.mode === 'hybrid') && breaker.canRequest()) {
+                const apiResult = await callFactProvider(request, stream);
+                if (apiResult) {
+                    status.isWorking = true;
+                    status.usingFallback = false;
+                    status.providerAvailable = true;
+                    status.errorCount = 0; // Reset error count on success
+                    return apiResult;
+                }
+            }
+
+            status.usingFallback = true;
+            return generateStaticFact(topic, locale);
+
+        } catch (error) {
+            status.errorCount++;
+            return generateStaticFact(topic, locale);
+        }
+    }
+
+    // Call the selected provider with retry logic. signal cancels the whole
+    // generation; onPartial receives the fact so far while it streams.
+    async function callFactProvider(request, { signal, onPartial }, attempt = 1) {
+        if (signal.aborted) return null;
+        const provider = getProvider(config.provider);
+        const options = config.providerOptions[provider.id];
+
+        // The timeout is for silence, not total time: a stream that keeps
+        // producing tokens may take as long as it needs
+        const timeout = provider.timeout || config.timeout;
+        const attemptRequest = new AbortController();
+        const abort = () => attemptRequest.abort(signal.reason);
+        signal.addEventListener('abort', abort);
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                attemptRequest.abort(new DOMException(`Request timed out after ${timeout / 1000}s without data`, 'TimeoutError'));
+            }, timeout);
+        };
+        resetIdleTimer();
+
+        try {
+            logger.log(`${provider.name} call attempt ${attempt} for topic:`, request.topic);
+
+            const result = await provider.generate(request, options, {
+                signal: attemptRequest.signal,
+                onPartial: (partial) => {
+                    resetIdleTimer();
+                    onPartial(partial);
+                }
+            });
+
+            trackCall();
+            breaker.recordSuccess();
+            logger.log(`Successfully parsed ${provider.name} response:`, result.title);
+
+            return {
+                title: result.title,
+                content: result.content,
+                physics: result.physics,
+                source: `${provider.name} (${sanitiseText(String(result.model)).slice(0, 60)})`,
+                provider: provider.id,
+                timestamp: new Date().toISOString(),
+                quality: 'premium',
+                generationTime: result.tokens || 'N/A'
+            };
+
+        } catch (error) {
+            // Cancelled by the user: no retry, and not the backend's fault
+            if (error.name === 'AbortError') {
+                breaker.recordCancelled();
+                return null;
+            }
+
+            status.errorCount++;
+
+            // Malformed or unsafe fact: asking again rarely helps
+            if (error.name === 'FactValidationError') {
+                logger.warn(`${provider.name} fact rejected:`, error.reason);
+                status.lastRejection = error.reason;
+                breaker.recordFailure();
+                return null;
+            }
+
+            const isTimeout = error.name === 'TimeoutError' || error.message.includes('timed out');
+            logger.log(`${provider.name} ${isTimeout ? 'timeout' : 'error'} on attempt ${attempt}:`, error.message);
+
+            // Network or CORS failure: the backend isn't reachable from here
+            if (error.name === 'TypeError') {
+                status.providerAvailable = false;
+            }
+
+            // Rate limited: the server decides when to come back, and without
+            // a Retry-After the breaker's own backoff applies
+            const retryAfter = error.status === 429 ? (error.retryAfter ?? 0) : (error.retryAfter ?? null);
+            breaker.recordFailure({ retryAfter });
+
+            // Timeouts and server errors are retried (client errors are not),
+            // after a backoff and only while the circuit allows it
+            if ((isTimeout || error.status >= 500) && attempt < config.retryAttempts) {
+                await new Promise(resolve => setTimeout(resolve, computeBackoff(attempt - 1, {
+                    base: config.retryDelay,
+                    jitter: config.circuitBreaker?.jitter
+                })));
+                if (!signal.aborted && breaker.canRequest()) {
+                    onRetry(attempt);
+                    return await callFactProvider(request, { signal, onPartial }, attempt + 1);
+                }
+            }
+
+            return null;
+        } finally {
+            clearTimeout(idleTimer);
+            signal.removeEventListener('abort', abort);
+        }
+    }
+
+    // --- Rate Limiting ---
+    function checkRateLimit() {
+        const rateLimit = config.rateLimit;
+        const now = Date.now();
+        const oneMinuteAgo = now - 60000;
+
+        // Reset if more than a minute has passed
+        if (now - rateLimit.lastReset > 60000) {
+            rateLimit.callHistory = [];
+            rateLimit.lastReset = now;
+        }
+
+        rateLimit.callHistory = rateLimit.callHistory.filter(timestamp => timestamp > oneMinuteAgo);
+        return rateLimit.callHistory.length < rateLimit.maxCallsPerMinute;
+    }
+
+    function trackCall() {
+        config.rateLimit.callHistory.push(Date.now());
+    }
+
+    // --- Availability ---
+    async function checkAvailability() {
+        const provider = getProvider(config.provider);
+        try {
+            status.providerAvailable = await provider.checkAvailability(
+                config.providerOptions[provider.id],
+                { signal: AbortSignal.timeout(5000) }
+            );
+        } catch (error) {
+            status.providerAvailable = false;
+        }
+        return status.providerAvailable;
+    }
+
+    return {
+        generateFact,
+        checkRateLimit,
+        checkAvailability,
+        breaker,
+        cache
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * ============================================================================
+ * FACT VALIDATION
+ * ============================================================================
+ * Everything a provider returns is untrusted: a model can ramble, copy the
+ * prompt's markup, or (through a compromised endpoint) send HTML. Replies
+ * are parsed into a candidate fact, sanitised to plain text and checked
+ * against FACT_SCHEMA before the app accepts them:
+ *
+ *   parseFact(reply)         reply object / JSON / "Title: Content: Physics:"
+ *                            text -> valid fact, or throws a validation error
+ *   parsePartialFact(text)   best-effort sections of a reply still streaming
+ *   escapeHTML(text)         for putting any fact text into innerHTML
+ *
+ * Validation errors have name 'FactValidationError' and a human readable
+ * reason for the status dialog.
+ * ============================================================================
+ */
+
+// --- Schema ---
+// Lengths are for sanitised text; the panel is sized for a few sentences
+export const FACT_SCHEMA = {
+    title: { type: 'string', minLength: 3, maxLength: 80 },
+    content: { type: 'string', minLength: 40, maxLength: 700 },
+    physics: { type: 'string', minLength: 20, maxLength: 500 }
+};
+
+const FACT_FIELDS = Object.keys(FACT_SCHEMA);
+
+function createValidationError(reason) {
+    const error = new Error(`Rejected fact: ${reason}`);
+    error.name = 'FactValidationError';
+    error.reason = reason;
+    return error;
+}
+
+// --- Sanitising ---
+// Plain text only: tags, markdown emphasis, control characters and runs of
+// whitespace are removed. Bare < and > (as in "< 20 km") and entities are
+// left as typed; escapeHTML() makes them display literally.
+export function sanitiseText(text) {
+    return text
+        .replace(/<\/?[a-z!][^<>]*>/gi, '')               // Complete HTML tags and comments
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '') // Control characters
+        .replace(/(\*\*|__|`)/g, '')                       // Markdown emphasis and code
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+// --- Validation ---
+export function validateFact(candidate) {
+    if (!candidate || typeof candidate !== 'object') {
+        throw createValidationError('reply contains no fact');
+    }
+
+    const fact = {};
+    for (const [field, rule] of Object.entries(FACT_SCHEMA)) {
+        const value = candidate[field];
+        if (value === undefined || value === null) {
+            throw createValidationError(`"${field}" is missing`);
+        }
+        if (typeof value !== rule.type) {
+            throw createValidationError(`"${field}" should be a ${rule.type}, got ${typeof value}`);
+        }
+        const text = sanitiseText(value);
+        if (text.length < rule.minLength) {
+            throw createValidationError(`"${field}" is too short (${text.length} of at least ${rule.minLength} characters)`);
+        }
+        if (text.length > rule.maxLength) {
+            throw createValidationError(`"${field}" is too long (${text.length} of at most ${rule.maxLength} characters)`);
+        }
+        fact[field] = text;
+    }
+    return fact;
+}
+
+// --- Parsing ---
+// Accepts a fact object or the text the prompt asks for, with the structured
+// (JSON) form preferred when a reply contains one
+export function parseFact(reply) {
+    if (typeof reply !== 'string') {
+        return validateFact(reply);
+    }
+    const candidate = parseFactJSON(reply) || parseFactText(reply);
+    if (Object.keys(candidate).length === 0) {
+        throw createValidationError('reply is neither JSON nor in the Title / Content / Physics format');
+    }
+    return validateFact(candidate);
+}
+
+function parseFactJSON(text) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+        const parsed = JSON.parse(match[0]);
+        if (!parsed || typeof parsed !== 'object') return null;
+        // Models sometimes capitalise the keys like the text format
+        return Object.fromEntries(Object.entries(parsed).map(([key, value]) => [key.toLowerCase(), value]));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Whatever sections of the text format have arrived so far, for rendering a
+// fact while it streams in. Sanitised but not length checked.
+export function parsePartialFact(text) {
+    const fact = parseFactText(text);
+    return Object.fromEntries(FACT_FIELDS.map(field => [field, sanitiseText(fact[field] || '')]));
+}
+
+function parseFactText(text) {
+    const fact = {};
+    let field = null;
+    for (const line of text.split('\n')) {
+        const heading = line.match(/^\s*[*#]*\s*(title|content|physics)\s*[*]*\s*:\s*[*]*\s*(.*)$/i);
+        if (heading) {
+            field = heading[1].toLowerCase();
+            fact[field] = heading[2].trim();
+        } else if (field && line.trim()) {
+            fact[field] += ` ${line.trim()}`;
+        }
+    }
+    // The prompt shows each section as "[...]", which models like to copy
+    for (const key of Object.keys(fact)) {
+        fact[key] = fact[key].replace(/^\[/, '').replace(/\]$/, '').trim();
+    }
+    return fact;
+}
@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * PROVIDER HELPERS
+ * ============================================================================
+ * Shared plumbing for the fact provider adapters: requests that turn HTTP
+ * failures into descriptive errors, and a server-sent events reader for
+ * streamed replies. Turning replies into facts is fact-validation.js's job.
+ * ============================================================================
+ */
+
+// --- Requests ---
+// Retry-After is either seconds or an HTTP date; returns ms or null
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Errors carry the HTTP status (and Retry-After, in ms) so callers can
+// decide whether and when to retry
+export async function request(url, { method = 'POST', body, headers = {}, accept = 'application/json', signal } = {}) {
+    const response = await fetch(url, {
+        method,
+        mode: 'cors',
+        credentials: 'omit', // Don't send cookies cross-origin
+        headers: {
+            'Accept': accept,
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal
+    });
+
+    if (!response.ok) {
+        let message = `HTTP ${response.status}: ${response.statusText}`;
+        if (response.status === 429) {
+            message = 'Rate limit exceeded - please wait before generating more facts';
+        } else if (response.status >= 500) {
+            message = `Server error - ${url} temporarily unavailable`;
+        }
+        const error = new Error(message);
+        error.status = response.status;
+        error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        throw error;
+    }
+    return response;
+}
+
+export async function requestJSON(url, options) {
+    return (await request(url, options)).json();
+}
+
+export function isEventStream(response) {
+    return (response.headers.get('Content-Type') || '').includes('text/event-stream');
+}
+
+// --- Server-Sent Events ---
+// Calls onData with each event's data field until the stream ends or
+// sends [DONE]. Aborting the request's signal rejects the pending read.
+export async function readEventStream(response, onData) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let data = [];
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            buffer += value;
+
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop(); // Keep the unfinished line for the next chunk
+            for (const line of lines) {
+                if (line.startsWith('data:')) {
+                    data.push(line.slice(5).replace(/^ /, ''));
+                } else if (line === '' && data.length > 0) {
+                    // Blank line ends the event
+                    const payload = data.join('\n');
+                    data = [];
+                    if (payload === '[DONE]') return;
+                    onData(payload);
+                }
+            }
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * ============================================================================
+ * FACT PROVIDERS
+ * ============================================================================
+ * Backends that can write a cosmic fact. Each adapter is a plain module:
+ *
+ *   {
+ *       id:                unique identifier, stored in settings
+ *       name:              display name (also used in the fact's source)
+ *       defaults:          { endpoint, model, apiKey? } editable in the GUI
+ *       timeout:           optional request timeout (ms) overriding the app's
+ *       generate({ topic, variant, prompt }, options, { signal, onPartial? })
+ *                       -> { title, content, physics, model, tokens? }
+ *                          (with onPartial the reply is streamed where the
+ *                          backend allows, reporting the fact so far)
+ *       checkAvailability(options, { signal }) -> boolean
+ *   }
+ *
+ * generate() throws on failure; errors from HTTP responses carry a status
+ * and retryAfter (ms, when the server sent one),
+ * replies that fail fact-validation.js throw a FactValidationError.
+ * ============================================================================
+ */
+
+import serverless from './serverless.js';
+import openaiCompatible from './openai-compatible.js';
+import local from './local.js';
+
+const PROVIDERS = [serverless, openaiCompatible, local];
+
+export const PROVIDER_IDS = PROVIDERS.map(provider => provider.id);
+
+export function getProvider(id) {
+    return PROVIDERS.find(provider => provider.id === id) || serverless;
+}
+
+// Fresh editable options for every provider, keyed by id
+export function getDefaultProviderOptions() {
+    return Object.fromEntries(PROVIDERS.map(provider => [provider.id, { ...provider.defaults }]));
+}
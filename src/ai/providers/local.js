@@ -0,0 +1,41 @@
+/**
+ * ============================================================================
+ * LOCAL MODEL PROVIDER
+ * ============================================================================
+ * A model running on this machine. Both llama.cpp's llama-server and Ollama
+ * expose an OpenAI-style /v1/chat/completions route, so only the defaults
+ * differ from the OpenAI-compatible adapter: no key, localhost, and a model
+ * name as the local server knows it.
+ *
+ *   Ollama:    http://localhost:11434/v1/chat/completions (start with
+ *              OLLAMA_ORIGINS set to this site's origin)
+ *   llama.cpp: http://localhost:8080/v1/chat/completions
+ * ============================================================================
+ */
+
+import { requestJSON } from './http.js';
+import { requestChatCompletion } from './openai-compatible.js';
+
+// The models listing sits next to the chat route on both servers
+function getModelsUrl(endpoint) {
+    return endpoint.replace(/\/chat\/completions\/?$/, '/models');
+}
+
+export default {
+    id: 'local',
+    name: 'Local Model',
+    defaults: {
+        endpoint: 'http://localhost:11434/v1/chat/completions',
+        model: 'llama3.2'
+    },
+    timeout: 90000, // CPU inference can take a while
+
+    generate({ prompt }, options, { signal, onPartial } = {}) {
+        return requestChatCompletion(options, prompt, { signal, onPartial });
+    },
+
+    async checkAvailability(options, { signal } = {}) {
+        await requestJSON(getModelsUrl(options.endpoint), { method: 'GET', signal });
+        return true;
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * ============================================================================
+ * OPENAI-COMPATIBLE PROVIDER
+ * ============================================================================
+ * Any chat-completions endpoint (OpenAI, OpenRouter, Groq, ...) called
+ * directly from the browser with the user's own key, sent as a bearer token
+ * to the configured endpoint. The key is only held for the session (never
+ * saved); entering it in the AI backend GUI shows a warning naming where it
+ * will be sent.
+ * ============================================================================
+ */
+
+import { isEventStream, readEventStream, request } from './http.js';
+import { parseFact, parsePartialFact } from '../fact-validation.js';
+
+const SYSTEM_PROMPT = 'You write short, accurate astronomy facts for a space visualisation app. ' +
+    'Answer only in the requested Title / Content / Physics format.';
+
+// Shared with the local provider, which speaks the same protocol. With
+// onPartial the reply is streamed and reported as it grows.
+export async function requestChatCompletion(options, prompt, { signal, headers = {}, onPartial } = {}) {
+    const stream = Boolean(onPartial);
+    const response = await request(options.endpoint, {
+        headers,
+        signal,
+        accept: stream ? 'text/event-stream' : 'application/json',
+        body: {
+            model: options.model,
+            temperature: 0.8,
+            max_tokens: 400,
+            stream,
+            messages: [
+                { role: 'system', content: SYSTEM_PROMPT },
+                { role: 'user', content: prompt }
+            ]
+        }
+    });
+
+    // Servers without streaming support answer with one JSON body anyway
+    const result = stream && isEventStream(response)
+        ? await readChatStream(response, onPartial)
+        : await response.json();
+
+    const reply = result.choices?.[0]?.message?.content;
+    if (typeof reply !== 'string') {
+        throw new Error('Invalid response format');
+    }
+    return {
+        ...parseFact(reply),
+        model: result.model || options.model,
+        tokens: result.usage?.total_tokens
+    };
+}
+
+// Reassemble streamed deltas into the shape of a non-streamed reply
+async function readChatStream(response, onPartial) {
+    let text = '';
+    let model = null;
+    let usage = null;
+
+    await readEventStream(response, (data) => {
+        const chunk = JSON.parse(data);
+        model = chunk.model || model;
+        usage = chunk.usage || usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+            text += delta;
+            onPartial(parsePartialFact(text));
+        }
+    });
+
+    return { model, usage, choices: [{ message: { content: text } }] };
+}
+
+export default {
+    id: 'openai',
+    name: 'OpenAI-Compatible',
+    defaults: {
+        endpoint: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-4o-mini',
+        apiKey: ''
+    },
+
+    generate({ prompt }, options, { signal, onPartial } = {}) {
+        if (!options.apiKey) {
+            throw new Error('No API key set for the OpenAI-compatible provider');
+        }
+        return requestChatCompletion(options, prompt, {
+            signal,
+            onPartial,
+            headers: { 'Authorization': `Bearer ${options.apiKey}` }
+        });
+    },
+
+    // Without a key every request would fail, so don't bother the endpoint
+    async checkAvailability(options) {
+        return Boolean(options.apiKey && options.endpoint);
+    }
+};
@@ -0,0 +1,86 @@
+/**
+ * ============================================================================
+ * SERVERLESS PROVIDER
+ * ============================================================================
+ * The project's own serverless function (deployed separately on Vercel or
+ * Netlify). It keeps the real API key server-side, takes { topic } (plus
+ * variant, locale and the app's prompt, for servers that want to vary or
+ * translate facts) and replies with
+ * { success, fact, metadata: { model, tokens_used } }, or { fallback: true }
+ * when it wants the app to use curated content.
+ *
+ * When asked to stream ({ ..., stream: true }) a server that supports it
+ * answers with server-sent events instead: { text } deltas of the model's
+ * Title / Content / Physics reply, then one final event in the JSON reply
+ * shape above (fact may be omitted, the streamed text is used instead).
+ * Servers that don't stream just send the JSON reply.
+ *
+ * When rate limited (429/503) the server should send Retry-After, listed in
+ * Access-Control-Expose-Headers so the browser lets the app read it.
+ * ============================================================================
+ */
+
+import { isEventStream, readEventStream, request } from './http.js';
+import { parseFact, parsePartialFact } from '../fact-validation.js';
+
+// Collect { text } deltas until the final reply event
+async function readFactStream(response, onPartial) {
+    let text = '';
+    let result = null;
+
+    await readEventStream(response, (data) => {
+        const event = JSON.parse(data);
+        if (typeof event.text === 'string') {
+            text += event.text;
+            onPartial(parsePartialFact(text));
+        } else {
+            result = event;
+        }
+    });
+
+    if (!result) {
+        throw new Error('Stream ended without a final reply');
+    }
+    return result.success && !result.fact ? { ...result, fact: text } : result;
+}
+
+export default {
+    id: 'serverless',
+    name: 'Serverless API',
+    defaults: {
+        // CHANGE THIS TO YOUR DEPLOYED URL
+        endpoint: 'https://cosmic-wanderer-eosin.vercel.app/api/generate-fact',
+        model: ''
+    },
+
+    async generate({ topic, variant = 0, locale = 'en', prompt }, options, { signal, onPartial } = {}) {
+        const stream = Boolean(onPartial);
+        const response = await request(options.endpoint, {
+            body: { topic, variant, locale, prompt, ...(stream ? { stream } : {}) },
+            accept: stream ? 'text/event-stream, application/json' : 'application/json',
+            signal
+        });
+        const result = stream && isEventStream(response)
+            ? await readFactStream(response, onPartial)
+            : await response.json();
+
+        if (result.success && result.fact) {
+            return {
+                ...parseFact(result.fact),
+                model: result.metadata?.model || 'unknown model',
+                tokens: result.metadata?.tokens_used
+            };
+        }
+        if (result.fallback) {
+            console.log('Server suggested fallback, debug info:', result.debug);
+            throw new Error('Server suggested fallback');
+        }
+        throw new Error('Invalid response format');
+    },
+
+    // Pre-flight check
+    async checkAvailability(options, { signal } = {}) {
+        const response = await fetch(options.endpoint, { method: 'OPTIONS', signal });
+        return response.ok;
+    }
+};
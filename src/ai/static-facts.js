@@ -0,0 +1,41 @@
+/**
+ * ============================================================================
+ * CURATED FALLBACK FACTS
+ * ============================================================================
+ * Hand-written facts used whenever no provider can answer (offline, rate
+ * limited, backend down or reply rejected). Matched by keyword in the topic,
+ * with a generic fact for anything else, in the requested locale.
+ * ============================================================================
+ */
+
+import { LOCALES, DEFAULT_LOCALE, interpolate } from '../i18n/index.js';
+
+// Templates live in the locale bundles (fallbackFacts), keyed by an English
+// keyword so topics match whatever language the fact is shown in
+export function generateStaticFact(topic, locale = DEFAULT_LOCALE) {
+    const templates = { ...LOCALES[DEFAULT_LOCALE].fallbackFacts, ...LOCALES[locale]?.fallbackFacts };
+    const { generic, ...keywords } = templates;
+
+    // Find matching template or create generic one
+    for (const [key, template] of Object.entries(keywords)) {
+        if (topic.toLowerCase().includes(key)) {
+            return { ...template, locale, source: 'Curated Content', timestamp: new Date().toISOString() };
+        }
+    }
+
+    // Generic cosmic fact for unknown topics
+    const params = { title: formatTopicTitle(topic) };
+    const cosmicFact = {
+        title: interpolate(generic.title, params),
+        content: interpolate(generic.content, params),
+        physics: interpolate(generic.physics, params)
+    };
+
+    return { ...cosmicFact, locale, source: 'Curated Content', timestamp: new Date().toISOString() };
+}
+
+export function formatTopicTitle(topic) {
+    return topic.split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
@@ -0,0 +1,116 @@
+/**
+ * ============================================================================
+ * TOPIC SCHEDULER
+ * ============================================================================
+ * Decides what the next fact is about. Instead of a random pick it works
+ * through the curriculum: the least covered topics come first, recently
+ * shown ones are skipped, and each visit to a topic moves on to its next
+ * variant so repeated topics bring new facts (the fact cache is keyed by
+ * topic + variant).
+ *
+ * next({ prefer }) biases free scheduling toward a set of topics (those of
+ * the scene on screen) without stalling the rest of the curriculum.
+ *
+ * A pinned syllabus (e.g. a teacher's plan for a class session) overrides
+ * both and is followed in order; when it runs out, free scheduling resumes.
+ *
+ * Events (subscribe with on(event, handler)):
+ *   syllabusprogress  { topic, position, total }
+ *   syllabuscomplete  { total }
+ * ============================================================================
+ */
+
+import { createEmitter } from '../utils/emitter.js';
+
+export function normaliseTopic(topic) {
+    return topic.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// state: a previous getState(), to carry coverage across sessions
+export function createTopicScheduler(topics, {
+    variantsPerTopic = 3,
+    recentWindow = 8,
+    preferBias = 0.75, // Share of free picks drawn from preferred topics
+    random = Math.random,
+    state = null
+} = {}) {
+    const emitter = createEmitter();
+    const curriculum = [...new Set(topics.map(normaliseTopic))];
+    let counts = { ...state?.counts };    // topic -> times shown
+    let recent = [...(state?.recent || [])];
+    let syllabus = state?.syllabus || null; // { topics, position }
+
+    // --- Free Scheduling ---
+    // Least covered of `pool`, skipping recent topics while others are left
+    function chooseTopic(pool) {
+        const windowSize = Math.min(recentWindow, pool.length - 1);
+        const avoid = new Set(windowSize > 0 ? recent.slice(-windowSize) : []);
+        const candidates = pool.filter(topic => !avoid.has(topic));
+        const lowest = Math.min(...candidates.map(topic => counts[topic] || 0));
+        const least = candidates.filter(topic => (counts[topic] || 0) === lowest);
+        return least[Math.floor(random() * least.length)];
+    }
+
+    // Record a visit; returns the topic with the variant to show
+    function visit(topic) {
+        topic = normaliseTopic(topic);
+        const shown = counts[topic] || 0;
+        counts[topic] = shown + 1;
+        recent = [...recent.filter(entry => entry !== topic), topic].slice(-recentWindow);
+        return { topic, variant: shown % variantsPerTopic };
+    }
+
+    // prefer: topics to favour, need not be in the curriculum
+    function next({ prefer = [] } = {}) {
+        if (syllabus) {
+            const topic = syllabus.topics[syllabus.position];
+            syllabus = { ...syllabus, position: syllabus.position + 1 };
+            emitter.emit('syllabusprogress', { topic, position: syllabus.position, total: syllabus.topics.length });
+            if (syllabus.position >= syllabus.topics.length) {
+                emitter.emit('syllabuscomplete', { total: syllabus.topics.length });
+                syllabus = null;
+            }
+            return visit(topic);
+        }
+        const preferred = [...new Set(prefer.map(normaliseTopic))];
+        if (preferred.length > 0 && random() < preferBias) {
+            return visit(chooseTopic(preferred));
+        }
+        return visit(chooseTopic(curriculum));
+    }
+
+    // --- Syllabus ---
+    // topics: ordered list, or null / [] to go back to free scheduling
+    function setSyllabus(list) {
+        const planned = (list || []).map(normaliseTopic).filter(Boolean);
+        syllabus = planned.length > 0 ? { topics: planned, position: 0 } : null;
+    }
+
+    // --- Reporting ---
+    function getCoverage() {
+        const covered = curriculum.filter(topic => counts[topic] > 0);
+        return {
+            covered: covered.length,
+            total: curriculum.length,
+            uncovered: curriculum.filter(topic => !counts[topic])
+        };
+    }
+
+    function reset() {
+        counts = {};
+        recent = [];
+    }
+
+    return {
+        on: emitter.on,
+        next,
+        visit,
+        setSyllabus,
+        getSyllabus: () => syllabus,
+        getCoverage,
+        getTopics: () => curriculum,
+        // Plain data for persisting
+        getState: () => ({ counts: { ...counts }, recent: [...recent], syllabus }),
+        reset
+    };
+}
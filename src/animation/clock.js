@@ -0,0 +1,50 @@
+/**
+ * ============================================================================
+ * SCENE CLOCK
+ * ============================================================================
+ * Single source of animation time for shaders and transitions. In realtime
+ * mode it follows requestAnimationFrame timestamps; export mode advances it
+ * by fixed steps instead, so the same clip renders identically every time.
+ * ============================================================================
+ */
+
+export function createSceneClock({ maxDelta = 0.1 } = {}) {
+    let elapsed = 0;          // Scene time in seconds
+    let timeScale = 1.0;
+    let lastTimestamp = null;
+    let lastStep = 0;         // Scaled seconds of the most recent advance
+
+    // Advance from a requestAnimationFrame timestamp (ms). Long gaps such as a
+    // background tab are clamped so animations don't jump ahead. Returns the
+    // unscaled real delta in seconds.
+    function tick(timestamp) {
+        const delta = lastTimestamp === null ? 0 : Math.min((timestamp - lastTimestamp) / 1000, maxDelta);
+        lastTimestamp = timestamp;
+        step(delta);
+        return delta;
+    }
+
+    // Advance by a fixed amount of real seconds, returns scaled scene seconds
+    function step(seconds) {
+        const scaled = seconds * timeScale;
+        elapsed += scaled;
+        lastStep = scaled;
+        return scaled;
+    }
+
+    // Forget the last timestamp, e.g. after an export paused realtime ticking
+    function resync() {
+        lastTimestamp = null;
+    }
+
+    return {
+        tick,
+        step,
+        resync,
+        getTime: () => elapsed,
+        getDelta: () => lastStep,
+        setTime: (seconds) => { elapsed = seconds; },
+        getTimeScale: () => timeScale,
+        setTimeScale: (scale) => { timeScale = scale; }
+    };
+}
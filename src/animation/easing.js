@@ -0,0 +1,29 @@
+/**
+ * ============================================================================
+ * EASING CURVES
+ * ============================================================================
+ * Named easing functions for timeline keyframes. Each maps progress in [0, 1]
+ * to eased progress in [0, 1].
+ * ============================================================================
+ */
+
+export const EASINGS = {
+    linear: (t) => t,
+    hold: (t) => (t < 1 ? 0 : 1), // Jump at the keyframe
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => t * (2 - t),
+    easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t))
+};
+
+export function getEasing(name = 'linear') {
+    const easing = EASINGS[name];
+    if (!easing) {
+        throw new Error(`Unknown easing "${name}"`);
+    }
+    return easing;
+}
@@ -0,0 +1,192 @@
+/**
+ * ============================================================================
+ * TIMELINE SEQUENCER
+ * ============================================================================
+ * Plays JSON scripts of keyframes and events for choreographed journeys:
+ *
+ *   {
+ *       "name": "Journey to the Singularity",
+ *       "duration": 30,
+ *       "tracks": {
+ *           "interstellar_mix": [
+ *               { "time": 0, "value": 0 },
+ *               { "time": 4, "value": 1, "ease": "easeInOutCubic" }
+ *           ]
+ *       },
+ *       "events": [
+ *           { "time": 5, "type": "showFact", "fact": "Black Holes" },
+ *           { "time": 6, "type": "notify", "key": "notify.enteringVoid", "title": "Entering The Void" }
+ *       ]
+ *   }
+ *
+ * Track names must match a registered target (uniforms, timeScale, camera
+ * parameters...). A keyframe's ease shapes the segment arriving at it.
+ * Notify events may name a locale string key (see src/i18n/); title and
+ * details are the literal text used when the key is missing or unknown.
+ * Events fire when playback crosses their time; on seek, every event before
+ * the new time is replayed with { seeking: true } so handlers can restore
+ * state (scene changes) and skip one-off effects (notifications).
+ * ============================================================================
+ */
+
+import { getEasing } from './easing.js';
+
+// --- Script Validation ---
+function normalizeScript(script, targets) {
+    if (!script || typeof script !== 'object') {
+        throw new Error('Timeline script must be a JSON object');
+    }
+
+    const tracks = [];
+    for (const [name, keyframes] of Object.entries(script.tracks || {})) {
+        if (!targets[name]) {
+            throw new Error(`Unknown timeline track "${name}"`);
+        }
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            throw new Error(`Track "${name}" needs at least one keyframe`);
+        }
+        const sorted = keyframes.map((keyframe) => {
+            if (typeof keyframe.time !== 'number' || typeof keyframe.value !== 'number') {
+                throw new Error(`Track "${name}" has a keyframe without numeric time/value`);
+            }
+            return { time: keyframe.time, value: keyframe.value, ease: getEasing(keyframe.ease) };
+        }).sort((a, b) => a.time - b.time);
+        tracks.push({ name, keyframes: sorted });
+    }
+
+    const events = (script.events || []).map((event) => {
+        if (typeof event.time !== 'number' || !event.type) {
+            throw new Error('Timeline events need a numeric time and a type');
+        }
+        return { ...event };
+    }).sort((a, b) => a.time - b.time);
+
+    const lastKeyframe = Math.max(0, ...tracks.map(track => track.keyframes[track.keyframes.length - 1].time));
+    const lastEvent = events.length ? events[events.length - 1].time : 0;
+
+    return {
+        name: script.name || 'Untitled Journey',
+        duration: Math.max(script.duration || 0, lastKeyframe, lastEvent),
+        loop: Boolean(script.loop),
+        tracks,
+        events
+    };
+}
+
+function sampleTrack(keyframes, time) {
+    if (time <= keyframes[0].time) return keyframes[0].value;
+    for (let i = 1; i < keyframes.length; i++) {
+        const next = keyframes[i];
+        if (time < next.time) {
+            const previous = keyframes[i - 1];
+            const progress = (time - previous.time) / (next.time - previous.time);
+            return previous.value + (next.value - previous.value) * next.ease(progress);
+        }
+    }
+    return keyframes[keyframes.length - 1].value;
+}
+
+// --- Timeline ---
+// targets:  { name: (value) => void }
+// onEvent:  (event, { seeking }) => void
+// onRewind: () => void, called before events are replayed from the start
+export function createTimeline({ targets = {}, onEvent = () => {}, onRewind = () => {} } = {}) {
+    let script = null;
+    let time = 0;
+    let playing = false;
+    let nextEventIndex = 0;
+
+    function registerTarget(name, setter) {
+        targets[name] = setter;
+    }
+
+    function applyTracks() {
+        for (const track of script.tracks) {
+            targets[track.name](sampleTrack(track.keyframes, time));
+        }
+    }
+
+    function fireEventsUntil(limit, seeking) {
+        while (nextEventIndex < script.events.length && script.events[nextEventIndex].time <= limit) {
+            onEvent(script.events[nextEventIndex], { seeking });
+            nextEventIndex++;
+        }
+    }
+
+    function load(json) {
+        script = normalizeScript(typeof json === 'string' ? JSON.parse(json) : json, targets);
+        playing = false;
+        time = 0;
+        nextEventIndex = 0;
+        return script;
+    }
+
+    function seek(newTime) {
+        if (!script) return;
+        time = Math.min(Math.max(newTime, 0), script.duration);
+        nextEventIndex = 0;
+        onRewind();
+        fireEventsUntil(time, true);
+        applyTracks();
+    }
+
+    function restart() {
+        time = 0;
+        nextEventIndex = 0;
+        onRewind();
+        fireEventsUntil(0, false);
+        applyTracks();
+    }
+
+    function play() {
+        if (!script) return;
+        // Starting from the top applies t=0 events and initial values immediately
+        if (time >= script.duration || (time === 0 && nextEventIndex === 0)) restart();
+        playing = true;
+    }
+
+    function pause() {
+        playing = false;
+    }
+
+    function stop() {
+        playing = false;
+        seek(0);
+    }
+
+    // Advance by real (unscaled) seconds
+    function update(deltaSeconds) {
+        if (!script || !playing) return;
+
+        time += deltaSeconds;
+        if (time >= script.duration) {
+            time = script.duration;
+            fireEventsUntil(time, false);
+            applyTracks();
+            if (script.loop) {
+                restart();
+            } else {
+                playing = false;
+            }
+            return;
+        }
+        fireEventsUntil(time, false);
+        applyTracks();
+    }
+
+    return {
+        registerTarget,
+        load,
+        play,
+        pause,
+        stop,
+        seek,
+        update,
+        isPlaying: () => playing,
+        isLoaded: () => script !== null,
+        getTime: () => time,
+        getDuration: () => (script ? script.duration : 0),
+        getName: () => (script ? script.name : null),
+        setLoop: (loop) => { if (script) script.loop = loop; }
+    };
+}
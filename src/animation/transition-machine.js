@@ -0,0 +1,192 @@
+/**
+ * ============================================================================
+ * TRANSITION STATE MACHINE
+ * ============================================================================
+ * Drives a transformation from one scene to another through explicit states:
+ *
+ *   idle -> warping-in -> crossfading -> holding -> warping-out -> idle
+ *
+ *   warping-in:  interstellar_mix 0 -> 1 (warp covers the current scene)
+ *   crossfading: transition_progress 0 -> 1 toward the destination
+ *   holding:     settled on the destination, warp still on screen
+ *   warping-out: interstellar_mix 1 -> 0 revealing the destination
+ *
+ * A transition can be reversed at any point (it heads back to the scene it
+ * came from without popping), skipped to its end, or sped up. Progress is
+ * advanced from the render loop with scene-time deltas, so transitions also
+ * work in offline export.
+ *
+ * Events (subscribe with on(event, handler)):
+ *   statechange  { state, previous, scene, target }
+ *   start        { from, to }
+ *   reverse      { from, to }
+ *   scenechange  { scene, previous }   (a transition landed, a cut happened or
+ *                                      a crossfade was reversed)
+ *   complete     { scene }
+ * ============================================================================
+ */
+
+import { createEmitter } from '../utils/emitter.js';
+
+export const TRANSITION_STATES = {
+    IDLE: 'idle',
+    WARPING_IN: 'warping-in',
+    CROSSFADING: 'crossfading',
+    HOLDING: 'holding',
+    WARPING_OUT: 'warping-out'
+};
+
+const { IDLE, WARPING_IN, CROSSFADING, HOLDING, WARPING_OUT } = TRANSITION_STATES;
+
+export function createTransitionMachine({ uniforms, durations = {} }) {
+    const emitter = createEmitter();
+    const timing = { warp: 1500, crossfade: 1500, hold: 1000, ...durations };
+
+    let state = IDLE;
+    let scene = 0;              // Scene currently settled on (crossfade source)
+    let target = null;          // Scene being crossfaded in
+    let journey = null;         // { from, to } of the transformation in flight
+    let holdElapsed = 0;
+    let speed = 1.0;
+
+    const mix = uniforms.interstellar_mix;
+    const progress = uniforms.transition_progress;
+
+    function setState(next) {
+        const previous = state;
+        state = next;
+        emitter.emit('statechange', { state, previous, scene, target });
+    }
+
+    function settle(index) {
+        const previous = scene;
+        scene = index;
+        target = null;
+        progress.value = 0.0;
+        if (previous !== index) {
+            emitter.emit('scenechange', { scene, previous });
+        }
+    }
+
+    // --- Controls ---
+    function start(destination) {
+        if (state !== IDLE || destination === scene) return false;
+        journey = { from: scene, to: destination };
+        target = destination;
+        emitter.emit('start', { ...journey });
+        setState(WARPING_IN);
+        return true;
+    }
+
+    // Head back to where the transition came from, continuing from the
+    // current uniform values so nothing pops
+    function reverse() {
+        if (state === IDLE) return false;
+        journey = { from: journey.to, to: journey.from };
+
+        switch (state) {
+            case WARPING_IN:
+                // Still on the origin scene: just warp back out
+                target = null;
+                setState(WARPING_OUT);
+                break;
+            case CROSSFADING:
+                // mix(a, b, p) == mix(b, a, 1 - p), so swap ends in place
+                [scene, target] = [target, scene];
+                progress.value = 1.0 - progress.value;
+                emitter.emit('scenechange', { scene, previous: target });
+                break;
+            case HOLDING:
+                target = journey.to;
+                setState(CROSSFADING);
+                break;
+            case WARPING_OUT:
+                target = journey.to;
+                setState(WARPING_IN);
+                break;
+        }
+        emitter.emit('reverse', { ...journey });
+        return true;
+    }
+
+    // Jump straight to the end of the transition in flight
+    function skip() {
+        if (state === IDLE) return false;
+        settle(journey.to);
+        mix.value = 0.0;
+        finish();
+        return true;
+    }
+
+    function finish() {
+        journey = null;
+        setState(IDLE);
+        emitter.emit('complete', { scene });
+    }
+
+    // Cut to a scene with no transition (timeline scripts, export restore)
+    function cut(index) {
+        journey = null;
+        settle(index);
+        if (state !== IDLE) setState(IDLE);
+    }
+
+    // Crossfade target for externally driven transition_progress (timelines)
+    function setCrossfadeTarget(index) {
+        target = index;
+    }
+
+    // --- Stepping ---
+    function update(deltaMs) {
+        if (state === IDLE || deltaMs <= 0) return;
+        const step = deltaMs * speed;
+
+        switch (state) {
+            case WARPING_IN:
+                mix.value = Math.min(mix.value + step / timing.warp, 1.0);
+                if (mix.value >= 1.0) {
+                    setState(target === null ? WARPING_OUT : CROSSFADING);
+                }
+                break;
+            case CROSSFADING:
+                progress.value = Math.min(progress.value + step / timing.crossfade, 1.0);
+                if (progress.value >= 1.0) {
+                    // Settle on the new scene while the warp still covers the screen
+                    settle(target);
+                    holdElapsed = 0;
+                    setState(HOLDING);
+                }
+                break;
+            case HOLDING:
+                holdElapsed += step;
+                if (holdElapsed >= timing.hold) {
+                    setState(WARPING_OUT);
+                }
+                break;
+            case WARPING_OUT:
+                mix.value = Math.max(mix.value - step / timing.warp, 0.0);
+                if (mix.value <= 0.0) {
+                    finish();
+                }
+                break;
+        }
+    }
+
+    return {
+        on: emitter.on,
+        start,
+        reverse,
+        skip,
+        cut,
+        setCrossfadeTarget,
+        update,
+        getState: () => state,
+        isIdle: () => state === IDLE,
+        getScene: () => scene,
+        getTarget: () => target,
+        getJourney: () => (journey ? { ...journey } : null),
+        getSpeed: () => speed,
+        setSpeed: (value) => { speed = Math.max(0.1, value); },
+        setDurations: (values) => Object.assign(timing, values)
+    };
+}
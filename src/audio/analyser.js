@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * AUDIO ANALYSER
+ * ============================================================================
+ * Splits live audio from the microphone or a local file into three
+ * frequency bands plus a beat onset pulse, all roughly 0..1:
+ *
+ *   bass:   20 - 250 Hz
+ *   mid:    250 - 2000 Hz
+ *   treble: 2000 - 8000 Hz
+ *   beat:   jumps to 1 when bass energy spikes above its recent average,
+ *           then decays
+ *
+ * Gain only scales what the analyser sees; a file still plays at its own
+ * volume. A file the browser won't play yet (dropped rather than picked
+ * from a click) starts with the next click or key press instead.
+ * ============================================================================
+ */
+
+import { getAudioContext, nextUserGesture, openAudioContext } from './context.js';
+
+export const AUDIO_SOURCES = ['off', 'microphone', 'file'];
+
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 8000]
+};
+
+const BEAT_HISTORY = 43;         // ~0.7 s of bass energy at 60fps
+const BEAT_THRESHOLD = 1.4;      // Onset when bass exceeds the average by this factor
+const BEAT_FLOOR = 0.08;         // Ignore onsets in near-silence
+const BEAT_COOLDOWN = 250;       // ms between onsets
+const BEAT_DECAY = 8.0;          // Pulse decay rate per second
+
+export function createAudioAnalyser({ fftSize = 2048, smoothing = 0.75 } = {}) {
+    let context = null;
+    let analyser = null;
+    let gainNode = null;
+    let frequencyData = null;
+    let source = 'off';
+    let input = null;           // { node, stop() } of the connected source
+    let gain = 1.0;
+    let fileRequest = 0;        // Latest useFile() call, so stale ones back out
+
+    const bands = { bass: 0, mid: 0, treble: 0, beat: 0 };
+    const bassHistory = [];
+    let sinceBeat = Infinity;
+
+    function ensureGraph() {
+        if (analyser) return;
+        context = openAudioContext();
+        gainNode = context.createGain();
+        gainNode.gain.value = gain;
+        analyser = context.createAnalyser();
+        analyser.fftSize = fftSize;
+        analyser.smoothingTimeConstant = smoothing;
+        gainNode.connect(analyser);
+        frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    }
+
+    function disconnectInput() {
+        if (!input) return;
+        input.node.disconnect();
+        input.stop();
+        input = null;
+    }
+
+    // --- Sources ---
+    async function useMicrophone() {
+        await getAudioContext();
+        ensureGraph();
+        fileRequest++;
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        disconnectInput();
+        const node = context.createMediaStreamSource(stream);
+        // Analysed only: routing the mic to the speakers would feed back
+        node.connect(gainNode);
+        input = { node, stop: () => stream.getTracks().forEach(track => track.stop()) };
+        source = 'microphone';
+    }
+
+    // onWaitingForGesture: called when playback has to wait for a click
+    async function useFile(file, { onWaitingForGesture } = {}) {
+        ensureGraph();
+        const request = ++fileRequest;
+        const element = new Audio();
+        const url = URL.createObjectURL(file);
+        element.src = url;
+        element.loop = true;
+
+        try {
+            try {
+                await element.play();
+            } catch (error) {
+                // Not started from a user gesture (e.g. dropped): retry on the next click
+                if (error.name !== 'NotAllowedError') throw error;
+                onWaitingForGesture?.();
+                await nextUserGesture();
+                if (request !== fileRequest) throw cancelled();
+                await element.play();
+            }
+            if (context.state === 'suspended') await context.resume();
+            if (request !== fileRequest) throw cancelled();
+        } catch (error) {
+            element.pause();
+            element.removeAttribute('src');
+            element.load();
+            URL.revokeObjectURL(url);
+            throw error;
+        }
+
+        disconnectInput();
+        const node = context.createMediaElementSource(element);
+        node.connect(gainNode);
+        node.connect(context.destination);
+        input = {
+            node,
+            stop: () => {
+                element.pause();
+                URL.revokeObjectURL(url);
+            }
+        };
+        source = 'file';
+    }
+
+    function stop() {
+        fileRequest++;
+        disconnectInput();
+        source = 'off';
+        Object.assign(bands, { bass: 0, mid: 0, treble: 0, beat: 0 });
+        bassHistory.length = 0;
+    }
+
+    // Another source was picked while this file waited to start
+    function cancelled() {
+        const error = new Error('Audio file start cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    // --- Analysis ---
+    function bandLevel([low, high]) {
+        const binWidth = context.sampleRate / analyser.fftSize;
+        const first = Math.max(1, Math.floor(low / binWidth));
+        const last = Math.min(frequencyData.length - 1, Math.ceil(high / binWidth));
+        let sum = 0;
+        for (let i = first; i <= last; i++) sum += frequencyData[i];
+        return sum / ((last - first + 1) * 255);
+    }
+
+    function detectBeat(bass, deltaMs) {
+        const average = bassHistory.length
+            ? bassHistory.reduce((total, value) => total + value, 0) / bassHistory.length
+            : bass;
+        bassHistory.push(bass);
+        if (bassHistory.length > BEAT_HISTORY) bassHistory.shift();
+
+        sinceBeat += deltaMs;
+        if (bass > BEAT_FLOOR && bass > average * BEAT_THRESHOLD && sinceBeat >= BEAT_COOLDOWN) {
+            sinceBeat = 0;
+            return true;
+        }
+        return false;
+    }
+
+    // Call once per rendered frame with the real elapsed time
+    function update(deltaMs) {
+        if (!input) return bands;
+
+        analyser.getByteFrequencyData(frequencyData);
+        bands.bass = bandLevel(BANDS.bass);
+        bands.mid = bandLevel(BANDS.mid);
+        bands.treble = bandLevel(BANDS.treble);
+
+        bands.beat *= Math.exp(-BEAT_DECAY * deltaMs / 1000);
+        if (detectBeat(bands.bass, deltaMs)) bands.beat = 1.0;
+        return bands;
+    }
+
+    return {
+        useMicrophone,
+        useFile,
+        stop,
+        update,
+        getBands: () => ({ ...bands }),
+        getSource: () => source,
+        isActive: () => input !== null,
+        setGain: (value) => {
+            gain = value;
+            if (gainNode) gainNode.gain.value = value;
+        }
+    };
+}
@@ -0,0 +1,54 @@
+/**
+ * ============================================================================
+ * AUDIO CONTEXT
+ * ============================================================================
+ * One AudioContext shared by every audio feature. Browsers only let it run
+ * after a user gesture, so it is created lazily and resumed from inside the
+ * click / key handler that needs sound.
+ * ============================================================================
+ */
+
+let context = null;
+
+export function isAudioSupported() {
+    return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+}
+
+// The shared context, created if needed; it may still be suspended
+export function openAudioContext() {
+    if (!isAudioSupported()) {
+        throw new Error('Web Audio is not supported in this browser');
+    }
+    if (!context) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        context = new AudioContextClass();
+    }
+    return context;
+}
+
+// Call from a user gesture; resolves once the context is running
+export async function getAudioContext() {
+    openAudioContext();
+    if (context.state === 'suspended') {
+        await context.resume();
+    }
+    return context;
+}
+
+// Resolves on the next click or key press. For sound requested outside a
+// user gesture (a file drop isn't one), which the browser won't start yet.
+export function nextUserGesture() {
+    const events = ['click', 'keydown'];
+    return new Promise((resolve) => {
+        const onGesture = () => {
+            events.forEach(type => window.removeEventListener(type, onGesture, true));
+            resolve();
+        };
+        events.forEach(type => window.addEventListener(type, onGesture, true));
+    });
+}
+
+// The context if something already created it, without creating one
+export function peekAudioContext() {
+    return context;
+}
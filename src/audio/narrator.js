@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ * NARRATOR
+ * ============================================================================
+ * Reads text aloud with the Web Speech API (speechSynthesis), one sentence
+ * per utterance:
+ *
+ *   - the sentence being spoken is reported, so the panel can highlight it
+ *   - pause() / resume() work by cancelling and re-speaking the current
+ *     sentence, since speechSynthesis.pause() is ignored on some platforms
+ *   - short utterances avoid Chrome cutting off long ones after ~15s
+ *
+ * Text comes in sections ({ id, text }, e.g. a fact's title, content and
+ * physics); sentences are numbered within their section the same way
+ * splitSentences() numbers them, so the panel can mark them up in advance.
+ *
+ * Events (subscribe with on(event, handler)):
+ *   start           { total }
+ *   sentence        { section, index, text, position, total }
+ *   pause / resume / stop
+ *   end             (everything was spoken)
+ *   error           { error }
+ *   voiceschanged   { voices }
+ * ============================================================================
+ */
+
+import { createEmitter } from '../utils/emitter.js';
+
+export const NARRATOR_STATES = {
+    IDLE: 'idle',
+    SPEAKING: 'speaking',
+    PAUSED: 'paused'
+};
+
+const { IDLE, SPEAKING, PAUSED } = NARRATOR_STATES;
+
+// Split on sentence-ending punctuation followed by whitespace, so decimals
+// ("2.5") stay whole
+export function splitSentences(text) {
+    return text.split(/(?<=[.!?]['")\]]*)\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+export function createNarrator({
+    synth = globalThis.speechSynthesis,
+    Utterance = globalThis.SpeechSynthesisUtterance
+} = {}) {
+    const emitter = createEmitter();
+    const supported = Boolean(synth && Utterance);
+    let state = IDLE;
+    let sentences = [];   // { section, index, text }
+    let position = 0;
+    let current = null;   // Utterance in flight; others' events are stale
+    let voice = null;
+    let lang = '';        // Used when no voice is chosen
+    let rate = 1.0;
+
+    if (supported) {
+        synth.addEventListener?.('voiceschanged', () => {
+            emitter.emit('voiceschanged', { voices: getVoices() });
+        });
+    }
+
+    function getVoices() {
+        return supported ? synth.getVoices() : [];
+    }
+
+    // --- Speaking ---
+    function speakCurrent() {
+        const sentence = sentences[position];
+        const utterance = new Utterance(sentence.text);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        } else if (lang) {
+            utterance.lang = lang;
+        }
+        utterance.rate = rate;
+        utterance.onend = () => {
+            if (current !== utterance) return;
+            current = null;
+            position++;
+            if (position < sentences.length) {
+                speakCurrent();
+            } else {
+                state = IDLE;
+                emitter.emit('end');
+            }
+        };
+        utterance.onerror = (event) => {
+            if (current !== utterance) return;
+            emitter.emit('error', { error: event.error });
+            stop();
+        };
+
+        current = utterance;
+        emitter.emit('sentence', { ...sentence, position, total: sentences.length });
+        synth.speak(utterance);
+    }
+
+    // Interrupt the utterance in flight without its events counting
+    function silence() {
+        current = null;
+        synth.cancel();
+    }
+
+    // sections: [{ id, text }], spoken in order; replaces anything in progress
+    function speak(sections) {
+        if (!supported) return false;
+        if (state !== IDLE) silence();
+
+        sentences = sections.flatMap(({ id, text }) =>
+            splitSentences(text || '').map((sentence, index) => ({ section: id, index, text: sentence })));
+        position = 0;
+        if (sentences.length === 0) {
+            state = IDLE;
+            return false;
+        }
+
+        state = SPEAKING;
+        emitter.emit('start', { total: sentences.length });
+        speakCurrent();
+        return true;
+    }
+
+    // --- Controls ---
+    function pause() {
+        if (state !== SPEAKING) return false;
+        state = PAUSED;
+        silence();
+        emitter.emit('pause');
+        return true;
+    }
+
+    // Starts over at the beginning of the sentence that was interrupted
+    function resume() {
+        if (state !== PAUSED) return false;
+        state = SPEAKING;
+        emitter.emit('resume');
+        speakCurrent();
+        return true;
+    }
+
+    function stop() {
+        if (state === IDLE) return;
+        state = IDLE;
+        silence();
+        sentences = [];
+        emitter.emit('stop');
+    }
+
+    // name: a voice from getVoices(), or '' for the browser default
+    function setVoice(name) {
+        voice = getVoices().find(candidate => candidate.name === name) || null;
+    }
+
+    return {
+        on: emitter.on,
+        isSupported: () => supported,
+        getVoices,
+        speak,
+        pause,
+        resume,
+        stop,
+        setVoice,
+        // Rate, voice and language apply from the next sentence
+        setRate: (value) => { rate = value; },
+        // BCP 47 tag (e.g. 'id'), so the browser picks a matching default voice
+        setLang: (value) => { lang = value || ''; },
+        getState: () => state
+    };
+}
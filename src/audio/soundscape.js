@@ -0,0 +1,270 @@
+/**
+ * ============================================================================
+ * PROCEDURAL SOUNDSCAPE
+ * ============================================================================
+ * Generative ambience that follows what is on screen:
+ *
+ *   tunnel:      detuned sawtooth drone breathing through a slow filter
+ *   singularity: sub rumble plus tones that keep bending downward, as if
+ *                redshifted on their way out of the well
+ *   warp:        noise whoosh whose band sweeps up with interstellar_mix
+ *
+ * Each scene voice is keyed by scene id and faded by the weight the render
+ * loop passes to update(). Nothing is created until start() is called from
+ * a user gesture, so browser autoplay rules are respected.
+ * ============================================================================
+ */
+
+import { getAudioContext } from './context.js';
+
+const GLIDE = 0.12; // Time constant (s) for parameter changes
+
+// Only push parameter changes that are audible, not every frame's jitter
+function glide(context, param, value, last) {
+    if (last !== undefined && Math.abs(last - value) < 0.002) return last;
+    param.setTargetAtTime(value, context.currentTime, GLIDE);
+    return value;
+}
+
+function createNoiseBuffer(context, brown = false) {
+    const length = context.sampleRate * 2;
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    let last = 0;
+    for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+        if (brown) {
+            // Integrated white noise: energy piled into the low end
+            last = (last + 0.02 * white) / 1.02;
+            data[i] = last * 3.5;
+        } else {
+            data[i] = white;
+        }
+    }
+    return buffer;
+}
+
+function createNoiseSource(context, buffer) {
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    source.start();
+    return source;
+}
+
+// --- Scene Voices ---
+// Each returns { output: AudioNode, update?(seconds), stop() }
+function createTunnelVoice(context) {
+    const output = context.createGain();
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 420;
+    filter.Q.value = 4;
+    filter.connect(output);
+
+    const oscillators = [55, 55.4, 82.4, 110.3].map((frequency, index) => {
+        const oscillator = context.createOscillator();
+        oscillator.type = index < 2 ? 'sawtooth' : 'triangle';
+        oscillator.frequency.value = frequency;
+        const level = context.createGain();
+        level.gain.value = index < 2 ? 0.22 : 0.12;
+        oscillator.connect(level).connect(filter);
+        oscillator.start();
+        return oscillator;
+    });
+
+    // Slow breathing of the filter cutoff
+    const lfo = context.createOscillator();
+    const lfoDepth = context.createGain();
+    lfo.frequency.value = 0.07;
+    lfoDepth.gain.value = 260;
+    lfo.connect(lfoDepth).connect(filter.frequency);
+    lfo.start();
+
+    return {
+        output,
+        stop: () => [...oscillators, lfo].forEach(node => node.stop())
+    };
+}
+
+function createSingularityVoice(context, noise) {
+    const output = context.createGain();
+
+    // Sub rumble: brown noise under a low lowpass plus a sine fundamental
+    const rumbleFilter = context.createBiquadFilter();
+    rumbleFilter.type = 'lowpass';
+    rumbleFilter.frequency.value = 110;
+    const rumbleLevel = context.createGain();
+    rumbleLevel.gain.value = 0.9;
+    const rumble = createNoiseSource(context, noise.brown);
+    rumble.connect(rumbleFilter).connect(rumbleLevel).connect(output);
+
+    const sub = context.createOscillator();
+    sub.frequency.value = 36;
+    const subLevel = context.createGain();
+    subLevel.gain.value = 0.35;
+    sub.connect(subLevel).connect(output);
+    sub.start();
+
+    // Falling tones: restarted high every few seconds, then pulled down
+    const tones = [0, 1].map((index) => {
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        const level = context.createGain();
+        level.gain.value = 0.0;
+        oscillator.connect(level).connect(output);
+        oscillator.start();
+        return { oscillator, level, base: index === 0 ? 392 : 587, next: index * 3.5 };
+    });
+    let elapsed = 0;
+
+    function update(seconds) {
+        elapsed += seconds;
+        for (const tone of tones) {
+            if (elapsed < tone.next) continue;
+            const now = context.currentTime;
+            const frequency = tone.oscillator.frequency;
+            frequency.cancelScheduledValues(now);
+            frequency.setValueAtTime(tone.base, now);
+            frequency.exponentialRampToValueAtTime(tone.base * 0.25, now + 6.5);
+            tone.level.gain.cancelScheduledValues(now);
+            tone.level.gain.setValueAtTime(0.0, now);
+            tone.level.gain.linearRampToValueAtTime(0.08, now + 1.2);
+            tone.level.gain.linearRampToValueAtTime(0.0, now + 6.5);
+            tone.next = elapsed + 7.0;
+        }
+    }
+
+    return {
+        output,
+        update,
+        stop: () => [rumble, sub, ...tones.map(tone => tone.oscillator)].forEach(node => node.stop())
+    };
+}
+
+const SCENE_VOICES = {
+    tunnel: createTunnelVoice,
+    singularity: createSingularityVoice
+};
+
+// --- Warp Whoosh ---
+function createWhoosh(context, noise) {
+    const output = context.createGain();
+    output.gain.value = 0.0;
+    const band = context.createBiquadFilter();
+    band.type = 'bandpass';
+    band.Q.value = 1.2;
+    band.frequency.value = 200;
+    const source = createNoiseSource(context, noise.white);
+    source.connect(band).connect(output);
+    return { output, band, stop: () => source.stop() };
+}
+
+// --- Soundscape ---
+export function createSoundscape({ volume = 0.5 } = {}) {
+    let context = null;
+    let starting = null;        // Pending start(), so repeated gestures build once
+    let master = null;
+    let voices = {};            // scene id -> voice
+    let whoosh = null;
+    let muted = false;
+    let hidden = false;
+    const last = {};            // Last value pushed per parameter
+
+    function masterLevel() {
+        return muted || hidden ? 0.0 : volume;
+    }
+
+    function applyMaster() {
+        if (master) master.gain.setTargetAtTime(masterLevel(), context.currentTime, GLIDE);
+    }
+
+    // Must be called from a user gesture
+    function start() {
+        if (!starting) {
+            starting = build().catch((error) => {
+                starting = null;
+                throw error;
+            });
+        }
+        return starting;
+    }
+
+    async function build() {
+        context = await getAudioContext();
+
+        const compressor = context.createDynamicsCompressor();
+        master = context.createGain();
+        master.gain.value = 0.0;
+        master.connect(compressor).connect(context.destination);
+
+        const noise = {
+            white: createNoiseBuffer(context),
+            brown: createNoiseBuffer(context, true)
+        };
+        for (const [id, createVoice] of Object.entries(SCENE_VOICES)) {
+            const voice = createVoice(context, noise);
+            voice.output.gain.value = 0.0;
+            voice.output.connect(master);
+            voices[id] = voice;
+        }
+        whoosh = createWhoosh(context, noise);
+        whoosh.output.connect(master);
+        applyMaster();
+    }
+
+    // weights: { sceneId: 0..1 } for the scenes on screen
+    // warp:    interstellar_mix
+    function update({ weights = {}, warp = 0 }, deltaMs) {
+        if (!context) return;
+        const seconds = deltaMs / 1000;
+
+        for (const [id, voice] of Object.entries(voices)) {
+            last[id] = glide(context, voice.output.gain, weights[id] || 0, last[id]);
+            voice.update?.(seconds);
+        }
+
+        // Whoosh swells through the middle of the warp and sweeps upward
+        const swell = Math.sin(Math.PI * Math.min(Math.max(warp, 0), 1));
+        last.whoosh = glide(context, whoosh.output.gain, swell * 0.6 + warp * 0.15, last.whoosh);
+        last.band = glide(context, whoosh.band.frequency, 200 + warp * warp * 3800, last.band);
+    }
+
+    function stop() {
+        if (!context) return;
+        for (const voice of Object.values(voices)) {
+            voice.stop();
+            voice.output.disconnect();
+        }
+        whoosh.stop();
+        whoosh.output.disconnect();
+        master.disconnect();
+        voices = {};
+        whoosh = null;
+        master = null;
+        context = null;
+        starting = null;
+    }
+
+    // Don't drone on from a background tab
+    document.addEventListener('visibilitychange', () => {
+        hidden = document.hidden;
+        applyMaster();
+    });
+
+    return {
+        start,
+        stop,
+        update,
+        isRunning: () => context !== null,
+        isMuted: () => muted,
+        setMuted: (value) => {
+            muted = value;
+            applyMaster();
+        },
+        setVolume: (value) => {
+            volume = value;
+            applyMaster();
+        }
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * ============================================================================
+ * CLIP EXPORTER
+ * ============================================================================
+ * Offline, frame-accurate rendering of the visualisation. The caller steps
+ * the scene by a fixed 1/fps per frame (advance) and draws it into an
+ * offscreen target (renderFrame); each frame is read back and written to:
+ *
+ *   png-zip: numbered PNG sequence in a ZIP archive
+ *   webm:    VP9/VP8 via WebCodecs VideoEncoder with exact timestamps,
+ *            falling back to MediaRecorder paced in real time
+ * ============================================================================
+ */
+
+import * as THREE from 'three';
+import { createZipWriter } from './zip.js';
+import { muxWebM } from './webm-muxer.js';
+import { canvasToBlob } from './download.js';
+
+export const EXPORT_FORMATS = ['png-zip', 'webm'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- PNG Sequence Sink ---
+function createPngSequenceSink(canvas) {
+    const zip = createZipWriter();
+    return {
+        async addFrame(index) {
+            const name = `frame_${String(index).padStart(5, '0')}.png`;
+            await zip.addFile(name, await canvasToBlob(canvas, 'image/png'));
+        },
+        async finish() {
+            return { blob: zip.finish(), extension: 'zip' };
+        }
+    };
+}
+
+// --- WebCodecs Sink ---
+async function pickVideoCodec(width, height, fps) {
+    const bitrate = Math.round(width * height * fps * 0.15);
+    for (const codec of ['vp09.00.10.08', 'vp8']) {
+        const config = { codec, width, height, bitrate, framerate: fps };
+        const support = await VideoEncoder.isConfigSupported(config);
+        if (support.supported) return config;
+    }
+    return null;
+}
+
+async function createVideoEncoderSink(canvas, fps) {
+    const config = await pickVideoCodec(canvas.width, canvas.height, fps);
+    if (!config) return null;
+
+    const chunks = [];
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            chunks.push({ data, timestamp: chunk.timestamp, type: chunk.type });
+        },
+        error: (error) => { encodeError = error; }
+    });
+    encoder.configure(config);
+
+    const frameDuration = 1e6 / fps; // microseconds
+    return {
+        async addFrame(index) {
+            if (encodeError) throw encodeError;
+            const frame = new VideoFrame(canvas, {
+                timestamp: Math.round(index * frameDuration),
+                duration: Math.round(frameDuration)
+            });
+            encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+            frame.close();
+            // Backpressure: don't queue up hundreds of full-size frames
+            while (encoder.encodeQueueSize > 4) await sleep(5);
+        },
+        async finish(frameCount) {
+            await encoder.flush();
+            encoder.close();
+            if (encodeError) throw encodeError;
+            const blob = muxWebM({
+                chunks,
+                width: canvas.width,
+                height: canvas.height,
+                codec: config.codec,
+                duration: frameCount / fps
+            });
+            return { blob, extension: 'webm' };
+        }
+    };
+}
+
+// --- MediaRecorder Sink ---
+// Timestamps come from the wall clock, so frames are presented at 1/fps
+// intervals; the clip is only frame-accurate if rendering keeps up.
+function createMediaRecorderSink(canvas, fps) {
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * 0.15)
+    });
+    const data = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) data.push(event.data);
+    };
+    recorder.start();
+
+    const frameInterval = 1000 / fps;
+    let nextFrameAt = performance.now();
+    return {
+        async addFrame() {
+            const wait = nextFrameAt - performance.now();
+            if (wait > 0) await sleep(wait);
+            track.requestFrame();
+            nextFrameAt = Math.max(nextFrameAt + frameInterval, performance.now());
+        },
+        async finish() {
+            await sleep(frameInterval);
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            recorder.stop();
+            await stopped;
+            track.stop();
+            return { blob: new Blob(data, { type: 'video/webm' }), extension: 'webm' };
+        }
+    };
+}
+
+async function createSink(format, canvas, fps) {
+    if (format === 'png-zip') return createPngSequenceSink(canvas);
+    if (typeof VideoEncoder !== 'undefined') {
+        const sink = await createVideoEncoderSink(canvas, fps);
+        if (sink) return sink;
+    }
+    if (typeof MediaRecorder !== 'undefined' && canvas.captureStream) {
+        console.warn('WebCodecs unavailable, recording WebM in real time with MediaRecorder');
+        return createMediaRecorderSink(canvas, fps);
+    }
+    throw new Error('WebM export is not supported in this browser');
+}
+
+// --- Export ---
+export async function exportClip({
+    renderer,
+    width,
+    height,
+    fps,
+    duration,
+    format = 'png-zip',
+    advance,                    // (seconds, frameIndex) => void, steps the scene
+    renderFrame,                // (renderTarget, width, height) => void
+    onProgress = () => {},
+    shouldCancel = () => false
+}) {
+    const maxSize = renderer.capabilities.maxTextureSize;
+    if (width > maxSize || height > maxSize) {
+        throw new Error(`Export size exceeds the GPU limit of ${maxSize}px`);
+    }
+
+    const frameCount = Math.max(1, Math.round(duration * fps));
+    const target = new THREE.WebGLRenderTarget(width, height, { depthBuffer: false, stencilBuffer: false });
+    const pixels = new Uint8Array(width * height * 4);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(width, height);
+    const rowSize = width * 4;
+
+    const sink = await createSink(format, canvas, fps);
+
+    try {
+        for (let frame = 0; frame < frameCount; frame++) {
+            if (shouldCancel()) throw new Error('Export cancelled');
+
+            advance(frame === 0 ? 0 : 1 / fps, frame);
+            renderFrame(target, width, height);
+            renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+
+            // WebGL rows start at the bottom
+            for (let y = 0; y < height; y++) {
+                const source = (height - 1 - y) * rowSize;
+                imageData.data.set(pixels.subarray(source, source + rowSize), y * rowSize);
+            }
+            context.putImageData(imageData, 0, 0);
+
+            await sink.addFrame(frame);
+            onProgress((frame + 1) / frameCount);
+        }
+        return await sink.finish(frameCount);
+    } finally {
+        target.dispose();
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * ============================================================================
+ * FILE DOWNLOAD
+ * ============================================================================
+ * Saves a generated Blob (clip, still) through a temporary object URL.
+ * ============================================================================
+ */
+
+export function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas encoding failed')), type);
+    });
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
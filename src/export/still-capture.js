@@ -0,0 +1,80 @@
+/**
+ * ============================================================================
+ * TILED STILL CAPTURE
+ * ============================================================================
+ * Renders one frame at sizes well beyond the GPU's render target limits
+ * (8K and up) by drawing it in tiles. Every tile renders the full-frame
+ * `resolution` with a `tile_offset` added to gl_FragCoord, so the shaders
+ * see the same coordinates they would for one giant canvas. Tiles are read
+ * back and stitched into a single PNG.
+ * ============================================================================
+ */
+
+import * as THREE from 'three';
+import { canvasToBlob } from './download.js';
+
+// Upper bound for the size controls, not a guarantee: browsers limit canvas
+// area rather than sides (Chrome about 268M pixels, Safari and iOS about
+// 16.7M), so large stills can still fail - see the context check below
+export const MAX_STILL_SIZE = 16384;
+
+export async function captureTiledStill({
+    renderer,
+    width,
+    height,
+    tileSize = 1024,
+    renderTile,                 // (renderTarget, width, height, offsetX, offsetY) => void
+    onProgress = () => {}
+}) {
+    if (width > MAX_STILL_SIZE || height > MAX_STILL_SIZE) {
+        throw new Error(`Still size is limited to ${MAX_STILL_SIZE}px per side`);
+    }
+
+    // Browsers refuse oversized canvases by returning no context
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    if (!context) {
+        const megapixels = (width * height / 1e6).toFixed(1);
+        throw new Error(`${width}×${height} (${megapixels} MP) is larger than this browser's canvas limit, try a smaller size`);
+    }
+
+    const size = Math.min(tileSize, renderer.capabilities.maxTextureSize);
+    const target = new THREE.WebGLRenderTarget(size, size, { depthBuffer: false, stencilBuffer: false });
+    const pixels = new Uint8Array(size * size * 4);
+
+    const columns = Math.ceil(width / size);
+    const rows = Math.ceil(height / size);
+    let done = 0;
+
+    try {
+        // Tile offsets are in GL coordinates (origin bottom-left)
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const offsetX = column * size;
+                const offsetY = row * size;
+                const tileWidth = Math.min(size, width - offsetX);
+                const tileHeight = Math.min(size, height - offsetY);
+
+                renderTile(target, width, height, offsetX, offsetY);
+                renderer.readRenderTargetPixels(target, 0, 0, tileWidth, tileHeight, pixels);
+
+                const tile = context.createImageData(tileWidth, tileHeight);
+                const rowSize = tileWidth * 4;
+                for (let y = 0; y < tileHeight; y++) {
+                    const source = (tileHeight - 1 - y) * rowSize;
+                    tile.data.set(pixels.subarray(source, source + rowSize), y * rowSize);
+                }
+                context.putImageData(tile, offsetX, height - offsetY - tileHeight);
+
+                onProgress(++done / (rows * columns));
+                // Let the page breathe between tiles
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        return await canvasToBlob(canvas, 'image/png');
+    } finally {
+        target.dispose();
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * ============================================================================
+ * WEBM MUXER
+ * ============================================================================
+ * Packs encoded VP8/VP9 chunks from VideoEncoder into a WebM file. Every
+ * chunk keeps the timestamp it was encoded with, so the video plays back at
+ * exactly the exported frame rate regardless of how long rendering took.
+ * Only what a single video track needs is written (no cues, no audio).
+ * ============================================================================
+ */
+
+const TIMECODE_SCALE = 1000000; // 1 ms per timecode unit
+
+// --- EBML Encoding ---
+function encodeSize(size) {
+    for (let width = 1; width <= 8; width++) {
+        if (size < 2 ** (7 * width) - 1) {
+            const bytes = new Uint8Array(width);
+            let value = size;
+            for (let i = width - 1; i >= 0; i--) {
+                bytes[i] = value & 0xFF;
+                value = Math.floor(value / 256);
+            }
+            bytes[0] |= 0x80 >> (width - 1);
+            return bytes;
+        }
+    }
+    throw new Error(`EBML element too large: ${size} bytes`);
+}
+
+function encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value & 0xFF);
+    }
+    return new Uint8Array(bytes);
+}
+
+function encodeUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value & 0xFF);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function encodeFloat(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return new Uint8Array(view.buffer);
+}
+
+// An element is a list of byte parts, so large frame data is never copied
+function element(id, children) {
+    const parts = children.flat();
+    const size = parts.reduce((total, part) => total + part.byteLength, 0);
+    return [encodeId(id), encodeSize(size), ...parts];
+}
+
+const uint = (id, value) => element(id, [encodeUint(value)]);
+const text = (id, value) => element(id, [new TextEncoder().encode(value)]);
+const float = (id, value) => element(id, [encodeFloat(value)]);
+
+// --- Blocks & Clusters ---
+function simpleBlock(chunk, clusterTime) {
+    const header = new Uint8Array(4);
+    const relative = Math.round(chunk.timestamp / 1000) - clusterTime;
+    header[0] = 0x81;                       // Track number 1
+    header[1] = (relative >> 8) & 0xFF;     // Signed 16-bit timecode
+    header[2] = relative & 0xFF;
+    header[3] = chunk.type === 'key' ? 0x80 : 0x00;
+    return element(0xA3, [header, chunk.data]);
+}
+
+function buildClusters(chunks) {
+    const clusters = [];
+    let current = null;
+    for (const chunk of chunks) {
+        const time = Math.round(chunk.timestamp / 1000);
+        // New cluster on keyframes, and before the 16-bit relative timecode overflows
+        if (!current || chunk.type === 'key' || time - current.time > 30000) {
+            current = { time, blocks: [] };
+            clusters.push(current);
+        }
+        current.blocks.push(simpleBlock(chunk, current.time));
+    }
+    return clusters.map(cluster => element(0x1F43B675, [uint(0xE7, cluster.time), ...cluster.blocks]));
+}
+
+// --- File Assembly ---
+// chunks: [{ data: Uint8Array, timestamp: microseconds, type: 'key' | 'delta' }]
+export function muxWebM({ chunks, width, height, codec, duration }) {
+    const header = element(0x1A45DFA3, [
+        uint(0x4286, 1),            // EBMLVersion
+        uint(0x42F7, 1),            // EBMLReadVersion
+        uint(0x42F2, 4),            // EBMLMaxIDLength
+        uint(0x42F3, 8),            // EBMLMaxSizeLength
+        text(0x4282, 'webm'),       // DocType
+        uint(0x4287, 2),            // DocTypeVersion
+        uint(0x4285, 2)             // DocTypeReadVersion
+    ]);
+
+    const info = element(0x1549A966, [
+        uint(0x2AD7B1, TIMECODE_SCALE),
+        text(0x4D80, 'Into The Unknown'),
+        text(0x5741, 'Into The Unknown'),
+        float(0x4489, duration * 1000)
+    ]);
+
+    const tracks = element(0x1654AE6B, [
+        element(0xAE, [
+            uint(0xD7, 1),                                      // TrackNumber
+            uint(0x73C5, 1),                                    // TrackUID
+            uint(0x83, 1),                                      // TrackType: video
+            text(0x86, codec.startsWith('vp09') ? 'V_VP9' : 'V_VP8'),
+            element(0xE0, [uint(0xB0, width), uint(0xBA, height)])
+        ])
+    ]);
+
+    const segment = element(0x18538067, [info, tracks, ...buildClusters(chunks)]);
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+}
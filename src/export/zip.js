@@ -0,0 +1,87 @@
+/**
+ * ============================================================================
+ * ZIP ARCHIVE (STORE)
+ * ============================================================================
+ * Minimal uncompressed ZIP writer for PNG sequences. PNGs are already
+ * compressed, so storing them as-is keeps export fast and dependency-free.
+ * ============================================================================
+ */
+
+// --- CRC32 ---
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// --- Archive Builder ---
+export function createZipWriter() {
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+    const encoder = new TextEncoder();
+
+    async function addFile(name, blob) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);  // Local file header signature
+        header.setUint16(4, 20, true);          // Version needed
+        header.setUint16(6, 0x0800, true);      // UTF-8 names
+        header.setUint16(8, 0, true);           // Method: store
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+
+        parts.push(header.buffer, nameBytes, data);
+        entries.push({ nameBytes, crc, size: data.length, offset });
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    function finish() {
+        const centralStart = offset;
+        for (const entry of entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true); // Central directory signature
+            record.setUint16(4, 20, true);         // Version made by
+            record.setUint16(6, 20, true);         // Version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+            parts.push(record.buffer, entry.nameBytes);
+            offset += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);        // End of central directory
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, offset - centralStart, true);
+        end.setUint32(16, centralStart, true);
+        parts.push(end.buffer);
+
+        return new Blob(parts, { type: 'application/zip' });
+    }
+
+    return { addFile, finish };
+}
@@ -0,0 +1,62 @@
+/**
+ * ============================================================================
+ * I18N
+ * ============================================================================
+ * Locale bundles (locales/) and the current locale. Each bundle has:
+ *
+ *   name             shown in the GUI language switch
+ *   promptLanguage   language the AI is asked to write facts in (null = as is)
+ *   strings          GUI, panel and notification text by key; {name}
+ *                    placeholders are filled from t()'s params
+ *   facts            curated facts' text, by fact id
+ *   fallbackFacts    offline fallback templates (see static-facts.js)
+ *
+ * Anything a bundle doesn't translate falls back to English, then to the key
+ * itself, so a missing string shows up as its key rather than as nothing.
+ * ============================================================================
+ */
+
+import en from './locales/en.js';
+import id from './locales/id.js';
+
+export const LOCALES = { en, id };
+export const DEFAULT_LOCALE = 'en';
+
+let current = DEFAULT_LOCALE;
+
+// First supported locale among the browser's preferences ('id-ID' -> 'id')
+export function detectLocale(languages = []) {
+    for (const language of languages) {
+        const base = String(language).toLowerCase().split('-')[0];
+        if (LOCALES[base]) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export function setLocale(locale) {
+    current = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+    return current;
+}
+
+export const getLocale = () => current;
+
+export const getBundle = (locale = current) => LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+
+// { code: name } for the language dropdown
+export function getLocaleNames() {
+    return Object.fromEntries(Object.entries(LOCALES).map(([code, bundle]) => [code, bundle.name]));
+}
+
+export function interpolate(text, params = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function t(key, params) {
+    const text = getBundle().strings[key] ?? LOCALES[DEFAULT_LOCALE].strings[key] ?? key;
+    return interpolate(text, params);
+}
+
+// A curated fact's text in the given locale, falling back to English
+export function getFactText(factId, locale = current) {
+    return getBundle(locale).facts?.[factId] || LOCALES[DEFAULT_LOCALE].facts[factId] || null;
+}
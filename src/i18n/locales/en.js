@@ -0,0 +1,327 @@
+/**
+ * ============================================================================
+ * LOCALE - English
+ * ============================================================================
+ * The reference bundle: every key used by the app is defined here, and other
+ * locales fall back to it for anything they don't translate.
+ * ============================================================================
+ */
+
+export default {
+    name: 'English',
+    promptLanguage: null, // Facts are requested in English by default
+
+    strings: {
+        // --- GUI ---
+        'gui.language': '🌐 Language',
+        'gui.transform': '🌌 Enter The Void',
+        'gui.skipTransition': '⏭️ Skip Transition',
+        'gui.transitionSpeed': '⏩ Transition Speed',
+        'gui.quality': '🎮 Quality (Ultra = Volumetric)',
+        'gui.batteryMode': '🔋 Battery Mode',
+        'gui.performanceOverlay': '📈 Performance Overlay',
+
+        'gui.flight': '🕹️ Flight',
+        'gui.flight.steering': '🖱️ Drag To Steer',
+        'gui.flight.autopilot': '🛰️ Autopilot After (s)',
+        'gui.flight.recenter': '🎯 Recenter View',
+
+        'gui.education': '📚 Cosmic Education',
+        'gui.education.showFacts': 'Toggle Facts Panel',
+        'gui.education.nextFact': 'Next Fact →',
+        'gui.education.previousFact': '← Previous Fact',
+        'gui.education.nextFavourite': '⭐ Next Favourite',
+        'gui.education.recentlyViewed': '📜 Recently Viewed',
+        'gui.education.followScene': '🎬 Facts Follow Scene',
+
+        'gui.ai': '🤖 AI Generation',
+        'gui.ai.generate': 'Generate New Fact',
+        'gui.ai.clear': 'Clear AI Facts',
+        'gui.ai.forceRefresh': 'Force Refresh Facts',
+        'gui.ai.cancel': '✖ Cancel Generation',
+        'gui.ai.about': 'ℹ️ About System',
+        'gui.ai.status': '📊 System Status',
+
+        'gui.backend': '🔌 AI Backend',
+        'gui.backend.provider': '🧠 Provider',
+        'gui.backend.endpoint': '🌐 Endpoint',
+        'gui.backend.model': '🏷️ Model',
+        'gui.backend.apiKey': '🔑 API Key (not saved)',
+        'gui.backend.test': '📡 Test Connection',
+
+        'gui.syllabus': '🎓 Syllabus',
+        'gui.syllabus.topics': '📝 Topics (comma separated)',
+        'gui.syllabus.pin': '📌 Pin Syllabus',
+        'gui.syllabus.clear': '✖ Clear Syllabus',
+        'gui.syllabus.coverage': '📊 Topic Coverage',
+        'gui.syllabus.resetCoverage': '🔄 Reset Coverage',
+
+        'gui.quiz': '🧠 Quiz',
+        'gui.quiz.start': '🧠 Open / Close Quiz',
+        'gui.quiz.score': '📊 Score',
+        'gui.quiz.reset': '🔄 New Session',
+
+        'gui.narration': '🗣️ Narration',
+        'gui.narration.narrate': '🔊 Read Aloud / Stop',
+        'gui.narration.voice': '🎙️ Voice',
+        'gui.narration.defaultVoice': 'Browser Default',
+        'gui.narration.rate': '⏩ Rate',
+        'gui.narration.autoAdvance': '⏭️ Auto-Advance',
+
+        'gui.timeline': '🎞️ Timeline',
+        'gui.timeline.journey': 'Journey',
+        'gui.timeline.play': '▶ Play',
+        'gui.timeline.pause': '⏸ Pause',
+        'gui.timeline.stop': '⏹ Stop',
+        'gui.timeline.seek': 'Seek (s)',
+        'gui.timeline.loop': 'Loop',
+        'gui.timeline.loadFile': '📂 Load JSON Script',
+
+        'gui.audio': '🎵 Audio Reactive',
+        'gui.audio.source': '🎧 Source',
+        'gui.audio.loadFile': '📂 Load Audio File',
+        'gui.audio.gain': '🔊 Input Gain',
+        'gui.audio.twist': '🌀 Bass → Tunnel Twist',
+        'gui.audio.glow': '🕳️ Mids → Accretion Glow',
+        'gui.audio.warp': '🚀 Treble → Warp Speed',
+
+        'gui.sound': '🔈 Sound',
+        'gui.sound.ambient': '🎼 Ambient Soundtrack',
+        'gui.sound.volume': '🔊 Volume',
+
+        'gui.export': '🎬 Export Clip',
+        'gui.export.duration': 'Duration (s)',
+        'gui.export.fps': 'Frame Rate',
+        'gui.export.resolution': 'Resolution',
+        'gui.export.format': 'Format',
+        'gui.export.startTime': 'Scene Time Start (s)',
+        'gui.export.transformAt': 'Transform At (s, -1 off)',
+        'gui.export.start': '🎬 Export Clip',
+        'gui.export.progress': '⏳ Exporting {percent}%',
+        'gui.export.cancel': '✖ Cancel Export',
+
+        'gui.still': '📸 Capture Still',
+        'gui.still.preset': 'Preset',
+        'gui.still.width': 'Width (px)',
+        'gui.still.height': 'Height (px)',
+        'gui.still.capture': '📸 Capture Still',
+        'gui.still.progress': '⏳ Capturing {percent}%',
+
+        // --- Facts Panel ---
+        'panel.physics': 'Physics Explanation:',
+        'panel.factCount': '{index} / {total} facts',
+        'panel.generate': '✨ Generate Fact',
+        'panel.refresh': '🔄 Refresh',
+        'panel.swipeHint': 'Swipe left/right for more · in from the right edge for a quiz',
+        'panel.favourite': 'Favourite',
+        'panel.readAloud': 'Read aloud',
+        'panel.cancel': '✖ Cancel',
+        'panel.cancelTitle': 'Cancel',
+        'panel.generating': 'Generating Fact...',
+        'panel.generatingDetail': 'Loading cosmic knowledge...',
+        'panel.retrying': 'Retrying (Attempt {attempt})...',
+        'panel.retryingDetail': 'Attempting to load content...',
+        'panel.writing': '✨ Writing with {provider}...',
+
+        // --- Quiz ---
+        'quiz.title': '🧠 Cosmic Quiz',
+        'quiz.close': 'Close',
+        'quiz.whichFact': 'Which of these does the description belong to?',
+        'quiz.trueOrFalse': 'True or false: this describes {title}.',
+        'quiz.true': 'True',
+        'quiz.false': 'False',
+        'quiz.correct': '✅ Correct!',
+        'quiz.incorrect': '❌ Not quite: {answer}',
+        'quiz.next': 'Next Question →',
+        'quiz.score': 'Score {score} / {total}',
+        'quiz.inARow': '🔥 {streak} in a row',
+
+        // --- Notifications ---
+        'notify.generationTimeout': '⚠️ Generation Timeout',
+        'notify.generationTimeout.details': 'Taking longer than expected. Using curated content instead.',
+        'notify.refreshed': '🔄 System Refreshed',
+        'notify.refreshed.details': 'Fact generation system has been reset.\nTry generating a new fact now!',
+        'notify.factsCleared': 'AI Facts Cleared',
+        'notify.factsCleared.details': '🧹 Removed generated facts\n📚 Restored to original content',
+        'notify.about': '📚 Cosmic Facts',
+        'notify.about.details': '📖 High-quality space facts\n🔬 Scientifically accurate content\n⚡ Instant access\n🎯 Educational cosmic content\n🌟 Explore the universe',
+        'notify.status': '📊 System Status',
+        'notify.status.details': '🔍 System Status:\nMode: {mode}\nProvider: {provider} ({availability})\nError Count: {errors}\nTimeout Setting: {timeout}s',
+        'notify.status.reachable': 'reachable',
+        'notify.status.unreachable': 'unreachable',
+        'notify.status.circuit': 'Circuit: {state} ({failures} recent failures)',
+        'notify.status.nextRetry': 'Next Retry: {time} (in {seconds}s)',
+        'notify.status.lastRejection': 'Last Rejected Fact: {reason}',
+        'notify.providerReachable': '✅ {provider} Reachable',
+        'notify.providerReachable.details': 'New facts will come from this backend.',
+        'notify.providerUnreachable': '❌ {provider} Unreachable',
+        'notify.providerUnreachable.details': 'Curated facts will be used until it responds.',
+        'notify.apiKeyWarning': '🔑 Key Sent From Your Browser',
+        'notify.apiKeyWarning.details': 'Every fact request sends this key to:\n{endpoint}\nOnly use a key you trust this page and endpoint with. It is kept for this session only.',
+
+        'notify.favouriteAdded': '⭐ Added to Favourites',
+        'notify.favouriteRemoved': '☆ Removed from Favourites',
+        'notify.noFavourites': '⭐ No Favourites Yet',
+        'notify.noFavourites.details': 'Tap ☆ on a fact to keep it here.',
+        'notify.recentlyViewed': '📜 Recently Viewed',
+        'notify.recentlyViewed.empty': 'Open the facts panel to start your history.',
+
+        'notify.syllabusComplete': '🎓 Syllabus Complete',
+        'notify.syllabusComplete.details': 'All {total} planned topics covered.\nBack to free exploration.',
+        'notify.noTopics': '🎓 No Topics',
+        'notify.noTopics.details': 'Enter topics separated by commas, in teaching order.',
+        'notify.syllabusPinned': '📌 Syllabus Pinned',
+        'notify.syllabusPinned.details': '{count} topics, starting with {first}.\nGenerate facts to work through them.',
+        'notify.syllabusCleared': '🎓 Syllabus Cleared',
+        'notify.syllabusCleared.details': 'Topics are chosen by coverage again.',
+        'notify.coverage': '📊 Topic Coverage',
+        'notify.coverage.covered': '📚 {covered} / {total} topics covered',
+        'notify.coverage.syllabus': '🎓 Syllabus: {position} / {total}, next: {next}',
+        'notify.coverage.uncovered': '🔭 Still to explore: {topics}',
+        'notify.coverageReset': '🔄 Coverage Reset',
+        'notify.coverageReset.details': 'Every topic counts as unexplored again.',
+
+        'notify.quizStreak': '🔥 {streak} in a Row!',
+        'notify.quizStreak.details': 'Best streak: {best}',
+        'notify.quizNotEnoughFacts': '🧠 Not Enough Facts',
+        'notify.quizNotEnoughFacts.details': 'The quiz needs at least two facts to compare.',
+        'notify.quizScore': '🧠 Quiz Score',
+        'notify.quizScore.details': '✅ {score} / {total} correct\n🔥 Streak: {streak}\n🏆 Best streak: {best}',
+        'notify.quizScore.empty': 'No questions answered yet.\n🏆 Best streak: {best}',
+        'notify.quizReset': '🔄 Quiz Reset',
+        'notify.quizReset.details': 'Score and streak start over.',
+
+        'notify.narrationUnavailable': '🔇 Narration Unavailable',
+        'notify.narrationUnavailable.details': 'This browser has no speech synthesis.',
+
+        'notify.quality': 'Quality: {level}',
+        'notify.quality.ultra': '🌫️ Volumetric Atmosphere\n☁️ Multi-layer Clouds\n🌅 Physics-based Scattering\n✨ God Rays & Full-screen Effects',
+        'notify.quality.high': '🎯 Maximum Detail\n🔥 Enhanced Effects',
+        'notify.quality.medium': '⚖️ Balanced Performance',
+        'notify.quality.low': '⚡ Optimized Speed\n🔋 Battery Friendly',
+        'notify.autoQuality': 'Auto Quality: {level}',
+        'notify.batteryQuality': 'Battery Mode: Quality Reduced',
+        'notify.batteryQuality.details': '🔋 Optimizing for battery life',
+        'notify.autoQuality.fromUltra': '⚡ Reduced from Ultra for smoother performance',
+        'notify.autoQuality.fromHigh': '⚡ Optimizing for better frame rate',
+        'notify.autoQuality.fromMedium': '⚡ Maximum optimization for stability',
+        'notify.autoQuality.improved': '✨ Performance improved - upgrading quality',
+        'notify.autoQuality.excellent': '✨ Excellent performance - upgrading quality',
+
+        'notify.exportWaiting': '🎬 Export Waiting',
+        'notify.waitForTransition': 'Let the current transformation finish first.',
+        'notify.waitForTimeline': 'Pause or stop the journey first.',
+        'notify.exportStarted': '🎬 Export Started',
+        'notify.exportStarted.details': '{width}×{height} @ {fps}fps\n{duration}s as {format}',
+        'notify.exportComplete': '🎬 Export Complete',
+        'notify.saved': '📦 {size} MB saved',
+        'notify.exportStopped': '🎬 Export Stopped',
+        'notify.stillCaptured': '📸 Still Captured',
+        'notify.captureFailed': '📸 Capture Failed',
+
+        'notify.journeyLoaded': '🎞️ Journey Loaded',
+        'notify.enteringVoid': '🌌 Entering The Void',
+        'notify.enteringVoid.details': 'Next stop: the singularity',
+        'notify.invalidJourney': '🎞️ Invalid Journey',
+        'notify.timelineWaiting': '🎞️ Timeline Waiting',
+
+        'notify.listening': '🎙️ Listening',
+        'notify.listening.details': 'Visuals now follow the microphone.',
+        'notify.nowPlaying': '🎵 Now Playing',
+        'notify.clickToPlay': '🎵 Click to Play',
+        'notify.clickToPlay.details': '{name} starts with your next click or key press.',
+        'notify.audioUnavailable': '🎵 Audio Unavailable',
+
+        // --- Mobile Instructions ---
+        'mobile.instructions': '📱 Touch Controls:\n↕️ Swipe up: Transform • Swipe down: Facts\n↔️ Swipe left/right: Navigate facts\n👈 Swipe in from the right edge: Quiz\n✌️ Two fingers: Steer • Pinch: Speed • Twist: Roll\n👆👆 Double tap: Cycle quality (includes Ultra!)\n🌫️ Ultra mode: Full volumetric atmosphere'
+    },
+
+    // Built-in facts for the panel, keyed by fact id (see main.js)
+    facts: {
+        'black holes': {
+            title: 'Black Holes',
+            content: 'Black holes are regions of spacetime where gravity is so strong that nothing, not even light, can escape once it crosses the event horizon.',
+            physics: 'The visualization shows how matter spirals into a black hole, creating an accretion disk that glows from intense heat and friction. In Ultra mode, volumetric atmospheric effects simulate the superheated plasma and gas clouds surrounding these cosmic monsters.'
+        },
+        'wormholes': {
+            title: 'Wormholes',
+            content: 'Theoretical passages through spacetime that could create shortcuts between distant regions of the universe.',
+            physics: 'The tunnel effect demonstrates how spacetime might bend to connect two distant points, as predicted by Einstein\'s general relativity. Ultra quality adds realistic atmospheric scattering to show how light would behave in such exotic spacetime geometries.'
+        },
+        'gravitational lensing': {
+            title: 'Gravitational Lensing',
+            content: 'Massive objects bend light around them, creating distorted or multiple images of distant objects.',
+            physics: 'The warping effects you see represent how gravity curves spacetime, affecting the path of light rays. The enhanced atmospheric effects in Ultra mode show how interstellar medium would be affected by these gravitational fields.'
+        },
+        'cosmic microwave background': {
+            title: 'Cosmic Microwave Background',
+            content: 'The afterglow of the Big Bang, visible throughout the universe as faint radiation.',
+            physics: 'The chaotic patterns represent quantum fluctuations from the early universe that eventually formed galaxies and stars. Ultra mode\'s volumetric clouds simulate the primordial plasma that filled the early cosmos.'
+        },
+        'dark matter': {
+            title: 'Dark Matter',
+            content: 'Invisible matter that makes up about 27% of the universe, only detectable through its gravitational effects.',
+            physics: 'The invisible forces shaping the visual patterns represent how dark matter influences the structure of the cosmos. The atmospheric effects in Ultra quality visualize how dark matter might interact with the cosmic web of matter and energy.'
+        },
+        'atmospheric scattering': {
+            title: 'Atmospheric Scattering',
+            content: 'The physics behind why we see blue skies and red sunsets - light scattering off particles in the atmosphere.',
+            physics: 'Ultra mode implements real Rayleigh and Mie scattering equations, the same physics that creates Earth\'s sky colors. Blue light scatters more than red, creating the spectacular atmospheric effects you see.'
+        },
+        'accretion disks': {
+            title: 'Accretion Disks',
+            content: 'Gas falling toward a black hole doesn\'t plunge straight in - it spirals into a flat, rapidly rotating disk that can outshine every star in its galaxy.',
+            physics: 'Friction and magnetic turbulence in the disk turn gravitational energy into heat, reaching millions of degrees near the inner edge where it glows in X-rays. The bright swirl around the singularity follows the same rule: the closer the matter orbits, the faster and hotter it gets.'
+        },
+        'time dilation': {
+            title: 'Time Dilation',
+            content: 'Clocks that move fast or sit deep in a gravity well tick slower than clocks at rest far away - GPS satellites have to correct for both effects every day.',
+            physics: 'Special relativity slows moving clocks by the Lorentz factor, and general relativity slows clocks closer to a mass. The warp effect hints at what a traveller near light speed would see: the universe rushing past while their own time crawls.'
+        },
+        'length contraction': {
+            title: 'Length Contraction',
+            content: 'Close to the speed of light, distances along the direction of travel shrink - to a fast enough traveller, the whole Milky Way would be only a few light-years across.',
+            physics: 'Lengths contract by the same Lorentz factor that slows clocks. Relativistic aberration also crowds starlight toward the direction of travel, much like the streaks gathering ahead of you during the warp.'
+        }
+    },
+
+    // Curated fallbacks, keyed by a keyword of the (English) AI topic
+    // (see src/ai/static-facts.js); {title} is the topic as a title
+    fallbackFacts: {
+        'black holes': {
+            title: 'Black Holes',
+            content: 'These cosmic vacuum cleaners can have masses up to billions of times our Sun, yet compress all that matter into regions smaller than our solar system. Their gravitational pull is so intense that time itself slows down near the event horizon.',
+            physics: 'General relativity predicts that massive objects warp spacetime, and black holes represent the extreme case where this curvature becomes so severe that escape velocity exceeds the speed of light.'
+        },
+        'neutron stars': {
+            title: 'Neutron Stars',
+            content: 'A neutron star\'s magnetic field can be a trillion times stronger than Earth\'s. These dense stellar remnants spin incredibly fast, some completing hundreds of rotations per second while being more massive than our Sun.',
+            physics: 'Neutron degeneracy pressure prevents further gravitational collapse, creating matter so dense that a teaspoon would weigh about 6 billion tons on Earth.'
+        },
+        'dark matter': {
+            title: 'Dark Matter',
+            content: 'Dark matter makes up 85% of all matter in the universe, yet we can\'t see it directly. It forms an invisible cosmic web that acts as scaffolding for galaxy formation and evolution.',
+            physics: 'Dark matter interacts gravitationally but not electromagnetically, making it detectable only through its gravitational effects on visible matter and light.'
+        },
+        'exoplanets': {
+            title: 'Exoplanets',
+            content: 'Over 5,000 exoplanets have been discovered, ranging from super-Earths to hot Jupiters. Some orbit in the habitable zone where liquid water could exist on their surfaces.',
+            physics: 'Planet detection relies on gravitational effects, transit photometry, and direct imaging, revealing the incredible diversity of planetary systems.'
+        },
+        'gravitational waves': {
+            title: 'Gravitational Waves',
+            content: 'LIGO detectors have confirmed Einstein\'s prediction by measuring distortions in spacetime caused by colliding black holes and neutron stars, opening a new window to observe the universe.',
+            physics: 'These waves carry energy at the speed of light, stretching and compressing space itself by amounts smaller than 1/10,000th the width of a proton.'
+        },
+        'supernovas': {
+            title: 'Supernovas',
+            content: 'Type Ia supernovas are so consistent in brightness that they serve as "standard candles" for measuring cosmic distances, helping us discover that the universe\'s expansion is accelerating.',
+            physics: 'Nuclear fusion chains create elements up to iron, while the supernova explosion itself forges heavier elements and disperses them throughout the galaxy.'
+        },
+        generic: {
+            title: '{title}',
+            content: '{title} represent some of the most extreme and fascinating phenomena in our universe, pushing the boundaries of our understanding of physics and challenging our perception of reality.',
+            physics: 'These cosmic phenomena operate under conditions so extreme that they serve as natural laboratories for testing the fundamental laws of physics in regimes impossible to recreate on Earth.'
+        }
+    }
+};
@@ -0,0 +1,323 @@
+/**
+ * ============================================================================
+ * LOCALE - Bahasa Indonesia
+ * ============================================================================
+ * Keys missing here fall back to English (en.js).
+ * ============================================================================
+ */
+
+export default {
+    name: 'Bahasa Indonesia',
+    promptLanguage: 'Indonesian (Bahasa Indonesia)',
+
+    strings: {
+        // --- GUI ---
+        'gui.language': '🌐 Bahasa',
+        'gui.transform': '🌌 Masuki Kehampaan',
+        'gui.skipTransition': '⏭️ Lewati Transisi',
+        'gui.transitionSpeed': '⏩ Kecepatan Transisi',
+        'gui.quality': '🎮 Kualitas (Ultra = Volumetrik)',
+        'gui.batteryMode': '🔋 Mode Hemat Baterai',
+        'gui.performanceOverlay': '📈 Info Performa',
+
+        'gui.flight': '🕹️ Penerbangan',
+        'gui.flight.steering': '🖱️ Seret Untuk Mengarahkan',
+        'gui.flight.autopilot': '🛰️ Autopilot Setelah (dtk)',
+        'gui.flight.recenter': '🎯 Kembalikan Pandangan',
+
+        'gui.education': '📚 Edukasi Kosmik',
+        'gui.education.showFacts': 'Tampilkan/Sembunyikan Fakta',
+        'gui.education.nextFact': 'Fakta Berikutnya →',
+        'gui.education.previousFact': '← Fakta Sebelumnya',
+        'gui.education.nextFavourite': '⭐ Favorit Berikutnya',
+        'gui.education.recentlyViewed': '📜 Baru Dilihat',
+        'gui.education.followScene': '🎬 Fakta Mengikuti Adegan',
+
+        'gui.ai': '🤖 Pembuatan AI',
+        'gui.ai.generate': 'Buat Fakta Baru',
+        'gui.ai.clear': 'Hapus Fakta AI',
+        'gui.ai.forceRefresh': 'Segarkan Paksa Fakta',
+        'gui.ai.cancel': '✖ Batalkan Pembuatan',
+        'gui.ai.about': 'ℹ️ Tentang Sistem',
+        'gui.ai.status': '📊 Status Sistem',
+
+        'gui.backend': '🔌 Backend AI',
+        'gui.backend.provider': '🧠 Penyedia',
+        'gui.backend.endpoint': '🌐 Endpoint',
+        'gui.backend.model': '🏷️ Model',
+        'gui.backend.apiKey': '🔑 Kunci API (tidak disimpan)',
+        'gui.backend.test': '📡 Uji Koneksi',
+
+        'gui.syllabus': '🎓 Silabus',
+        'gui.syllabus.topics': '📝 Topik (pisahkan dengan koma)',
+        'gui.syllabus.pin': '📌 Sematkan Silabus',
+        'gui.syllabus.clear': '✖ Hapus Silabus',
+        'gui.syllabus.coverage': '📊 Cakupan Topik',
+        'gui.syllabus.resetCoverage': '🔄 Atur Ulang Cakupan',
+
+        'gui.quiz': '🧠 Kuis',
+        'gui.quiz.start': '🧠 Buka / Tutup Kuis',
+        'gui.quiz.score': '📊 Skor',
+        'gui.quiz.reset': '🔄 Sesi Baru',
+
+        'gui.narration': '🗣️ Narasi',
+        'gui.narration.narrate': '🔊 Bacakan / Berhenti',
+        'gui.narration.voice': '🎙️ Suara',
+        'gui.narration.defaultVoice': 'Bawaan Peramban',
+        'gui.narration.rate': '⏩ Kecepatan',
+        'gui.narration.autoAdvance': '⏭️ Lanjut Otomatis',
+
+        'gui.timeline': '🎞️ Linimasa',
+        'gui.timeline.journey': 'Perjalanan',
+        'gui.timeline.play': '▶ Putar',
+        'gui.timeline.pause': '⏸ Jeda',
+        'gui.timeline.stop': '⏹ Berhenti',
+        'gui.timeline.seek': 'Posisi (dtk)',
+        'gui.timeline.loop': 'Ulangi',
+        'gui.timeline.loadFile': '📂 Muat Skrip JSON',
+
+        'gui.audio': '🎵 Reaktif Audio',
+        'gui.audio.source': '🎧 Sumber',
+        'gui.audio.loadFile': '📂 Muat Berkas Audio',
+        'gui.audio.gain': '🔊 Penguatan Masukan',
+        'gui.audio.twist': '🌀 Bass → Pilinan Terowongan',
+        'gui.audio.glow': '🕳️ Mid → Cahaya Akresi',
+        'gui.audio.warp': '🚀 Treble → Kecepatan Warp',
+
+        'gui.sound': '🔈 Suara',
+        'gui.sound.ambient': '🎼 Musik Latar',
+        'gui.sound.volume': '🔊 Volume',
+
+        'gui.export': '🎬 Ekspor Klip',
+        'gui.export.duration': 'Durasi (dtk)',
+        'gui.export.fps': 'Laju Bingkai',
+        'gui.export.resolution': 'Resolusi',
+        'gui.export.format': 'Format',
+        'gui.export.startTime': 'Mulai Waktu Adegan (dtk)',
+        'gui.export.transformAt': 'Transformasi Pada (dtk, -1 mati)',
+        'gui.export.start': '🎬 Ekspor Klip',
+        'gui.export.progress': '⏳ Mengekspor {percent}%',
+        'gui.export.cancel': '✖ Batalkan Ekspor',
+
+        'gui.still': '📸 Ambil Gambar',
+        'gui.still.preset': 'Prasetel',
+        'gui.still.width': 'Lebar (px)',
+        'gui.still.height': 'Tinggi (px)',
+        'gui.still.capture': '📸 Ambil Gambar',
+        'gui.still.progress': '⏳ Mengambil {percent}%',
+
+        // --- Facts Panel ---
+        'panel.physics': 'Penjelasan Fisika:',
+        'panel.factCount': '{index} / {total} fakta',
+        'panel.generate': '✨ Buat Fakta',
+        'panel.refresh': '🔄 Segarkan',
+        'panel.swipeHint': 'Geser kiri/kanan untuk fakta lain · dari tepi kanan untuk kuis',
+        'panel.favourite': 'Favorit',
+        'panel.readAloud': 'Bacakan',
+        'panel.cancel': '✖ Batal',
+        'panel.cancelTitle': 'Batal',
+        'panel.generating': 'Membuat Fakta...',
+        'panel.generatingDetail': 'Memuat pengetahuan kosmik...',
+        'panel.retrying': 'Mencoba Lagi (Percobaan {attempt})...',
+        'panel.retryingDetail': 'Berusaha memuat konten...',
+        'panel.writing': '✨ Ditulis oleh {provider}...',
+
+        // --- Quiz ---
+        'quiz.title': '🧠 Kuis Kosmik',
+        'quiz.close': 'Tutup',
+        'quiz.whichFact': 'Deskripsi ini milik yang mana?',
+        'quiz.trueOrFalse': 'Benar atau salah: ini menggambarkan {title}.',
+        'quiz.true': 'Benar',
+        'quiz.false': 'Salah',
+        'quiz.correct': '✅ Benar!',
+        'quiz.incorrect': '❌ Belum tepat: {answer}',
+        'quiz.next': 'Pertanyaan Berikutnya →',
+        'quiz.score': 'Skor {score} / {total}',
+        'quiz.inARow': '🔥 {streak} berturut-turut',
+
+        // --- Notifications ---
+        'notify.generationTimeout': '⚠️ Waktu Pembuatan Habis',
+        'notify.generationTimeout.details': 'Lebih lama dari perkiraan. Menggunakan konten kurasi.',
+        'notify.refreshed': '🔄 Sistem Disegarkan',
+        'notify.refreshed.details': 'Sistem pembuatan fakta telah diatur ulang.\nCoba buat fakta baru sekarang!',
+        'notify.factsCleared': 'Fakta AI Dihapus',
+        'notify.factsCleared.details': '🧹 Fakta buatan AI dihapus\n📚 Kembali ke konten asli',
+        'notify.about': '📚 Fakta Kosmik',
+        'notify.about.details': '📖 Fakta antariksa berkualitas\n🔬 Konten akurat secara ilmiah\n⚡ Akses instan\n🎯 Konten edukasi kosmik\n🌟 Jelajahi alam semesta',
+        'notify.status': '📊 Status Sistem',
+        'notify.status.details': '🔍 Status Sistem:\nMode: {mode}\nPenyedia: {provider} ({availability})\nJumlah Galat: {errors}\nBatas Waktu: {timeout} dtk',
+        'notify.status.reachable': 'terjangkau',
+        'notify.status.unreachable': 'tidak terjangkau',
+        'notify.status.circuit': 'Sirkuit: {state} ({failures} kegagalan terakhir)',
+        'notify.status.nextRetry': 'Coba Lagi: {time} ({seconds} dtk lagi)',
+        'notify.status.lastRejection': 'Fakta Terakhir Ditolak: {reason}',
+        'notify.providerReachable': '✅ {provider} Terjangkau',
+        'notify.providerReachable.details': 'Fakta baru akan berasal dari backend ini.',
+        'notify.providerUnreachable': '❌ {provider} Tidak Terjangkau',
+        'notify.providerUnreachable.details': 'Fakta kurasi digunakan sampai backend merespons.',
+        'notify.apiKeyWarning': '🔑 Kunci Dikirim Dari Peramban Anda',
+        'notify.apiKeyWarning.details': 'Setiap permintaan fakta mengirim kunci ini ke:\n{endpoint}\nGunakan hanya kunci yang Anda percayakan pada halaman dan endpoint ini. Kunci hanya disimpan selama sesi ini.',
+
+        'notify.favouriteAdded': '⭐ Ditambahkan ke Favorit',
+        'notify.favouriteRemoved': '☆ Dihapus dari Favorit',
+        'notify.noFavourites': '⭐ Belum Ada Favorit',
+        'notify.noFavourites.details': 'Ketuk ☆ pada fakta untuk menyimpannya di sini.',
+        'notify.recentlyViewed': '📜 Baru Dilihat',
+        'notify.recentlyViewed.empty': 'Buka panel fakta untuk memulai riwayat Anda.',
+
+        'notify.syllabusComplete': '🎓 Silabus Selesai',
+        'notify.syllabusComplete.details': 'Semua {total} topik terencana sudah dibahas.\nKembali ke eksplorasi bebas.',
+        'notify.noTopics': '🎓 Tidak Ada Topik',
+        'notify.noTopics.details': 'Masukkan topik dipisahkan koma, sesuai urutan pengajaran.',
+        'notify.syllabusPinned': '📌 Silabus Disematkan',
+        'notify.syllabusPinned.details': '{count} topik, dimulai dari {first}.\nBuat fakta untuk menyelesaikannya.',
+        'notify.syllabusCleared': '🎓 Silabus Dihapus',
+        'notify.syllabusCleared.details': 'Topik kembali dipilih berdasarkan cakupan.',
+        'notify.coverage': '📊 Cakupan Topik',
+        'notify.coverage.covered': '📚 {covered} / {total} topik dibahas',
+        'notify.coverage.syllabus': '🎓 Silabus: {position} / {total}, berikutnya: {next}',
+        'notify.coverage.uncovered': '🔭 Belum dijelajahi: {topics}',
+        'notify.coverageReset': '🔄 Cakupan Diatur Ulang',
+        'notify.coverageReset.details': 'Semua topik dianggap belum dijelajahi lagi.',
+
+        'notify.quizStreak': '🔥 {streak} Berturut-turut!',
+        'notify.quizStreak.details': 'Rekor beruntun: {best}',
+        'notify.quizNotEnoughFacts': '🧠 Fakta Belum Cukup',
+        'notify.quizNotEnoughFacts.details': 'Kuis membutuhkan setidaknya dua fakta untuk dibandingkan.',
+        'notify.quizScore': '🧠 Skor Kuis',
+        'notify.quizScore.details': '✅ {score} / {total} benar\n🔥 Beruntun: {streak}\n🏆 Rekor beruntun: {best}',
+        'notify.quizScore.empty': 'Belum ada pertanyaan yang dijawab.\n🏆 Rekor beruntun: {best}',
+        'notify.quizReset': '🔄 Kuis Diatur Ulang',
+        'notify.quizReset.details': 'Skor dan jawaban beruntun dimulai dari awal.',
+
+        'notify.narrationUnavailable': '🔇 Narasi Tidak Tersedia',
+        'notify.narrationUnavailable.details': 'Peramban ini tidak mendukung sintesis suara.',
+
+        'notify.quality': 'Kualitas: {level}',
+        'notify.quality.ultra': '🌫️ Atmosfer Volumetrik\n☁️ Awan Berlapis\n🌅 Hamburan Berbasis Fisika\n✨ Sinar Dewa & Efek Layar Penuh',
+        'notify.quality.high': '🎯 Detail Maksimum\n🔥 Efek Ditingkatkan',
+        'notify.quality.medium': '⚖️ Performa Seimbang',
+        'notify.quality.low': '⚡ Kecepatan Optimal\n🔋 Hemat Baterai',
+        'notify.autoQuality': 'Kualitas Otomatis: {level}',
+        'notify.batteryQuality': 'Mode Hemat Baterai: Kualitas Diturunkan',
+        'notify.batteryQuality.details': '🔋 Mengoptimalkan daya tahan baterai',
+        'notify.autoQuality.fromUltra': '⚡ Diturunkan dari Ultra agar lebih mulus',
+        'notify.autoQuality.fromHigh': '⚡ Mengoptimalkan laju bingkai',
+        'notify.autoQuality.fromMedium': '⚡ Optimasi maksimum demi stabilitas',
+        'notify.autoQuality.improved': '✨ Performa membaik - kualitas dinaikkan',
+        'notify.autoQuality.excellent': '✨ Performa sangat baik - kualitas dinaikkan',
+
+        'notify.exportWaiting': '🎬 Ekspor Menunggu',
+        'notify.waitForTransition': 'Tunggu transformasi saat ini selesai terlebih dahulu.',
+        'notify.waitForTimeline': 'Jeda atau hentikan perjalanan terlebih dahulu.',
+        'notify.exportStarted': '🎬 Ekspor Dimulai',
+        'notify.exportStarted.details': '{width}×{height} @ {fps}fps\n{duration} dtk sebagai {format}',
+        'notify.exportComplete': '🎬 Ekspor Selesai',
+        'notify.saved': '📦 {size} MB tersimpan',
+        'notify.exportStopped': '🎬 Ekspor Dihentikan',
+        'notify.stillCaptured': '📸 Gambar Diambil',
+        'notify.captureFailed': '📸 Pengambilan Gagal',
+
+        'notify.journeyLoaded': '🎞️ Perjalanan Dimuat',
+        'notify.enteringVoid': '🌌 Memasuki Kehampaan',
+        'notify.enteringVoid.details': 'Perhentian berikutnya: singularitas',
+        'notify.invalidJourney': '🎞️ Perjalanan Tidak Valid',
+        'notify.timelineWaiting': '🎞️ Linimasa Menunggu',
+
+        'notify.listening': '🎙️ Mendengarkan',
+        'notify.listening.details': 'Visual kini mengikuti mikrofon.',
+        'notify.nowPlaying': '🎵 Sedang Diputar',
+        'notify.clickToPlay': '🎵 Klik untuk Memutar',
+        'notify.clickToPlay.details': '{name} diputar pada klik atau tombol berikutnya.',
+        'notify.audioUnavailable': '🎵 Audio Tidak Tersedia',
+
+        // --- Mobile Instructions ---
+        'mobile.instructions': '📱 Kontrol Sentuh:\n↕️ Geser ke atas: Transformasi • Geser ke bawah: Fakta\n↔️ Geser kiri/kanan: Jelajahi fakta\n👈 Geser dari tepi kanan: Kuis\n✌️ Dua jari: Arahkan • Cubit: Kecepatan • Putar: Guling\n👆👆 Ketuk dua kali: Ganti kualitas (termasuk Ultra!)\n🌫️ Mode Ultra: Atmosfer volumetrik penuh'
+    },
+
+    facts: {
+        'black holes': {
+            title: 'Lubang Hitam',
+            content: 'Lubang hitam adalah wilayah ruang-waktu dengan gravitasi begitu kuat sehingga tidak ada apa pun, bahkan cahaya, yang dapat lolos setelah melewati cakrawala peristiwa.',
+            physics: 'Visualisasi ini menunjukkan bagaimana materi berputar spiral ke dalam lubang hitam, membentuk piringan akresi yang berpijar karena panas dan gesekan yang hebat. Dalam mode Ultra, efek atmosfer volumetrik meniru plasma super panas dan awan gas yang mengelilingi monster kosmik ini.'
+        },
+        'wormholes': {
+            title: 'Lubang Cacing',
+            content: 'Lorong teoretis menembus ruang-waktu yang dapat menjadi jalan pintas antara wilayah alam semesta yang berjauhan.',
+            physics: 'Efek terowongan memperlihatkan bagaimana ruang-waktu mungkin melengkung untuk menghubungkan dua titik yang jauh, seperti diprediksi relativitas umum Einstein. Kualitas Ultra menambahkan hamburan atmosfer yang realistis untuk menunjukkan perilaku cahaya dalam geometri ruang-waktu yang eksotis.'
+        },
+        'gravitational lensing': {
+            title: 'Pelensaan Gravitasi',
+            content: 'Benda bermassa besar membelokkan cahaya di sekitarnya, menghasilkan bayangan objek jauh yang terdistorsi atau berlipat.',
+            physics: 'Efek lengkungan yang Anda lihat menggambarkan bagaimana gravitasi melengkungkan ruang-waktu dan memengaruhi lintasan berkas cahaya. Efek atmosfer dalam mode Ultra menunjukkan bagaimana medium antarbintang terpengaruh oleh medan gravitasi tersebut.'
+        },
+        'cosmic microwave background': {
+            title: 'Radiasi Latar Belakang Gelombang Mikro Kosmik',
+            content: 'Sisa cahaya Dentuman Besar, terlihat di seluruh alam semesta sebagai radiasi yang redup.',
+            physics: 'Pola acak melambangkan fluktuasi kuantum alam semesta awal yang kelak membentuk galaksi dan bintang. Awan volumetrik mode Ultra meniru plasma purba yang memenuhi kosmos awal.'
+        },
+        'dark matter': {
+            title: 'Materi Gelap',
+            content: 'Materi tak kasatmata yang menyusun sekitar 27% alam semesta dan hanya dapat dideteksi melalui efek gravitasinya.',
+            physics: 'Gaya tak terlihat yang membentuk pola visual ini menggambarkan pengaruh materi gelap terhadap struktur kosmos. Efek atmosfer kualitas Ultra memvisualisasikan bagaimana materi gelap mungkin berinteraksi dengan jaring kosmik materi dan energi.'
+        },
+        'atmospheric scattering': {
+            title: 'Hamburan Atmosfer',
+            content: 'Fisika di balik langit biru dan senja merah - cahaya yang terhambur oleh partikel di atmosfer.',
+            physics: 'Mode Ultra menerapkan persamaan hamburan Rayleigh dan Mie yang sesungguhnya, fisika yang sama yang mewarnai langit Bumi. Cahaya biru terhambur lebih kuat daripada cahaya merah, menciptakan efek atmosfer memukau yang Anda lihat.'
+        },
+        'accretion disks': {
+            title: 'Piringan Akresi',
+            content: 'Gas yang jatuh ke lubang hitam tidak langsung terjun ke dalamnya - gas itu berputar spiral membentuk piringan pipih yang berotasi cepat dan bisa lebih terang dari seluruh bintang di galaksinya.',
+            physics: 'Gesekan dan turbulensi magnetik di dalam piringan mengubah energi gravitasi menjadi panas hingga jutaan derajat di tepi dalamnya, sehingga piringan bersinar dalam sinar-X. Pusaran terang di sekitar singularitas mengikuti aturan yang sama: semakin dekat orbit materi, semakin cepat dan panas ia bergerak.'
+        },
+        'time dilation': {
+            title: 'Dilatasi Waktu',
+            content: 'Jam yang bergerak cepat atau berada jauh di dalam sumur gravitasi berdetak lebih lambat daripada jam diam yang jauh - satelit GPS harus mengoreksi kedua efek ini setiap hari.',
+            physics: 'Relativitas khusus memperlambat jam yang bergerak sebesar faktor Lorentz, dan relativitas umum memperlambat jam yang lebih dekat dengan massa. Efek warp memberi gambaran apa yang dilihat penjelajah mendekati kecepatan cahaya: alam semesta melesat lewat sementara waktunya sendiri merayap.'
+        },
+        'length contraction': {
+            title: 'Kontraksi Panjang',
+            content: 'Mendekati kecepatan cahaya, jarak searah gerakan menyusut - bagi penjelajah yang cukup cepat, seluruh Bima Sakti hanya selebar beberapa tahun cahaya.',
+            physics: 'Panjang menyusut sebesar faktor Lorentz yang sama yang memperlambat jam. Aberasi relativistik juga memusatkan cahaya bintang ke arah gerakan, mirip garis-garis cahaya yang berkumpul di depan Anda saat warp.'
+        }
+    },
+
+    fallbackFacts: {
+        'black holes': {
+            title: 'Lubang Hitam',
+            content: 'Penyedot debu kosmik ini bisa bermassa hingga miliaran kali Matahari, namun memadatkan seluruh materinya ke wilayah yang lebih kecil dari tata surya kita. Tarikan gravitasinya begitu kuat sehingga waktu pun melambat di dekat cakrawala peristiwa.',
+            physics: 'Relativitas umum memprediksi bahwa benda bermassa besar melengkungkan ruang-waktu, dan lubang hitam adalah kasus ekstremnya, ketika lengkungan begitu tajam sehingga kecepatan lepas melampaui kecepatan cahaya.'
+        },
+        'neutron stars': {
+            title: 'Bintang Neutron',
+            content: 'Medan magnet bintang neutron bisa satu triliun kali lebih kuat daripada medan magnet Bumi. Sisa bintang yang padat ini berputar luar biasa cepat, sebagian ratusan kali per detik, padahal massanya melebihi Matahari.',
+            physics: 'Tekanan degenerasi neutron mencegah keruntuhan gravitasi lebih lanjut, menghasilkan materi begitu padat sehingga satu sendok teh beratnya sekitar 6 miliar ton di Bumi.'
+        },
+        'dark matter': {
+            title: 'Materi Gelap',
+            content: 'Materi gelap menyusun 85% dari seluruh materi di alam semesta, namun tidak dapat kita lihat secara langsung. Ia membentuk jaring kosmik tak kasatmata yang menjadi kerangka pembentukan dan evolusi galaksi.',
+            physics: 'Materi gelap berinteraksi secara gravitasi tetapi tidak secara elektromagnetik, sehingga hanya dapat dideteksi lewat efek gravitasinya pada materi dan cahaya yang terlihat.'
+        },
+        'exoplanets': {
+            title: 'Eksoplanet',
+            content: 'Lebih dari 5.000 eksoplanet telah ditemukan, mulai dari bumi super hingga Jupiter panas. Sebagian mengorbit di zona layak huni, tempat air cair mungkin ada di permukaannya.',
+            physics: 'Deteksi planet mengandalkan efek gravitasi, fotometri transit, dan pencitraan langsung, yang mengungkap keragaman luar biasa sistem planet.'
+        },
+        'gravitational waves': {
+            title: 'Gelombang Gravitasi',
+            content: 'Detektor LIGO telah membuktikan prediksi Einstein dengan mengukur distorsi ruang-waktu akibat tabrakan lubang hitam dan bintang neutron, membuka jendela baru untuk mengamati alam semesta.',
+            physics: 'Gelombang ini membawa energi dengan kecepatan cahaya, meregangkan dan memampatkan ruang itu sendiri sejauh kurang dari 1/10.000 lebar sebuah proton.'
+        },
+        'supernovas': {
+            title: 'Supernova',
+            content: 'Supernova tipe Ia memiliki kecerahan yang begitu konsisten sehingga menjadi "lilin standar" untuk mengukur jarak kosmik, yang membantu kita menemukan bahwa pengembangan alam semesta semakin cepat.',
+            physics: 'Rantai fusi nuklir menghasilkan unsur hingga besi, sedangkan ledakan supernova sendiri menempa unsur-unsur yang lebih berat dan menyebarkannya ke seluruh galaksi.'
+        },
+        generic: {
+            title: '{title}',
+            content: '{title} termasuk fenomena paling ekstrem dan memukau di alam semesta kita, yang mendorong batas pemahaman kita tentang fisika dan menantang persepsi kita tentang kenyataan.',
+            physics: 'Fenomena kosmik ini berlangsung dalam kondisi begitu ekstrem sehingga menjadi laboratorium alami untuk menguji hukum dasar fisika pada rezim yang mustahil diciptakan di Bumi.'
+        }
+    }
+};
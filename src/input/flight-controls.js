@@ -0,0 +1,304 @@
+/**
+ * ============================================================================
+ * FLIGHT CONTROLS
+ * ============================================================================
+ * Steers the view through the scenes from pointer input:
+ *
+ *   mouse drag:          look around (yaw / pitch)
+ *   right or shift drag: roll
+ *   wheel:               forward speed
+ *   two-finger drag:     look around, twist to roll, pinch for speed
+ *
+ * Released drags keep turning and slow down with inertia. After a few
+ * seconds without input the autopilot eases everything back to the
+ * forward-facing default. The view is written to shared uniforms:
+ *
+ *   view_rotation: mat3 applied to ray directions (tunnel)
+ *   view_angles:   yaw, pitch, roll in radians (singularity, warp)
+ *   view_travel:   extra distance travelled from speed above/below 1x
+ *
+ * In VR the headset orientation (setHeadPose) is applied on top of the
+ * steering, like looking around inside a cockpit.
+ * ============================================================================
+ */
+
+import * as THREE from 'three';
+
+const MAX_PITCH = 1.2;
+const MIN_SPEED = 0.0;
+const MAX_SPEED = 6.0;
+const LOOK_SENSITIVITY = 0.004;   // Radians per pixel dragged
+const WHEEL_SENSITIVITY = 0.001;  // Speed per wheel delta unit
+const INERTIA_DAMPING = 4.0;      // Velocity decay rate per second
+const AUTOPILOT_RATE = 1.5;       // Return rate per second once autopilot resumes
+const TRAVEL_RATE = 2.0;          // Tunnel depth per second at 1x speed
+
+export const VIEW_DEFAULTS = { yaw: 0.0, pitch: 0.0, roll: 0.0, speed: 1.0 };
+
+export function createFlightControls(element, { uniforms, autopilotDelay = 4000 } = {}) {
+    const view = { ...VIEW_DEFAULTS };
+    const velocity = { yaw: 0.0, pitch: 0.0, roll: 0.0 };
+    let travel = 0.0;
+    let enabled = true;
+    let piloted = false;        // User input has moved the view away from autopilot
+    let idleTime = Infinity;    // ms since the last input
+    let drag = null;            // { x, y, roll, time } of the active mouse drag
+    let pinch = null;           // Two-finger gesture reference
+
+    const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    const rotation = new THREE.Matrix4();
+    const headRotation = new THREE.Matrix4();
+    // three.js cameras look down -z, the scenes march rays along +z
+    const flipZ = new THREE.Matrix4().makeScale(1, 1, -1);
+    let hasHeadPose = false;
+
+    const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+    // Yaw and roll wrap so the autopilot takes the short way home
+    function clampView() {
+        view.yaw = wrapAngle(view.yaw);
+        view.roll = wrapAngle(view.roll);
+        view.pitch = Math.min(Math.max(view.pitch, -MAX_PITCH), MAX_PITCH);
+        view.speed = Math.min(Math.max(view.speed, MIN_SPEED), MAX_SPEED);
+    }
+
+    function touched() {
+        piloted = true;
+        idleTime = 0;
+    }
+
+    // Apply a look delta in pixels, tracking velocity for inertia
+    function look(dx, dy, droll, dt) {
+        view.yaw += dx * LOOK_SENSITIVITY;
+        view.pitch += dy * LOOK_SENSITIVITY;
+        view.roll += droll;
+        clampView();
+
+        if (dt > 0) {
+            // Floor the interval so bursts of events don't spike the velocity
+            const seconds = Math.max(dt, 16) / 1000;
+            velocity.yaw = dx * LOOK_SENSITIVITY / seconds;
+            velocity.pitch = dy * LOOK_SENSITIVITY / seconds;
+            velocity.roll = droll / seconds;
+        }
+        touched();
+    }
+
+    // --- Mouse ---
+    function onPointerDown(event) {
+        if (!enabled || event.pointerType !== 'mouse') return;
+        drag = {
+            x: event.clientX,
+            y: event.clientY,
+            roll: event.button === 2 || event.shiftKey,
+            time: event.timeStamp
+        };
+        velocity.yaw = velocity.pitch = velocity.roll = 0.0;
+        element.setPointerCapture(event.pointerId);
+    }
+
+    function onPointerMove(event) {
+        if (!drag || event.pointerType !== 'mouse') return;
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        const dt = event.timeStamp - drag.time;
+        if (drag.roll) {
+            look(0, 0, dx * LOOK_SENSITIVITY, dt);
+        } else {
+            look(dx, dy, 0, dt);
+        }
+        drag.x = event.clientX;
+        drag.y = event.clientY;
+        drag.time = event.timeStamp;
+    }
+
+    function onPointerUp(event) {
+        if (!drag || event.pointerType !== 'mouse') return;
+        // A pause before releasing means the user meant to stop there
+        if (event.timeStamp - drag.time > 80) {
+            velocity.yaw = velocity.pitch = velocity.roll = 0.0;
+        }
+        drag = null;
+    }
+
+    function onWheel(event) {
+        if (!enabled) return;
+        event.preventDefault();
+        view.speed -= event.deltaY * WHEEL_SENSITIVITY;
+        clampView();
+        touched();
+    }
+
+    // --- Touch (two fingers; single-finger swipes are app gestures) ---
+    function readPinch(touches, timeStamp) {
+        const [a, b] = [touches[0], touches[1]];
+        return {
+            x: (a.clientX + b.clientX) / 2,
+            y: (a.clientY + b.clientY) / 2,
+            distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+            angle: Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX),
+            time: timeStamp
+        };
+    }
+
+    function onTouchStart(event) {
+        if (!enabled || event.touches.length !== 2) return;
+        pinch = readPinch(event.touches, event.timeStamp);
+        velocity.yaw = velocity.pitch = velocity.roll = 0.0;
+    }
+
+    function onTouchMove(event) {
+        if (!pinch || event.touches.length !== 2) return;
+        const next = readPinch(event.touches, event.timeStamp);
+
+        // Wrap the twist so crossing ±π doesn't spin the view around
+        const twist = wrapAngle(next.angle - pinch.angle);
+
+        look(next.x - pinch.x, next.y - pinch.y, twist, next.time - pinch.time);
+        if (pinch.distance > 0) {
+            view.speed *= next.distance / pinch.distance;
+            clampView();
+        }
+        pinch = next;
+    }
+
+    function onTouchEnd(event) {
+        if (event.touches.length < 2) pinch = null;
+    }
+
+    const preventMenu = (event) => event.preventDefault();
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('pointercancel', onPointerUp);
+    element.addEventListener('wheel', onWheel, { passive: false });
+    element.addEventListener('touchstart', onTouchStart, { passive: true });
+    element.addEventListener('touchmove', onTouchMove, { passive: true });
+    element.addEventListener('touchend', onTouchEnd);
+    element.addEventListener('touchcancel', onTouchEnd);
+    element.addEventListener('contextmenu', preventMenu);
+
+    // --- Stepping ---
+    function writeUniforms() {
+        euler.set(view.pitch, view.yaw, view.roll);
+        rotation.makeRotationFromEuler(euler);
+        if (hasHeadPose) {
+            rotation.multiply(headRotation);
+            euler.setFromRotationMatrix(rotation, 'YXZ');
+        }
+        uniforms.view_rotation.value.setFromMatrix4(rotation);
+        uniforms.view_angles.value.set(euler.y, euler.x, euler.z);
+        uniforms.view_travel.value = travel;
+    }
+
+    // quaternion: XR camera orientation, or null when leaving VR
+    function setHeadPose(quaternion) {
+        hasHeadPose = quaternion !== null;
+        if (hasHeadPose) {
+            headRotation.makeRotationFromQuaternion(quaternion);
+            headRotation.premultiply(flipZ).multiply(flipZ);
+        }
+        writeUniforms();
+    }
+
+    // deltaMs: scene-time step from the render loop (fixed steps in export)
+    function update(deltaMs) {
+        const seconds = Math.max(deltaMs, 0) / 1000;
+        const holding = drag !== null || pinch !== null;
+
+        if (!holding) {
+            // Inertia: keep turning at the release velocity, decaying
+            const decay = Math.exp(-INERTIA_DAMPING * seconds);
+            view.yaw += velocity.yaw * seconds;
+            view.pitch += velocity.pitch * seconds;
+            view.roll += velocity.roll * seconds;
+            velocity.yaw *= decay;
+            velocity.pitch *= decay;
+            velocity.roll *= decay;
+            clampView();
+
+            idleTime += deltaMs;
+            if (piloted && idleTime >= autopilotDelay) {
+                returnToAutopilot(seconds);
+            }
+        }
+
+        travel += (view.speed - 1.0) * TRAVEL_RATE * seconds;
+        writeUniforms();
+    }
+
+    function returnToAutopilot(seconds) {
+        const ease = 1.0 - Math.exp(-AUTOPILOT_RATE * seconds);
+        let settled = true;
+        for (const key of Object.keys(VIEW_DEFAULTS)) {
+            view[key] += (VIEW_DEFAULTS[key] - view[key]) * ease;
+            if (Math.abs(view[key] - VIEW_DEFAULTS[key]) > 1e-3) settled = false;
+        }
+        if (settled) {
+            Object.assign(view, VIEW_DEFAULTS);
+            piloted = false;
+        }
+    }
+
+    // --- Public API ---
+    // Direct writes (GUI, timeline tracks) don't count as piloting, so the
+    // autopilot leaves scripted values alone
+    function set(name, value) {
+        if (!(name in view)) return;
+        view[name] = value;
+        if (name in velocity) velocity[name] = 0.0;
+        clampView();
+    }
+
+    function reset() {
+        Object.assign(view, VIEW_DEFAULTS);
+        velocity.yaw = velocity.pitch = velocity.roll = 0.0;
+        travel = 0.0;
+        piloted = false;
+        writeUniforms();
+    }
+
+    // Put back a getView() / isPiloted() snapshot, e.g. after an export.
+    // A piloted view still eases home once the autopilot delay passes.
+    function restoreView({ travel: savedTravel, ...savedView }, wasPiloted = false) {
+        Object.assign(view, savedView);
+        velocity.yaw = velocity.pitch = velocity.roll = 0.0;
+        travel = savedTravel;
+        piloted = wasPiloted;
+        idleTime = 0;
+        clampView();
+        writeUniforms();
+    }
+
+    function dispose() {
+        element.removeEventListener('pointerdown', onPointerDown);
+        element.removeEventListener('pointermove', onPointerMove);
+        element.removeEventListener('pointerup', onPointerUp);
+        element.removeEventListener('pointercancel', onPointerUp);
+        element.removeEventListener('wheel', onWheel);
+        element.removeEventListener('touchstart', onTouchStart);
+        element.removeEventListener('touchmove', onTouchMove);
+        element.removeEventListener('touchend', onTouchEnd);
+        element.removeEventListener('touchcancel', onTouchEnd);
+        element.removeEventListener('contextmenu', preventMenu);
+    }
+
+    writeUniforms();
+
+    return {
+        update,
+        set,
+        reset,
+        restoreView,
+        setHeadPose,
+        dispose,
+        getView: () => ({ ...view, travel }),
+        isPiloted: () => piloted,
+        setEnabled: (value) => {
+            enabled = value;
+            if (!value) drag = pinch = null;
+        },
+        setAutopilotDelay: (ms) => { autopilotDelay = ms; }
+    };
+}
@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * FRAME PROFILER
+ * ============================================================================
+ * Records per-frame timings for rendered frames only (throttled frames are
+ * never measured):
+ *
+ *   cpu:      JS + draw submission time between beginFrame() and endFrame()
+ *   gpu:      GPU execution time via EXT_disjoint_timer_query_webgl2, when the
+ *             extension is available (results arrive a few frames late)
+ *   interval: time between consecutive rendered frames
+ *
+ * Percentiles are computed over a rolling window. The frame cost used for
+ * quality decisions is GPU time when it can be measured, otherwise the
+ * frame interval; endFrame() returns each new cost sample as it arrives.
+ * ============================================================================
+ */
+
+const MAX_PENDING_QUERIES = 8;
+
+// --- Rolling Sample Window ---
+function createSampleWindow(size) {
+    const samples = [];
+    return {
+        push(value) {
+            samples.push(value);
+            if (samples.length > size) samples.shift();
+        },
+        latest() {
+            return samples.length ? samples[samples.length - 1] : null;
+        },
+        clear() {
+            samples.length = 0;
+        },
+        values() {
+            return samples;
+        },
+        summarize() {
+            if (samples.length === 0) return null;
+            const sorted = [...samples].sort((a, b) => a - b);
+            const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+            return {
+                avg: samples.reduce((sum, value) => sum + value, 0) / samples.length,
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                p99: percentile(0.99),
+                max: sorted[sorted.length - 1],
+                count: samples.length
+            };
+        }
+    };
+}
+
+export function createFrameProfiler(renderer, { sampleCount = 120 } = {}) {
+    const gl = renderer.getContext();
+    const timerExt = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+
+    const cpu = createSampleWindow(sampleCount);
+    const gpu = createSampleWindow(sampleCount);
+    const interval = createSampleWindow(sampleCount);
+    const pendingQueries = [];
+
+    let cpuStart = 0;
+    let lastFrameStart = 0;
+    let activeQuery = null;
+
+    // --- GPU Timer Queries ---
+    // Returns the newest GPU time resolved by this poll, or null
+    function pollQueries() {
+        // Results are only trustworthy if no disjoint event happened meanwhile
+        const disjoint = gl.getParameter(timerExt.GPU_DISJOINT_EXT);
+        let resolved = null;
+        while (pendingQueries.length > 0) {
+            const query = pendingQueries[0];
+            if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+            if (!disjoint) {
+                resolved = gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+                gpu.push(resolved);
+            }
+            gl.deleteQuery(query);
+            pendingQueries.shift();
+        }
+        return resolved;
+    }
+
+    // --- Frame Markers ---
+    function beginFrame(timestamp) {
+        // Gaps over a second are paused tabs, not slow frames
+        if (lastFrameStart > 0 && timestamp - lastFrameStart < 1000) {
+            interval.push(timestamp - lastFrameStart);
+        }
+        lastFrameStart = timestamp;
+        cpuStart = performance.now();
+
+        if (timerExt && pendingQueries.length < MAX_PENDING_QUERIES) {
+            activeQuery = gl.createQuery();
+            gl.beginQuery(timerExt.TIME_ELAPSED_EXT, activeQuery);
+        }
+    }
+
+    // Returns the new frame cost sample (ms), or null if none arrived yet
+    function endFrame() {
+        cpu.push(performance.now() - cpuStart);
+
+        if (activeQuery) {
+            gl.endQuery(timerExt.TIME_ELAPSED_EXT);
+            pendingQueries.push(activeQuery);
+            activeQuery = null;
+        }
+        return timerExt ? pollQueries() : interval.latest();
+    }
+
+    // --- Results ---
+    function getStats() {
+        const intervalStats = interval.summarize();
+        const gpuStats = gpu.summarize();
+        return {
+            cpu: cpu.summarize(),
+            gpu: gpuStats,
+            interval: intervalStats,
+            frameTime: gpuStats || intervalStats,
+            fps: intervalStats ? 1000 / intervalStats.avg : 0,
+            gpuTimerAvailable: Boolean(timerExt)
+        };
+    }
+
+    function getFrameTimes() {
+        return (timerExt ? gpu : interval).values();
+    }
+
+    // Drop old samples, e.g. after a quality change or a long tab switch
+    function reset() {
+        cpu.clear();
+        gpu.clear();
+        interval.clear();
+        lastFrameStart = 0;
+    }
+
+    return {
+        beginFrame,
+        endFrame,
+        getStats,
+        getFrameTimes,
+        reset,
+        hasGPUTimer: Boolean(timerExt)
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * ============================================================================
+ * PROFILER OVERLAY
+ * ============================================================================
+ * Small on-screen readout of the frame profiler: FPS, CPU/GPU percentiles and
+ * a frame-time graph against the frame budget. Toggled from the GUI.
+ * ============================================================================
+ */
+
+const GRAPH_WIDTH = 180;
+const GRAPH_HEIGHT = 48;
+const GRAPH_MAX_MS = 50;
+
+function formatTiming(stats) {
+    if (!stats) return 'n/a';
+    return `${stats.avg.toFixed(1)} avg · ${stats.p95.toFixed(1)} p95 · ${stats.p99.toFixed(1)} p99 ms`;
+}
+
+export function createProfilerOverlay(profiler, { getDetails = () => ({}), refreshInterval = 250 } = {}) {
+    let element = null;
+    let textElement = null;
+    let graphContext = null;
+    let lastRefresh = 0;
+
+    function build() {
+        element = document.createElement('div');
+        element.id = 'profiler-overlay';
+        element.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            background: rgba(0, 0, 0, 0.75);
+            color: #cfd8dc;
+            padding: 10px 12px;
+            border-radius: 8px;
+            font-family: 'SFMono-Regular', Consolas, monospace;
+            font-size: 11px;
+            line-height: 1.5;
+            z-index: 1500;
+            pointer-events: none;
+            backdrop-filter: blur(6px);
+            border: 1px solid rgba(255, 255, 255, 0.15);
+        `;
+
+        textElement = document.createElement('div');
+        textElement.style.whiteSpace = 'pre';
+        element.appendChild(textElement);
+
+        const graph = document.createElement('canvas');
+        graph.width = GRAPH_WIDTH;
+        graph.height = GRAPH_HEIGHT;
+        graph.style.cssText = 'display: block; margin-top: 6px;';
+        element.appendChild(graph);
+        graphContext = graph.getContext('2d');
+
+        document.body.appendChild(element);
+    }
+
+    // --- Frame Time Graph ---
+    function drawGraph(frameTimes, budget) {
+        const ctx = graphContext;
+        ctx.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.fillRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+
+        const barWidth = GRAPH_WIDTH / Math.max(frameTimes.length, 1);
+        frameTimes.forEach((frameTime, index) => {
+            const height = Math.min(frameTime / GRAPH_MAX_MS, 1) * GRAPH_HEIGHT;
+            ctx.fillStyle = frameTime > budget * 1.2 ? '#ef5350' : frameTime > budget ? '#ffb74d' : '#81c784';
+            ctx.fillRect(index * barWidth, GRAPH_HEIGHT - height, Math.max(barWidth - 0.5, 0.5), height);
+        });
+
+        // Budget line
+        const budgetY = GRAPH_HEIGHT - Math.min(budget / GRAPH_MAX_MS, 1) * GRAPH_HEIGHT;
+        ctx.strokeStyle = 'rgba(100, 181, 246, 0.9)';
+        ctx.beginPath();
+        ctx.moveTo(0, budgetY);
+        ctx.lineTo(GRAPH_WIDTH, budgetY);
+        ctx.stroke();
+    }
+
+    // --- Public API ---
+    function update(now = performance.now()) {
+        if (!element || element.style.display === 'none' || now - lastRefresh < refreshInterval) return;
+        lastRefresh = now;
+
+        const stats = profiler.getStats();
+        const details = getDetails();
+        const lines = [
+            `FPS    ${stats.fps.toFixed(0)}`,
+            `Frame  ${formatTiming(stats.interval)}`,
+            `CPU    ${formatTiming(stats.cpu)}`,
+            `GPU    ${stats.gpuTimerAvailable ? formatTiming(stats.gpu) : 'timer query unavailable'}`
+        ];
+        for (const [label, value] of Object.entries(details)) {
+            if (label === 'budget') continue;
+            lines.push(`${label.padEnd(6)} ${value}`);
+        }
+        textElement.textContent = lines.join('\n');
+        drawGraph(profiler.getFrameTimes(), details.budget || 16.67);
+    }
+
+    function setVisible(visible) {
+        if (visible && !element) build();
+        if (element) element.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            lastRefresh = 0;
+            update();
+        }
+    }
+
+    return { update, setVisible };
+}
@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ * COSMIC QUIZ
+ * ============================================================================
+ * Turns facts (curated or generated, anything with title / content /
+ * physics) into questions, and keeps score for a quiz session:
+ *
+ *   multiple-choice  which fact does this description belong to? The other
+ *                    choices are titles of other facts
+ *   true-false       does this description belong to the named fact?
+ *
+ * The fact's own title is blanked out of the description so the question
+ * doesn't give itself away; the physics explanation is shown after answering.
+ * Questions are built from templates, so the quiz works offline and on facts
+ * from any provider; pass `text` to word them in another language.
+ *
+ * Events (subscribe with on(event, handler)):
+ *   answer  { correct, question, stats }
+ * ============================================================================
+ */
+
+import { createEmitter } from '../utils/emitter.js';
+
+export const QUESTION_TYPES = {
+    MULTIPLE_CHOICE: 'multiple-choice',
+    TRUE_FALSE: 'true-false'
+};
+
+const MAX_CHOICES = 4;
+const BLANK = '_____';
+
+// Question wording; {title} is filled in for trueOrFalse
+export const QUIZ_TEXT = {
+    whichFact: 'Which of these does the description belong to?',
+    trueOrFalse: 'True or false: this describes {title}.',
+    true: 'True',
+    false: 'False'
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace the words of `title` (and their plurals / singulars) in `text`
+export function maskTitle(text, title) {
+    const stems = title.split(/\s+/)
+        .map(word => word.replace(/[^\w-]/g, '').replace(/s$/i, ''))
+        .filter(stem => stem.length > 3);
+    return stems.reduce(
+        (masked, stem) => masked.replace(new RegExp(`\\b${escapeRegExp(stem)}\\w*`, 'gi'), BLANK),
+        text
+    );
+}
+
+function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// A question about `fact`, with distractors from `pool` (other facts).
+// Returns null when the pool has nothing to compare against.
+export function createQuestion(fact, pool, { random = Math.random, trueFalseChance = 0.3, text = QUIZ_TEXT } = {}) {
+    const title = fact.title.toLowerCase();
+    const others = [...new Map(pool
+        .filter(other => other.title.toLowerCase() !== title)
+        .map(other => [other.title.toLowerCase(), other.title])).values()];
+    if (others.length === 0) return null;
+
+    const base = {
+        statement: maskTitle(fact.content, fact.title),
+        explanation: fact.physics,
+        factTitle: fact.title
+    };
+
+    // Three or more choices make a fair multiple choice; otherwise true / false
+    if (others.length >= 2 && random() >= trueFalseChance) {
+        const choices = shuffle([fact.title, ...shuffle(others, random).slice(0, MAX_CHOICES - 1)], random);
+        return {
+            ...base,
+            type: QUESTION_TYPES.MULTIPLE_CHOICE,
+            prompt: text.whichFact,
+            choices,
+            answer: choices.indexOf(fact.title)
+        };
+    }
+
+    const isTrue = random() < 0.5;
+    const named = isTrue ? fact.title : others[Math.floor(random() * others.length)];
+    return {
+        ...base,
+        type: QUESTION_TYPES.TRUE_FALSE,
+        prompt: text.trueOrFalse.replace('{title}', named),
+        choices: [text.true, text.false],
+        answer: isTrue ? 0 : 1
+    };
+}
+
+// getFacts() -> current fact list (it grows as facts are generated)
+// state: a previous getState(), to keep the best streak across sessions
+// text: question wording, as QUIZ_TEXT
+export function createQuiz({ getFacts, random = Math.random, recentWindow = 5, state = null, text = QUIZ_TEXT }) {
+    const emitter = createEmitter();
+    let question = null;
+    let answered = false;
+    let recent = [];   // Titles asked about lately
+    let score = 0;
+    let total = 0;
+    let streak = 0;
+    let bestStreak = state?.bestStreak || 0;
+
+    const getStats = () => ({ score, total, streak, bestStreak });
+
+    // --- Questions ---
+    function next() {
+        const facts = getFacts().filter(fact => fact.title && fact.content && fact.physics);
+        const windowSize = Math.min(recentWindow, facts.length - 2);
+        const avoid = new Set(windowSize > 0 ? recent.slice(-windowSize) : []);
+        const candidates = facts.filter(fact => !avoid.has(fact.title.toLowerCase()));
+        if (candidates.length === 0) return null;
+
+        const fact = candidates[Math.floor(random() * candidates.length)];
+        question = createQuestion(fact, facts, { random, text });
+        answered = false;
+        if (question) {
+            recent = [...recent, fact.title.toLowerCase()].slice(-recentWindow);
+        }
+        return question;
+    }
+
+    // choice: index into question.choices; each question counts once
+    function answer(choice) {
+        if (!question || answered) return null;
+        answered = true;
+
+        const correct = choice === question.answer;
+        total++;
+        if (correct) {
+            score++;
+            streak++;
+            bestStreak = Math.max(bestStreak, streak);
+        } else {
+            streak = 0;
+        }
+
+        const result = { correct, question, stats: getStats() };
+        emitter.emit('answer', result);
+        return result;
+    }
+
+    // New session: score and streak start over, the best streak stays
+    function reset() {
+        question = null;
+        answered = false;
+        recent = [];
+        score = 0;
+        total = 0;
+        streak = 0;
+    }
+
+    return {
+        on: emitter.on,
+        next,
+        answer,
+        getQuestion: () => question,
+        isAnswered: () => answered,
+        getStats,
+        // Plain data for persisting
+        getState: () => ({ bestStreak }),
+        reset
+    };
+}
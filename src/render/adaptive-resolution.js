@@ -0,0 +1,166 @@
+/**
+ * ============================================================================
+ * ADAPTIVE RESOLUTION
+ * ============================================================================
+ * Renders the scene into an offscreen target whose size follows a rolling
+ * frame-time average, then upscales it to the canvas. The scale drifts
+ * smoothly between minScale and maxScale, so heavy frames cost resolution
+ * first; quality tier changes are left for when the scale is already pinned
+ * at its minimum and the p95 frame time still misses the budget (see
+ * getPressure()).
+ * ============================================================================
+ */
+
+import * as THREE from 'three';
+
+const upscaleVertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const upscaleFragmentShader = `
+    uniform sampler2D source;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = texture2D(source, vUv);
+    }
+`;
+
+export function createAdaptiveResolution(renderer, {
+    minScale = 0.4,
+    maxScale = 1.0,
+    scaleStep = 0.05,          // Target is only reallocated in these increments
+    sampleCount = 30,          // Frames in the rolling average
+    adjustInterval = 250,      // ms between scale adjustments
+    pressureDuration = 3000    // ms pinned at a limit before asking for a tier change
+} = {}) {
+    const bufferSize = new THREE.Vector2();
+    const renderSize = new THREE.Vector2();
+    const frameTimes = [];
+
+    let scale = maxScale;
+    let appliedScale = maxScale;
+    let targetFrameTime = 16.67;
+    let lastAdjust = 0;
+    let pinnedLowSince = null;
+    let pinnedHighSince = null;
+
+    const renderTarget = new THREE.WebGLRenderTarget(1, 1, {
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        depthBuffer: false,
+        stencilBuffer: false
+    });
+
+    // --- Upscale Pass ---
+    const upscaleScene = new THREE.Scene();
+    const upscaleCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const upscaleMaterial = new THREE.ShaderMaterial({
+        uniforms: { source: { value: renderTarget.texture } },
+        vertexShader: upscaleVertexShader,
+        fragmentShader: upscaleFragmentShader,
+        depthTest: false,
+        depthWrite: false
+    });
+    upscaleScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), upscaleMaterial));
+
+    function resizeTarget() {
+        renderer.getDrawingBufferSize(bufferSize);
+        renderSize.set(
+            Math.max(1, Math.floor(bufferSize.x * appliedScale)),
+            Math.max(1, Math.floor(bufferSize.y * appliedScale))
+        );
+        renderTarget.setSize(renderSize.x, renderSize.y);
+    }
+
+    function getAverageFrameTime() {
+        if (frameTimes.length === 0) return targetFrameTime;
+        return frameTimes.reduce((sum, value) => sum + value, 0) / frameTimes.length;
+    }
+
+    // --- Frame Time Feedback ---
+    function recordFrameTime(frameTime, now = performance.now()) {
+        frameTimes.push(frameTime);
+        if (frameTimes.length > sampleCount) frameTimes.shift();
+        if (frameTimes.length < sampleCount / 2 || now - lastAdjust < adjustInterval) return;
+        lastAdjust = now;
+
+        const average = getAverageFrameTime();
+        if (average > targetFrameTime * 1.2) {
+            // Over budget: step down proportionally to how far over we are
+            const overshoot = Math.min(average / targetFrameTime - 1.0, 1.0);
+            scale -= 0.02 + overshoot * 0.08;
+        } else if (average < targetFrameTime * 1.05) {
+            // On budget: creep back up, vsync hides any remaining headroom
+            scale += 0.02;
+        }
+        scale = THREE.MathUtils.clamp(scale, minScale, maxScale);
+
+        const quantized = Math.round(scale / scaleStep) * scaleStep;
+        if (Math.abs(quantized - appliedScale) >= scaleStep / 2) {
+            appliedScale = THREE.MathUtils.clamp(quantized, minScale, maxScale);
+            resizeTarget();
+        }
+    }
+
+    // 'down' when even the minimum scale misses the budget, 'up' when full
+    // resolution has been comfortable for a while, otherwise null
+    function getPressure(frameTimeP95, now = performance.now()) {
+        pinnedLowSince = scale <= minScale && frameTimeP95 > targetFrameTime * 1.25
+            ? (pinnedLowSince ?? now) : null;
+        pinnedHighSince = scale >= maxScale && frameTimeP95 < targetFrameTime * 1.1
+            ? (pinnedHighSince ?? now) : null;
+
+        if (pinnedLowSince !== null && now - pinnedLowSince > pressureDuration) return 'down';
+        if (pinnedHighSince !== null && now - pinnedHighSince > pressureDuration * 2) return 'up';
+        return null;
+    }
+
+    // Restart the feedback loop after a tier change so it isn't judged on old frames
+    function resetPressure() {
+        frameTimes.length = 0;
+        pinnedLowSince = null;
+        pinnedHighSince = null;
+    }
+
+    function setTargetFrameTime(frameTime) {
+        targetFrameTime = frameTime;
+    }
+
+    // --- Rendering ---
+    function render(scene, camera) {
+        renderer.setRenderTarget(renderTarget);
+        renderer.render(scene, camera);
+        renderer.setRenderTarget(null);
+        renderer.render(upscaleScene, upscaleCamera);
+    }
+
+    function setSize() {
+        resizeTarget();
+    }
+
+    function getRenderSize() {
+        return renderSize;
+    }
+
+    function getScale() {
+        return appliedScale;
+    }
+
+    resizeTarget();
+
+    return {
+        recordFrameTime,
+        getAverageFrameTime,
+        getPressure,
+        resetPressure,
+        setTargetFrameTime,
+        render,
+        setSize,
+        getRenderSize,
+        getScale
+    };
+}
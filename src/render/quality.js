@@ -0,0 +1,75 @@
+/**
+ * ============================================================================
+ * QUALITY TIERS
+ * ============================================================================
+ * Each tier maps to compile-time loop bounds for the scene shaders. They are
+ * injected as #defines, so a lower tier really runs fewer raymarch steps,
+ * fewer fractal folds and fewer FBM octaves instead of just scaling a uniform.
+ *
+ *   TUNNEL_STEPS           tunnel raymarch steps
+ *   TUNNEL_FOLD_LIMIT      tunnel turbulence frequency limit (folds = log2)
+ *   SINGULARITY_STEPS      singularity warp iterations
+ *   WARP_STEPS             warp star field ray steps
+ *   WARP_FOLDS             warp fractal folds per step
+ *   FBM_OCTAVES            max FBM octaves in the volumetric atmosphere
+ * ============================================================================
+ */
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+const QUALITY_TIERS = {
+    low: {
+        detailLevel: 0.3,
+        tunnelSteps: 40, tunnelFoldLimit: 8, singularitySteps: 5,
+        warpSteps: 40, warpFolds: 7, fbmOctaves: 2
+    },
+    medium: {
+        detailLevel: 0.6,
+        tunnelSteps: 60, tunnelFoldLimit: 16, singularitySteps: 7,
+        warpSteps: 60, warpFolds: 8, fbmOctaves: 3
+    },
+    high: {
+        detailLevel: 0.8,
+        tunnelSteps: 80, tunnelFoldLimit: 32, singularitySteps: 9,
+        warpSteps: 80, warpFolds: 9, fbmOctaves: 4
+    },
+    ultra: {
+        detailLevel: 1.5,
+        tunnelSteps: 100, tunnelFoldLimit: 32, singularitySteps: 9,
+        warpSteps: 100, warpFolds: 10, fbmOctaves: 4
+    }
+};
+
+// GLSL needs float literals for float loop counters
+function glslFloat(value) {
+    return Number.isInteger(value) ? `${value}.0` : `${value}`;
+}
+
+// --- Quality Profile ---
+export function getQualityProfile(level, { isMobile = false, isHighRes = false } = {}) {
+    const tier = QUALITY_TIERS[level] || QUALITY_TIERS.high;
+
+    // Fewer ray steps on mobile GPUs and on large desktop canvases
+    let stepScale = 1.0;
+    if (isMobile) stepScale *= 0.75;
+    if (isHighRes && !isMobile) stepScale *= 0.8;
+
+    const tunnelSteps = Math.max(16, Math.round(tier.tunnelSteps * stepScale));
+    const warpSteps = Math.max(16, Math.round(tier.warpSteps * stepScale));
+
+    const defines = {
+        TUNNEL_STEPS: glslFloat(tunnelSteps),
+        TUNNEL_FOLD_LIMIT: glslFloat(tier.tunnelFoldLimit),
+        SINGULARITY_STEPS: glslFloat(tier.singularitySteps),
+        WARP_STEPS: warpSteps,
+        WARP_FOLDS: tier.warpFolds,
+        FBM_OCTAVES: tier.fbmOctaves
+    };
+
+    return {
+        level,
+        detailLevel: tier.detailLevel,
+        defines,
+        key: Object.values(defines).join('_')
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * ============================================================================
+ * SCENE MATERIAL CACHE
+ * ============================================================================
+ * One ShaderMaterial per shader variant (see src/scenes/compose.js) and
+ * quality tier (see src/render/quality.js). All materials share the same
+ * uniforms object, so swapping the material on the fullscreen mesh never
+ * loses animation state.
+ * ============================================================================
+ */
+
+import * as THREE from 'three';
+import { composeFragmentShader, getVariantKey } from '../scenes/index.js';
+
+export function createSceneMaterialCache({ uniforms, vertexShader, quality }) {
+    const materials = new Map();
+    let currentQuality = quality;
+
+    // Previously used tiers stay cached so switching back is instant
+    function setQuality(profile) {
+        currentQuality = profile;
+    }
+
+    function get(variant) {
+        const key = `${currentQuality.key}/${getVariantKey(variant)}`;
+        if (!materials.has(key)) {
+            materials.set(key, new THREE.ShaderMaterial({
+                uniforms: uniforms,
+                defines: { ...currentQuality.defines },
+                vertexShader: vertexShader,
+                fragmentShader: composeFragmentShader(variant)
+            }));
+        }
+        return materials.get(key);
+    }
+
+    // Compile variants ahead of time so a transition doesn't hitch on first use
+    function warmUp(renderer, camera, variants) {
+        const warmScene = new THREE.Scene();
+        const geometry = new THREE.PlaneGeometry(2, 2);
+        for (const variant of variants) {
+            warmScene.add(new THREE.Mesh(geometry, get(variant)));
+        }
+
+        const done = () => geometry.dispose();
+        if (renderer.compileAsync) {
+            return renderer.compileAsync(warmScene, camera).then(done, done);
+        }
+        renderer.compile(warmScene, camera);
+        done();
+        return Promise.resolve();
+    }
+
+    function dispose() {
+        for (const material of materials.values()) {
+            material.dispose();
+        }
+        materials.clear();
+    }
+
+    return { get, setQuality, warmUp, dispose };
+}
@@ -0,0 +1,101 @@
+/**
+ * ============================================================================
+ * SHARED GLSL - Volumetric Atmosphere
+ * ============================================================================
+ * Atmospheric scattering and FBM helpers shared by every scene. Composed into
+ * the fragment shader ahead of the scene code so any scene may call
+ * get_volumetric_atmosphere() for its Ultra quality overlay.
+ * ============================================================================
+ */
+
+export const volumetric_atmosphere_code = `
+    // Optimized atmospheric scattering
+    vec3 rayleigh_scattering(float cosTheta) {
+        return vec3(0.58, 1.35, 3.31) * (1.0 + cosTheta * cosTheta) * 0.06;
+    }
+    
+    vec3 mie_scattering(float cosTheta, float g) {
+        float g2 = g * g;
+        float num = (1.0 - g2);
+        float denom = pow(1.0 + g2 - 2.0 * g * cosTheta, 1.5);
+        return vec3(0.4) * num / denom;
+    }
+    
+    // Optimized noise function
+    float noise3D(vec3 p) {
+        p = fract(p * 0.1031);
+        p += dot(p, p.yzx + 33.33);
+        return fract((p.x + p.y) * p.z);
+    }
+    
+    // Much faster FBM with fewer octaves
+    float fbm(vec3 p, int octaves) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        float frequency = 1.0;
+        
+        // Limit to the quality tier's octave budget for performance
+        int maxOctaves = min(octaves, FBM_OCTAVES);
+        
+        for (int i = 0; i < FBM_OCTAVES; i++) {
+            if (i >= maxOctaves) break;
+            value += noise3D(p * frequency) * amplitude;
+            frequency *= 2.0;
+            amplitude *= 0.5;
+        }
+        return value;
+    }
+    
+    vec4 get_volumetric_atmosphere(vec2 uv, vec3 rayDir, float time) {
+        vec3 sunDir = normalize(vec3(sin(time * 0.1), 0.8, cos(time * 0.1)));
+        float cosTheta = dot(rayDir, sunDir);
+        
+        // Simplified atmospheric density
+        float altitude = rayDir.y * 0.5 + 0.5;
+        float density = exp(-altitude * 3.0);
+        
+        // Single optimized cloud layer instead of 3
+        vec3 cloudPos = rayDir * 60.0 + vec3(time * 1.5, time * 0.3, time * 1.0);
+        float cloud = fbm(cloudPos * 0.015, 3); // Reduced from 6 octaves
+        cloud = smoothstep(0.4, 0.8, cloud);
+        
+        // Optional second layer only for ultra quality
+        float cloud2 = 0.0;
+        if (detail_level > 1.0) {
+            vec3 cloudPos2 = rayDir * 90.0 + vec3(time * -1.0, time * 0.2, time * 1.5);
+            cloud2 = fbm(cloudPos2 * 0.01, 2); // Reduced from 5 octaves
+            cloud2 = smoothstep(0.5, 0.9, cloud2) * 0.3;
+        }
+        
+        float totalCloud = cloud + cloud2;
+        
+        // Simplified scattering
+        vec3 rayleigh = rayleigh_scattering(cosTheta);
+        vec3 mie = mie_scattering(cosTheta, 0.76);
+        
+        // Simplified atmospheric coloring
+        vec3 horizonColor = vec3(1.0, 0.5, 0.2) * (1.0 - altitude);
+        vec3 zenithColor = vec3(0.2, 0.4, 0.9) * altitude;
+        vec3 skyColor = mix(horizonColor, zenithColor, altitude);
+        
+        // Simplified sun disk
+        float sunIntensity = max(0.0, 1.0 - distance(rayDir.xy, sunDir.xy) * 25.0);
+        vec3 sunColor = vec3(1.0, 0.9, 0.7) * sunIntensity * 10.0;
+        
+        // Combine effects more efficiently
+        vec3 scatteredLight = rayleigh * skyColor;
+        vec3 cloudColor = mix(vec3(0.9, 0.95, 1.0), vec3(1.0, 0.7, 0.4), sunIntensity);
+        
+        vec3 finalColor = scatteredLight + sunColor;
+        finalColor = mix(finalColor, cloudColor, totalCloud * density);
+        
+        // Simplified god rays
+        if (detail_level > 1.0) {
+            float godRays = pow(max(0.0, cosTheta), 6.0) * totalCloud * 0.3;
+            finalColor += vec3(1.0, 0.8, 0.6) * godRays;
+        }
+        
+        float alpha = density * (0.2 + totalCloud * 0.5);
+        return vec4(finalColor, alpha);
+    }
+`;
@@ -0,0 +1,139 @@
+/**
+ * ============================================================================
+ * FRAGMENT SHADER COMPOSITION
+ * ============================================================================
+ * Builds fullscreen fragment shader variants from the registered scenes.
+ * A variant only contains the scenes that contribute to the current frame:
+ *
+ *   from: scene being left (or the idle scene)     - null when hidden
+ *   to:   scene being crossfaded in                 - null when hidden
+ *   warp: transition effect overlaid via interstellar_mix
+ *
+ * Outside transitions that is a single scene, so every pixel runs one scene
+ * function instead of all of them.
+ * ============================================================================
+ */
+
+import { volumetric_atmosphere_code } from './atmosphere.js';
+import { getScene, getTransitionEffect } from './registry.js';
+
+// --- Variant Selection ---
+// Pick the scenes that are visible for the given transition state. smoothstep()
+// in the shader reaches exactly 0 and 1 at the ends, so dropped layers would
+// have had zero weight anyway.
+export function selectShaderVariant({ from, to, transitionProgress, interstellarMix, xr = false }) {
+    const warpCovers = interstellarMix >= 1.0;
+    const variant = {
+        from: !warpCovers && transitionProgress < 1.0 ? from : null,
+        to: !warpCovers && transitionProgress > 0.0 && to !== null ? to : null,
+        warp: interstellarMix > 0.0 && getTransitionEffect() !== null,
+        xr
+    };
+
+    // Nothing left to draw (e.g. no transition effect registered): keep the target scene
+    if (variant.from === null && variant.to === null && !variant.warp) {
+        variant.to = to !== null ? to : from;
+    }
+    return variant;
+}
+
+export function getVariantKey({ from = null, to = null, warp = false, xr = false }) {
+    return `${from ?? '-'}|${to ?? '-'}|${warp ? 'warp' : '-'}${xr ? '|xr' : ''}`;
+}
+
+// --- Layer Mixing ---
+function buildMixCode(from, to, warp) {
+    const call = (index) => {
+        const scene = getScene(index);
+        return `${scene.colorFunction}(res_coord, resolution, time)`;
+    };
+
+    let mainMix = 'vec4(0.0)';
+    if (from !== null && to !== null) {
+        mainMix = `mix(${call(from)}, ${call(to)}, smoothstep(0.0, 1.0, transition_progress))`;
+    } else if (from !== null) {
+        mainMix = call(from);
+    } else if (to !== null) {
+        mainMix = call(to);
+    }
+
+    if (!warp) {
+        return `vec4 final_color = ${mainMix};`;
+    }
+
+    const transitionColor = `${getTransitionEffect().colorFunction}(res_coord, resolution, time)`;
+    if (from === null && to === null) {
+        return `vec4 final_color = ${transitionColor};`;
+    }
+    return `vec4 main_mix = ${mainMix};
+            vec4 transition_effect = ${transitionColor};
+            vec4 final_color = mix(main_mix, transition_effect, smoothstep(0.0, 1.0, interstellar_mix));`;
+}
+
+// --- Shader Assembly ---
+// xr: pixels come from the per-eye view ray instead of the canvas position
+function buildCoordCode(xr) {
+    if (!xr) {
+        // Offset places this draw inside a larger frame (tiled capture)
+        return 'vec2 res_coord = gl_FragCoord.xy + tile_offset;';
+    }
+    // Gnomonic projection of the eye ray gives the scenes the same
+    // u = tan(angle) layout as the flat view; head pose is in view_rotation
+    return `vec3 eye_ray = normalize(vEyeRay);
+            vec2 res_coord = eye_ray.xy / -eye_ray.z * resolution.y + 0.5 * resolution.xy;`;
+}
+
+export function composeFragmentShader({ from = null, to = null, warp = false, xr = false } = {}) {
+    const sceneIndices = [...new Set([from, to].filter(index => index !== null))];
+    for (const index of sceneIndices) {
+        if (!getScene(index)) {
+            throw new Error(`No scene registered at index ${index}`);
+        }
+    }
+
+    const transition = warp ? getTransitionEffect() : null;
+
+    return `
+        uniform vec2 resolution;
+        uniform vec2 tile_offset;
+        uniform float time;
+        uniform float transition_progress;
+        uniform float interstellar_mix;
+        uniform float detail_level;
+        uniform mat3 view_rotation;
+        uniform vec3 view_angles;
+        uniform float view_travel;
+        uniform float audio_bass;
+        uniform float audio_mid;
+        uniform float audio_treble;
+        uniform float audio_beat;
+        varying vec2 vUv;
+        varying vec3 vEyeRay;
+
+        // Screen-space roll of the piloted view (src/input/flight-controls.js)
+        vec2 apply_view_roll(vec2 v) {
+            float roll_cos = cos(view_angles.z), roll_sin = sin(view_angles.z);
+            return mat2(roll_cos, -roll_sin, roll_sin, roll_cos) * v;
+        }
+
+        ${volumetric_atmosphere_code}
+        ${sceneIndices.map(index => getScene(index).glsl).join('\n')}
+        ${transition ? transition.glsl : ''}
+
+        // --- Main Shader Logic (Performance Optimized) ---
+        void main() {
+            ${buildCoordCode(xr)}
+            vec2 u = (res_coord - 0.5 * resolution.xy) / resolution.y;
+            ${buildMixCode(from, to, warp)}
+
+            // Ultra quality: Add optimized atmospheric enhancement
+            if (detail_level >= 1.2) {
+                vec3 rayDir = normalize(view_rotation * vec3(u, 0.8));
+                vec4 global_atmosphere = get_volumetric_atmosphere(u, rayDir, time);
+                final_color.rgb = mix(final_color.rgb, global_atmosphere.rgb, global_atmosphere.a * 0.1);
+            }
+
+            gl_FragColor = vec4(final_color.rgb, 1.0);
+        }
+    `;
+}
@@ -0,0 +1,21 @@
+/**
+ * ============================================================================
+ * BUILT-IN SCENES
+ * ============================================================================
+ * Registers the scenes shipped with the app, in journey order. To add a new
+ * scene (nebula, pulsar, ...) create a module next to these and register it
+ * here - main() picks it up through the registry.
+ * ============================================================================
+ */
+
+import { registerScene, registerTransitionEffect } from './registry.js';
+import tunnel from './tunnel.js';
+import singularity from './singularity.js';
+import warp from './warp.js';
+
+registerScene(tunnel);
+registerScene(singularity);
+registerTransitionEffect(warp);
+
+export * from './registry.js';
+export { composeFragmentShader, selectShaderVariant, getVariantKey } from './compose.js';
@@ -0,0 +1,95 @@
+/**
+ * ============================================================================
+ * SCENE REGISTRY
+ * ============================================================================
+ * Scenes are plain modules describing one destination of the journey:
+ *
+ *   {
+ *       id:            unique identifier ('tunnel', 'singularity', ...)
+ *       name:          display name
+ *       factTopic:     AI topic linked to the scene
+ *       relatedTopics: further topics that fact generation leans toward while
+ *                      the scene is on screen (scene-linked facts)
+ *       colorFunction: GLSL entry point, vec4 fn(vec2 fragCoord, vec2 resolution, float time)
+ *                      (derive all screen-space math from these arguments, not
+ *                      gl_FragCoord, so tiled captures line up)
+ *       uniforms:      scene-specific uniforms (declared by the scene's own GLSL)
+ *       glsl:          GLSL source defining colorFunction
+ *   }
+ *
+ * "Enter The Void" steps through scenes in registration order and wraps
+ * around. The warp effect played between scenes is registered separately as
+ * the transition effect and uses the same module shape.
+ * ============================================================================
+ */
+
+const scenes = [];
+let transitionEffect = null;
+
+// --- Validation ---
+function validateSceneModule(scene) {
+    const required = ['id', 'name', 'colorFunction', 'glsl'];
+    for (const field of required) {
+        if (!scene || !scene[field]) {
+            throw new Error(`Scene module is missing required field "${field}"`);
+        }
+    }
+    if (!scene.glsl.includes(scene.colorFunction)) {
+        throw new Error(`Scene "${scene.id}" does not define ${scene.colorFunction}() in its GLSL`);
+    }
+}
+
+// --- Registration ---
+export function registerScene(scene) {
+    validateSceneModule(scene);
+    if (scenes.some(existing => existing.id === scene.id)) {
+        throw new Error(`Scene "${scene.id}" is already registered`);
+    }
+    scenes.push({ uniforms: {}, factTopic: null, relatedTopics: [], ...scene });
+    return scenes.length - 1;
+}
+
+export function registerTransitionEffect(effect) {
+    validateSceneModule(effect);
+    transitionEffect = { uniforms: {}, factTopic: null, relatedTopics: [], ...effect };
+}
+
+// --- Lookup ---
+export function getScenes() {
+    return scenes;
+}
+
+export function getScene(index) {
+    return scenes[index];
+}
+
+export function getSceneCount() {
+    return scenes.length;
+}
+
+export function getSceneIndex(id) {
+    return scenes.findIndex(scene => scene.id === id);
+}
+
+export function getNextSceneIndex(index) {
+    return (index + 1) % scenes.length;
+}
+
+export function getTransitionEffect() {
+    return transitionEffect;
+}
+
+// Every topic a scene's facts are about, primary topic first
+export function getSceneTopics(scene) {
+    return [scene.factTopic, ...scene.relatedTopics].filter(Boolean);
+}
+
+// Merge every registered module's uniforms into one object for the material
+export function collectSceneUniforms() {
+    const collected = {};
+    const modules = transitionEffect ? [...scenes, transitionEffect] : scenes;
+    for (const module of modules) {
+        Object.assign(collected, module.uniforms);
+    }
+    return collected;
+}
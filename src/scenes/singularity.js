@@ -0,0 +1,71 @@
+/**
+ * ============================================================================
+ * SCENE - Singularity
+ * ============================================================================
+ * Black hole with a glowing accretion ring, reached through the void.
+ * ============================================================================
+ */
+
+export default {
+    id: 'singularity',
+    name: 'Singularity',
+    factTopic: 'black holes and event horizons',
+    relatedTopics: ['accretion disks and relativistic jets', 'Hawking radiation', 'quasars and active galactic nuclei'],
+    colorFunction: 'get_singularity_color',
+
+    uniforms: {
+        singularity_ring_radius: { value: 0.7 }, // Radius of the bright accretion ring
+        singularity_audio_glow: { value: 1.0 }   // Ring glow boost from mids and beats (audio-reactive mode)
+    },
+
+    glsl: `
+uniform float singularity_ring_radius;
+uniform float singularity_audio_glow;
+
+vec4 get_singularity_color(vec2 fragCoord, vec2 resolution, float time) {
+    float i = 0.2, a;
+    vec2 r = resolution,
+         // Looking around shifts the hole across the view, roll turns it
+         p = apply_view_roll((fragCoord + fragCoord - r) / r.y / 0.7) + vec2(view_angles.x, -view_angles.y) * 1.5,
+         d = vec2(-1,1),
+         b = p - i*d,
+         c = p * mat2(1, 1, d/(0.1 + i/dot(b,b))),
+         v = c * mat2(cos(0.5*log(a=dot(c,c)) + time*i + vec4(0,33,11,0)))/i,
+         w;
+    
+    for(; i<SINGULARITY_STEPS; i++) {
+        w += 1.0+sin(v);
+        v += 0.7* sin(v.yx*i+time) / i + 0.5;
+    }
+    // Normalise the sum to the 9-step reference so tiers match in brightness
+    w *= 9.0 / SINGULARITY_STEPS;
+    
+    i = length( sin(v/0.3)*0.4 + c*(3.0+d) );
+    
+    float glow = 1.0 + singularity_audio_glow * (audio_mid + audio_beat);
+    vec4 O = 1.0 - exp( -exp( c.x * vec4(0.6,-0.4,-1.0,0) ) * glow
+                   / w.xyyx
+                   / ( 2.0 + i*i/4.0 - i )
+                   / ( 0.5 + 1.0 / a )
+                   / ( 0.03 + abs( length(p)-singularity_ring_radius ) )
+             );
+    
+    vec4 result = O;
+    
+    // Ultra quality: Add volumetric atmospheric effects around singularity
+    if (detail_level >= 1.2) {
+        vec3 rayDir = normalize(vec3(p, 0.8));
+        vec4 atmosphere = get_volumetric_atmosphere(p, rayDir, time);
+        
+        // Add accretion disk effects
+        float diskDist = length(p);
+        float diskEffect = exp(-diskDist * 1.5) * 0.3;
+        atmosphere.rgb *= (1.0 + diskEffect);
+        
+        result = mix(result, atmosphere, atmosphere.a * 0.25);
+    }
+    
+    return result;
+}
+`
+};
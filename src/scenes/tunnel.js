@@ -0,0 +1,60 @@
+/**
+ * ============================================================================
+ * SCENE - Wormhole Tunnel
+ * ============================================================================
+ * Raymarched twisting tunnel, the scene the app opens on.
+ * ============================================================================
+ */
+
+export default {
+    id: 'tunnel',
+    name: 'Wormhole Tunnel',
+    factTopic: 'wormholes and theoretical physics',
+    relatedTopics: ['gravitational lensing and Einstein rings', 'gravitational waves and spacetime'],
+    colorFunction: 'get_tunnel_color',
+
+    uniforms: {
+        tunnel_twist: { value: 0.2 },       // Radians of twist per unit of depth
+        tunnel_audio_twist: { value: 1.0 }  // Extra twist from bass and beats (audio-reactive mode)
+    },
+
+    glsl: `
+    uniform float tunnel_twist;
+    uniform float tunnel_audio_twist;
+
+    vec4 get_tunnel_color(vec2 fragCoord, vec2 resolution, float t) {
+        vec2 u = (fragCoord - 0.5 * resolution.xy) / resolution.y;
+        vec4 fragColor = vec4(0.0);
+        float d = 0.0;
+        // Piloted view: steer the ray and fly further along the tunnel
+        vec3 ray = view_rotation * vec3(u, 1.0);
+        vec3 origin = vec3(0.0, 0.0, t * 2.0 + view_travel);
+        float twist = tunnel_twist * (1.0 + tunnel_audio_twist * (audio_bass + audio_beat));
+        for (float i = 0.0; i < TUNNEL_STEPS; i++) {
+            vec3 p = origin + ray * d;
+            float angle = p.z * twist;
+            p.xy *= mat2(cos(angle), -sin(angle), sin(angle), cos(angle));
+            float s = sin(p.y + p.x);
+            for (float n = 1.0; n < TUNNEL_FOLD_LIMIT; n += n) {
+                s -= abs(dot(cos(0.3 * t + p * n), vec3(0.3))) / n;
+            }
+            s = 0.01 + abs(s) * 0.8;
+            d += s;
+            fragColor += vec4(0.1 / s);
+        }
+        
+        // Normalise brightness to the 100-step reference so tiers match
+        fragColor *= 100.0 / TUNNEL_STEPS;
+        vec4 result = tanh(fragColor / 20000.0 / length(u));
+        
+        // Ultra quality: Add volumetric atmosphere overlay
+        if (detail_level >= 1.2) {
+            vec3 rayDir = normalize(ray);
+            vec4 atmosphere = get_volumetric_atmosphere(u, rayDir, t);
+            result = mix(result, atmosphere, atmosphere.a * 0.2);
+        }
+        
+        return result;
+    }
+`
+};
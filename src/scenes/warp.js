@@ -0,0 +1,74 @@
+/**
+ * ============================================================================
+ * TRANSITION - Warp Speed
+ * ============================================================================
+ * Star streak effect faded in over the scenes while the void carries the
+ * viewer from one scene to the next (driven by interstellar_mix).
+ * ============================================================================
+ */
+
+export default {
+    id: 'warp',
+    name: 'Warp Speed',
+    factTopic: 'time dilation and relativity',
+    relatedTopics: ['special relativity and the speed of light', 'length contraction and relativistic travel'],
+    colorFunction: 'get_transition_color',
+
+    uniforms: {
+        warp_speed: { value: 58.0 },     // Star field travel rate
+        warp_audio_boost: { value: 1.0 } // Streak stretch from treble and beats (audio-reactive mode)
+    },
+
+    glsl: `
+    uniform float warp_speed;
+    uniform float warp_audio_boost;
+
+    // 'Warp Speed 2' by David Hoskins 2015.
+    // Adapted for Three.js
+    vec4 get_transition_color(vec2 fragCoord, vec2 resolution, float time) {
+        float s = 0.0, v = 0.0;
+        vec2 uv = apply_view_roll((fragCoord / resolution) * 2.0 - 1.0);
+        float t = (time - 2.0) * warp_speed;
+        vec3 col = vec3(0.0);
+        // Piloted view: steering drifts the star field, speed pushes through it
+        vec3 init = vec3(sin(t * 0.0032) * 0.3 + view_angles.x * 0.3,
+                         0.35 - cos(t * 0.005) * 0.3 - view_angles.y * 0.3,
+                         (t + view_travel * 0.5 * warp_speed) * 0.002);
+        // Same ray length at every tier: fewer, longer steps weighted up
+        float step_scale = 100.0 / float(WARP_STEPS);
+        // Music stretches the rays along the flight axis: longer streaks read as a burst of speed
+        float stretch = 0.05 * (1.0 + warp_audio_boost * (audio_treble + audio_beat));
+        for (int r = 0; r < WARP_STEPS; r++) 
+        {
+            vec3 p = init + s * vec3(uv, stretch);
+            p.z = fract(p.z);
+            for (int i = 0; i < WARP_FOLDS; i++) {
+                p = abs(p * 2.04) / dot(p, p) - 0.9;
+            }
+            v += pow(dot(p, p), 0.7) * 0.06 * step_scale;
+            col += vec3(v) * 0.00003 * step_scale;
+            s += 0.025 * step_scale;
+        }
+        
+        vec4 result = tanh(vec4(col, 1.0) / 30.0 / length(uv));
+        
+        // Ultra quality: Add volumetric warp effects
+        if (detail_level >= 1.2) {
+            vec3 rayDir = normalize(vec3(uv, 0.4));
+            vec4 atmosphere = get_volumetric_atmosphere(uv, rayDir, time);
+            
+            // Add warp effects
+            float warpStrength = length(col) * 0.05;
+            atmosphere.rgb *= (1.0 + warpStrength);
+            
+            // Add warp rays
+            vec3 warpRays = vec3(1.0, 0.9, 0.95) * warpStrength;
+            atmosphere.rgb += warpRays;
+            
+            result = mix(result, atmosphere, atmosphere.a * 0.4);
+        }
+        
+        return result;
+    }
+`
+};
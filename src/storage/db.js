@@ -0,0 +1,160 @@
+/**
+ * ============================================================================
+ * STORAGE BACKENDS
+ * ============================================================================
+ * Small promise-based record store used for everything the app persists:
+ *
+ *   get(store, key)     getAll(store)     put(store, record)
+ *   delete(store, key)  clear(store)
+ *
+ * IndexedDB is preferred. Where it is unavailable (some private browsing
+ * modes, locked-down webviews) the same API runs on localStorage, and as a
+ * last resort in memory so the app still works for the session. Both
+ * persistent backends apply the migrations from schema.js on open.
+ * ============================================================================
+ */
+
+import { DB_NAME, MIGRATIONS, SCHEMA_VERSION, getPendingMigrations } from './schema.js';
+
+// Wrap an IDBRequest (or transaction) in a promise
+function settle(request) {
+    return new Promise((resolve, reject) => {
+        if (request instanceof IDBTransaction) {
+            request.oncomplete = () => resolve();
+            request.onabort = request.onerror = () => reject(request.error);
+        } else {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }
+    });
+}
+
+// --- IndexedDB Backend ---
+function migrateIndexedDB(db, transaction, oldVersion) {
+    for (const migration of getPendingMigrations(oldVersion)) {
+        for (const [name, { keyPath, indexes = [] }] of Object.entries(migration.stores || {})) {
+            const store = db.createObjectStore(name, { keyPath });
+            indexes.forEach(index => store.createIndex(index, index));
+        }
+        for (const [name, transform] of Object.entries(migration.transform || {})) {
+            const cursorRequest = transaction.objectStore(name).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                cursor.update(transform(cursor.value));
+                cursor.continue();
+            };
+        }
+    }
+}
+
+async function openIndexedDB() {
+    if (typeof indexedDB === 'undefined') {
+        throw new Error('IndexedDB is not available');
+    }
+
+    const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+    request.onupgradeneeded = (event) => {
+        migrateIndexedDB(request.result, request.transaction, event.oldVersion);
+    };
+    // A tab still on an older schema blocks the upgrade until it closes: give
+    // up rather than wait, so openStorage() falls back and the app starts.
+    // If the upgrade goes through later, that connection isn't needed.
+    const db = await new Promise((resolve, reject) => {
+        let blocked = false;
+        request.onblocked = () => {
+            blocked = true;
+            reject(new Error('Storage upgrade blocked by another open tab'));
+        };
+        request.onsuccess = () => (blocked ? request.result.close() : resolve(request.result));
+        request.onerror = () => reject(request.error);
+    });
+    // Let a newer version in another tab upgrade instead of blocking it
+    db.onversionchange = () => db.close();
+
+    function read(store, operation) {
+        return settle(operation(db.transaction(store, 'readonly').objectStore(store)));
+    }
+
+    async function write(store, operation) {
+        const transaction = db.transaction(store, 'readwrite');
+        operation(transaction.objectStore(store));
+        await settle(transaction);
+    }
+
+    return {
+        kind: 'indexeddb',
+        get: (store, key) => read(store, records => records.get(key)),
+        getAll: (store) => read(store, records => records.getAll()),
+        put: (store, record) => write(store, records => records.put(record)),
+        delete: (store, key) => write(store, records => records.delete(key)),
+        clear: (store) => write(store, records => records.clear())
+    };
+}
+
+// --- Key-Value Backend (localStorage / memory) ---
+// Each store is one JSON array under "<db>/<store>"
+function createKeyValueBackend(storage, kind) {
+    const storeKey = (store) => `${DB_NAME}/${store}`;
+    const versionKey = `${DB_NAME}/version`;
+
+    const keyPaths = {};
+    for (const migration of MIGRATIONS) {
+        for (const [name, { keyPath }] of Object.entries(migration.stores || {})) {
+            keyPaths[name] = keyPath;
+        }
+    }
+
+    const read = (store) => JSON.parse(storage.getItem(storeKey(store)) || '[]');
+    const writeAll = (store, records) => storage.setItem(storeKey(store), JSON.stringify(records));
+    const keyOf = (store, record) => record[keyPaths[store]];
+
+    const storedVersion = Number(storage.getItem(versionKey) || 0);
+    for (const migration of getPendingMigrations(storedVersion)) {
+        for (const name of Object.keys(migration.stores || {})) {
+            if (storage.getItem(storeKey(name)) === null) writeAll(name, []);
+        }
+        for (const [name, transform] of Object.entries(migration.transform || {})) {
+            writeAll(name, read(name).map(transform));
+        }
+    }
+    storage.setItem(versionKey, String(SCHEMA_VERSION));
+
+    return {
+        kind,
+        get: async (store, key) => read(store).find(record => keyOf(store, record) === key),
+        getAll: async (store) => read(store),
+        put: async (store, record) => {
+            const key = keyOf(store, record);
+            writeAll(store, [...read(store).filter(existing => keyOf(store, existing) !== key), record]);
+        },
+        delete: async (store, key) => {
+            writeAll(store, read(store).filter(record => keyOf(store, record) !== key));
+        },
+        clear: async (store) => writeAll(store, [])
+    };
+}
+
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+// --- Open ---
+export async function openStorage() {
+    try {
+        return await openIndexedDB();
+    } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+    try {
+        // Accessing localStorage itself throws when storage is blocked
+        return createKeyValueBackend(window.localStorage, 'localStorage');
+    } catch (error) {
+        console.warn('localStorage unavailable, data will only last this session:', error);
+    }
+    return createKeyValueBackend(createMemoryStorage(), 'memory');
+}
@@ -0,0 +1,61 @@
+/**
+ * ============================================================================
+ * FACT LIBRARY
+ * ============================================================================
+ * Every fact the app has generated, with its source and timestamp, plus the
+ * user's favourites. Kept in storage (see db.js) so the education panel
+ * keeps its accumulated library across reloads and offline. Facts are keyed
+ * by lower-cased title, so regenerating the same fact overwrites it; curated
+ * facts carry a fixed id instead, so it survives translating the title.
+ * ============================================================================
+ */
+
+export const getFactId = (fact) => fact.id || fact.title.toLowerCase();
+
+export function createFactLibrary(storage) {
+    // --- Facts ---
+    function saveFact(fact, topic = null) {
+        return storage.put('facts', {
+            ...fact,
+            id: getFactId(fact),
+            topic: topic ? topic.toLowerCase() : null,
+            source: fact.source || 'Unknown',
+            locale: fact.locale || 'en',
+            timestamp: fact.timestamp || new Date().toISOString()
+        });
+    }
+
+    // Newest first, like facts unshifted into the panel
+    async function getFacts() {
+        const facts = await storage.getAll('facts');
+        return facts.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    async function findByTopic(topic) {
+        const facts = await storage.getAll('facts');
+        return facts.filter(fact => fact.topic === topic.toLowerCase());
+    }
+
+    function clear() {
+        return storage.clear('facts');
+    }
+
+    // --- Favourites ---
+    async function getFavouriteIds() {
+        const favourites = await storage.getAll('favourites');
+        return new Set(favourites.map(favourite => favourite.id));
+    }
+
+    // Returns whether the fact is a favourite afterwards
+    async function toggleFavourite(fact) {
+        const id = getFactId(fact);
+        if (await storage.get('favourites', id)) {
+            await storage.delete('favourites', id);
+            return false;
+        }
+        await storage.put('favourites', { id, title: fact.title, addedAt: new Date().toISOString() });
+        return true;
+    }
+
+    return { saveFact, getFacts, findByTopic, clear, getFavouriteIds, toggleFavourite };
+}
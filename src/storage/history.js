@@ -0,0 +1,39 @@
+/**
+ * ============================================================================
+ * VIEWING HISTORY
+ * ============================================================================
+ * Which facts the user has read, when they last saw each one and how often.
+ * One record per fact, so the history stays small however long it is used.
+ * ============================================================================
+ */
+
+import { getFactId } from './fact-library.js';
+
+export function createViewHistory(storage, { limit = 200 } = {}) {
+    async function recordView(fact) {
+        const id = getFactId(fact);
+        const previous = await storage.get('history', id);
+        await storage.put('history', {
+            id,
+            title: fact.title,
+            views: (previous?.views || 0) + 1,
+            viewedAt: new Date().toISOString()
+        });
+    }
+
+    // Most recent first; the oldest entries beyond the limit are pruned
+    async function getRecent(count = limit) {
+        const entries = await storage.getAll('history');
+        entries.sort((a, b) => b.viewedAt.localeCompare(a.viewedAt));
+        for (const stale of entries.slice(limit)) {
+            await storage.delete('history', stale.id);
+        }
+        return entries.slice(0, Math.min(count, limit));
+    }
+
+    return {
+        recordView,
+        getRecent,
+        clear: () => storage.clear('history')
+    };
+}
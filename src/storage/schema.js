@@ -0,0 +1,54 @@
+/**
+ * ============================================================================
+ * STORAGE SCHEMA
+ * ============================================================================
+ * Versioned layout of the persisted user data. Each migration lists the
+ * stores it creates and optional per-record transforms for existing data;
+ * both storage backends (see db.js) replay every migration newer than the
+ * stored version, in order. Add a new entry - never edit a shipped one.
+ * ============================================================================
+ */
+
+export const DB_NAME = 'into-the-unknown';
+
+export const MIGRATIONS = [
+    {
+        // Offline fact library
+        version: 1,
+        stores: {
+            facts: { keyPath: 'id', indexes: ['topic', 'timestamp'] }
+        }
+    },
+    {
+        // Viewing history, favourites and GUI settings
+        version: 2,
+        stores: {
+            history: { keyPath: 'id', indexes: ['viewedAt'] },
+            favourites: { keyPath: 'id' },
+            settings: { keyPath: 'key' }
+        },
+        transform: {
+            // v1 facts could be saved without provenance
+            facts: (fact) => ({
+                ...fact,
+                source: fact.source || 'Unknown',
+                timestamp: fact.timestamp || new Date(0).toISOString()
+            })
+        }
+    },
+    {
+        // Facts tagged with the language they are written in
+        version: 3,
+        stores: {},
+        transform: {
+            // Everything before v3 was generated in English
+            facts: (fact) => ({ ...fact, locale: fact.locale || 'en' })
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function getPendingMigrations(fromVersion) {
+    return MIGRATIONS.filter(migration => migration.version > fromVersion);
+}
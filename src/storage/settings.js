@@ -0,0 +1,34 @@
+/**
+ * ============================================================================
+ * SETTINGS
+ * ============================================================================
+ * GUI settings that survive a reload. Values are read synchronously after
+ * load() so the GUI can be built with them; set() updates the in-memory copy
+ * immediately and persists in the background.
+ * ============================================================================
+ */
+
+export function createSettings(storage, defaults = {}) {
+    const values = { ...defaults };
+
+    async function load() {
+        const records = await storage.getAll('settings');
+        for (const { key, value } of records) {
+            if (key in defaults) values[key] = value;
+        }
+        return { ...values };
+    }
+
+    // The returned promise settles once saved, for callers that reload after
+    function set(key, value) {
+        values[key] = value;
+        return storage.put('settings', { key, value })
+            .catch(error => console.warn(`Could not save setting "${key}":`, error));
+    }
+
+    return {
+        load,
+        set,
+        get: (key) => values[key]
+    };
+}
@@ -0,0 +1,32 @@
+/**
+ * ============================================================================
+ * EVENT EMITTER
+ * ============================================================================
+ * Minimal publish/subscribe helper for modules that broadcast state changes.
+ * ============================================================================
+ */
+
+export function createEmitter() {
+    const listeners = new Map();
+
+    // Returns an unsubscribe function
+    function on(event, handler) {
+        if (!listeners.has(event)) listeners.set(event, new Set());
+        listeners.get(event).add(handler);
+        return () => listeners.get(event).delete(handler);
+    }
+
+    function emit(event, payload) {
+        const handlers = listeners.get(event);
+        if (!handlers) return;
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.warn(`Listener for "${event}" failed:`, error);
+            }
+        }
+    }
+
+    return { on, emit };
+}
@@ -0,0 +1,134 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER - Offline Support
+ * ============================================================================
+ * Precaches the app shell and the vendored three.js / lil-gui modules so the
+ * visualisation runs without a network. Same-origin requests are served from
+ * the cache and refreshed in the background; the fact API is cross-origin
+ * and left alone (generated facts live in IndexedDB, see
+ * src/storage/fact-library.js).
+ *
+ * Bump CACHE_VERSION whenever APP_SHELL changes.
+ * ============================================================================
+ */
+
+const CACHE_VERSION = 'v10';
+const CACHE_NAME = `into-the-unknown-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'main.js',
+    'manifest.webmanifest',
+    'assets/icons/icon.svg',
+    'assets/timelines/singularity-journey.json',
+
+    // --- Vendored Modules ---
+    'vendor/three@0.160.0/build/three.module.min.js',
+    'vendor/three@0.160.0/examples/jsm/webxr/VRButton.js',
+    'vendor/lil-gui@0.19.1/dist/lil-gui.esm.min.js',
+
+    // --- App Modules ---
+    'src/ai/circuit-breaker.js',
+    'src/ai/fact-pipeline.js',
+    'src/ai/fact-validation.js',
+    'src/ai/providers/http.js',
+    'src/ai/providers/index.js',
+    'src/ai/providers/local.js',
+    'src/ai/providers/openai-compatible.js',
+    'src/ai/providers/serverless.js',
+    'src/ai/static-facts.js',
+    'src/ai/topic-scheduler.js',
+    'src/animation/clock.js',
+    'src/animation/easing.js',
+    'src/animation/timeline.js',
+    'src/animation/transition-machine.js',
+    'src/audio/analyser.js',
+    'src/audio/context.js',
+    'src/audio/narrator.js',
+    'src/audio/soundscape.js',
+    'src/export/clip-exporter.js',
+    'src/export/download.js',
+    'src/export/still-capture.js',
+    'src/export/webm-muxer.js',
+    'src/export/zip.js',
+    'src/i18n/index.js',
+    'src/i18n/locales/en.js',
+    'src/i18n/locales/id.js',
+    'src/input/flight-controls.js',
+    'src/profiler/frame-profiler.js',
+    'src/profiler/overlay.js',
+    'src/quiz/quiz.js',
+    'src/render/adaptive-resolution.js',
+    'src/render/quality.js',
+    'src/render/scene-materials.js',
+    'src/scenes/atmosphere.js',
+    'src/scenes/compose.js',
+    'src/scenes/index.js',
+    'src/scenes/registry.js',
+    'src/scenes/singularity.js',
+    'src/scenes/tunnel.js',
+    'src/scenes/warp.js',
+    'src/storage/db.js',
+    'src/storage/fact-library.js',
+    'src/storage/history.js',
+    'src/storage/schema.js',
+    'src/storage/settings.js',
+    'src/utils/emitter.js'
+];
+
+// --- Install: precache the shell ---
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// --- Activate: drop caches from older versions ---
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('into-the-unknown-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// --- Fetch: stale-while-revalidate for same-origin GETs ---
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            // Query strings (cache busting) don't create separate entries
+            const cached = await cache.match(request, { ignoreSearch: true });
+            const refresh = fetch(request)
+                .then((response) => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => null);
+
+            if (cached) {
+                event.waitUntil(refresh);
+                return cached;
+            }
+
+            const response = await refresh;
+            if (response) return response;
+
+            // Offline navigation to a deep link: fall back to the app shell
+            if (request.mode === 'navigate') {
+                return cache.match('index.html');
+            }
+            return Response.error();
+        })
+    );
+});
@@ -0,0 +1,102 @@
+/**
+ * Circuit breaker state changes and backoff, on a fake clock.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeBackoff, createCircuitBreaker } from '../src/ai/circuit-breaker.js';
+import { parseRetryAfter } from '../src/ai/providers/http.js';
+
+function createTestBreaker(options = {}) {
+    const clock = { time: 0 };
+    const breaker = createCircuitBreaker({
+        failureThreshold: 2,
+        baseDelay: 1000,
+        maxDelay: 8000,
+        jitter: 0,
+        now: () => clock.time,
+        ...options
+    });
+    return { breaker, clock };
+}
+
+test('backoff doubles per attempt up to the maximum', () => {
+    const delays = [0, 1, 2, 3, 4].map(attempt => computeBackoff(attempt, { base: 1000, max: 8000, jitter: 0 }));
+    assert.deepEqual(delays, [1000, 2000, 4000, 8000, 8000]);
+});
+
+test('jitter spreads the delay around the nominal value', () => {
+    const options = { base: 1000, max: 60000, jitter: 0.5 };
+    assert.equal(computeBackoff(1, { ...options, random: () => 0 }), 1000);
+    assert.equal(computeBackoff(1, { ...options, random: () => 0.5 }), 2000);
+    assert.equal(computeBackoff(1, { ...options, random: () => 1 }), 3000);
+});
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('120', now), 120000);
+    assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter(null, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('opens after the failure threshold and refuses requests', () => {
+    const { breaker } = createTestBreaker();
+    const changes = [];
+    breaker.on('statechange', ({ state }) => changes.push(state));
+
+    breaker.recordFailure();
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordFailure();
+
+    assert.equal(breaker.getState().state, 'open');
+    assert.equal(breaker.getState().nextRetryAt, 1000);
+    assert.equal(breaker.canRequest(), false);
+    assert.deepEqual(changes, ['open']);
+});
+
+test('a Retry-After opens immediately and is never undercut', () => {
+    const { breaker } = createTestBreaker();
+    breaker.recordFailure({ retryAfter: 30000 });
+    assert.equal(breaker.getState().state, 'open');
+    assert.equal(breaker.getState().nextRetryAt, 30000);
+});
+
+test('half-open allows a single trial', () => {
+    const { breaker, clock } = createTestBreaker();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.time = 1000;
+
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.getState().state, 'half-open');
+    assert.equal(breaker.canRequest(), false, 'second caller waits for the trial');
+
+    breaker.recordCancelled();
+    assert.equal(breaker.canRequest(), true, 'cancelled trial frees the slot');
+
+    breaker.recordSuccess();
+    assert.equal(breaker.getState().state, 'closed');
+    assert.equal(breaker.getState().failures, 0);
+});
+
+test('a failed trial reopens with a doubled delay', () => {
+    const { breaker, clock } = createTestBreaker();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.time = 1000;
+    breaker.canRequest();
+    breaker.recordFailure();
+
+    assert.equal(breaker.getState().state, 'open');
+    assert.equal(breaker.getState().nextRetryAt, 1000 + 2000);
+});
+
+test('reset closes the circuit', () => {
+    const { breaker } = createTestBreaker();
+    breaker.recordFailure({ retryAfter: 60000 });
+    breaker.reset();
+    assert.equal(breaker.getState().state, 'closed');
+    assert.equal(breaker.canRequest(), true);
+});
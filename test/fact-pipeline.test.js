@@ -0,0 +1,284 @@
+/**
+ * Fact pipeline against the mock fact server: provider replies, fallbacks,
+ * retries, the circuit breaker, error counting and the topic cache. Run
+ * with `npm test`.
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFactPipeline } from '../src/ai/fact-pipeline.js';
+import { getDefaultProviderOptions } from '../src/ai/providers/index.js';
+import { MOCK_FACT, createMockFactServer } from '../tools/mock-fact-server.js';
+
+const TOPIC = 'neutron stars and pulsars';
+const CURATED_SOURCE = 'Curated Content';
+const silent = { log() {}, warn() {} };
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Same shape as AI_CONFIG in main.js, with timings short enough for tests
+function createTestConfig(endpoint) {
+    const providerOptions = getDefaultProviderOptions();
+    providerOptions.serverless.endpoint = endpoint;
+    return {
+        provider: 'serverless',
+        providerOptions,
+        mode: 'hybrid',
+        apiStatus: {
+            lastAttempt: null,
+            isWorking: false,
+            errorCount: 0,
+            usingFallback: false,
+            providerAvailable: false,
+            lastRejection: null
+        },
+        rateLimit: { maxCallsPerMinute: 20, callHistory: [], lastReset: Date.now() },
+        timeout: 150,
+        retryAttempts: 2,
+        retryDelay: 10,
+        circuitBreaker: { failureThreshold: 3, baseDelay: 40, maxDelay: 1000, jitter: 0 },
+        cosmicTopics: [TOPIC]
+    };
+}
+
+describe('fact pipeline', () => {
+    let server;
+    let endpoint;
+    let config;
+    let stored;
+    let retries;
+    let pipeline;
+
+    before(async () => {
+        server = createMockFactServer({ delay: 400 });
+        endpoint = await server.listen();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        server.setBehaviour('success');
+        server.requests.length = 0;
+        config = createTestConfig(endpoint);
+        stored = [];
+        retries = [];
+        pipeline = createFactPipeline(config, {
+            onFact: (fact, topic) => stored.push({ fact, topic }),
+            onRetry: (attempt) => retries.push(attempt),
+            logger: silent
+        });
+    });
+
+    test('returns and caches a provider fact', async () => {
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.title, MOCK_FACT.title);
+        assert.equal(fact.source, 'Serverless API (mock-model)');
+        assert.equal(fact.provider, 'serverless');
+        assert.equal(config.apiStatus.errorCount, 0);
+        assert.equal(config.apiStatus.isWorking, true);
+        assert.deepEqual(stored.map(entry => entry.topic), [TOPIC]);
+
+        const again = await pipeline.generateFact(TOPIC);
+        assert.equal(again, fact);
+        assert.equal(server.requests.length, 1, 'second request is served from the cache');
+    });
+
+    test('caches each variant of a topic separately', async () => {
+        await pipeline.generateFact(TOPIC, { variant: 0 });
+        await pipeline.generateFact(TOPIC, { variant: 1 });
+        await pipeline.generateFact(TOPIC, { variant: 1 });
+
+        assert.equal(server.requests.length, 2);
+        assert.deepEqual(server.requests.map(entry => entry.body.variant), [0, 1]);
+        assert.match(server.requests[1].body.prompt, /Focus on/);
+        assert.deepEqual(stored.map(entry => entry.fact.variant), [0, 1]);
+    });
+
+    test('asks for facts in the chosen language and caches them per locale', async () => {
+        const english = await pipeline.generateFact(TOPIC);
+        const indonesian = await pipeline.generateFact(TOPIC, { locale: 'id' });
+
+        assert.equal(server.requests.length, 2);
+        assert.equal(server.requests[1].body.locale, 'id');
+        assert.doesNotMatch(server.requests[0].body.prompt, /Indonesian/);
+        assert.match(server.requests[1].body.prompt, /in Indonesian/);
+        assert.deepEqual([english.locale, indonesian.locale], ['en', 'id']);
+        assert.ok(pipeline.cache.has(`${TOPIC}@id`));
+    });
+
+    test('streams partial facts before the final one', async () => {
+        const partials = [];
+        const fact = await pipeline.generateFact(TOPIC, { onPartial: partial => partials.push(partial) });
+
+        assert.equal(server.requests[0].body.stream, true);
+        assert.ok(partials.length > 1);
+        assert.ok(partials.some(partial => partial.title && !partial.physics), 'sections arrive incrementally');
+        assert.equal(fact.physics, MOCK_FACT.physics);
+    });
+
+    test('uses curated content when the server asks for a fallback', async () => {
+        server.setBehaviour('fallback');
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.source, CURATED_SOURCE);
+        assert.equal(config.apiStatus.errorCount, 1);
+        assert.equal(config.apiStatus.usingFallback, true);
+        assert.equal(stored.length, 0);
+        assert.equal(pipeline.cache.has(TOPIC), false, 'curated facts are not cached');
+    });
+
+    test('falls back to curated content in the chosen language', async () => {
+        server.setBehaviour('fallback');
+        const fact = await pipeline.generateFact(TOPIC, { locale: 'id' });
+
+        assert.equal(fact.title, 'Bintang Neutron');
+        assert.equal(fact.locale, 'id');
+    });
+
+    test('opens the circuit for as long as Retry-After asks', async () => {
+        server.setBehaviour('rate-limit');
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.source, CURATED_SOURCE);
+        assert.equal(server.requests.length, 1, 'rate limited requests are not retried');
+        assert.equal(config.apiStatus.errorCount, 1);
+
+        const circuit = pipeline.breaker.getState();
+        assert.equal(circuit.state, 'open');
+        assert.ok(circuit.nextRetryAt - Date.now() > 29000, 'mock server sends Retry-After: 30');
+
+        await pipeline.generateFact('dark matter');
+        assert.equal(server.requests.length, 1, 'open circuit sends nothing');
+    });
+
+    test('retries server errors, then falls back', async () => {
+        server.setBehaviour('server-error');
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.source, CURATED_SOURCE);
+        assert.equal(server.requests.length, config.retryAttempts);
+        assert.equal(config.apiStatus.errorCount, config.retryAttempts);
+    });
+
+    test('recovers when a retry succeeds and resets the error count', async () => {
+        server.queueBehaviours('server-error');
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.title, MOCK_FACT.title);
+        assert.equal(server.requests.length, 2);
+        assert.equal(config.apiStatus.errorCount, 0);
+    });
+
+    test('times out slow responses and retries them', async () => {
+        server.setBehaviour('slow');
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.source, CURATED_SOURCE);
+        assert.deepEqual(retries, [1]);
+        assert.equal(server.requests.length, config.retryAttempts);
+        assert.equal(config.apiStatus.errorCount, config.retryAttempts);
+    });
+
+    test('rejects malformed facts with a reason', async () => {
+        server.setBehaviour('malformed');
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.source, CURATED_SOURCE);
+        assert.equal(server.requests.length, 1, 'validation failures are not retried');
+        assert.match(config.apiStatus.lastRejection, /"title" is too short/, 'markup is stripped before checking');
+    });
+
+    test('opens the circuit after repeated failures', async () => {
+        server.setBehaviour('server-error');
+        await pipeline.generateFact(TOPIC);
+        assert.equal(pipeline.breaker.getState().state, 'closed');
+
+        // Third failure opens it, which also cancels that call's retry
+        await pipeline.generateFact('dark matter');
+        assert.equal(pipeline.breaker.getState().state, 'open');
+        assert.equal(server.requests.length, 3);
+
+        const fact = await pipeline.generateFact('exoplanets');
+        assert.equal(fact.source, CURATED_SOURCE);
+        assert.equal(server.requests.length, 3);
+    });
+
+    test('lets one trial through after the backoff and closes on success', async () => {
+        config.retryAttempts = 1;
+        server.setBehaviour('server-error');
+        for (const topic of ['a', 'b', 'c']) await pipeline.generateFact(topic);
+        assert.equal(pipeline.breaker.getState().state, 'open');
+
+        await wait(60);
+        server.setBehaviour('success');
+        const fact = await pipeline.generateFact(TOPIC);
+
+        assert.equal(fact.title, MOCK_FACT.title);
+        assert.equal(pipeline.breaker.getState().state, 'closed');
+        assert.equal(config.apiStatus.errorCount, 0);
+    });
+
+    test('probes the provider by itself while open', async () => {
+        config.retryAttempts = 1;
+        server.setBehaviour('server-error');
+        for (const topic of ['a', 'b', 'c']) await pipeline.generateFact(topic);
+        const requestsWhenOpened = server.requests.length;
+
+        await wait(100);
+        assert.equal(pipeline.breaker.getState().state, 'half-open', 'probe found the server reachable');
+        assert.equal(server.requests.length, requestsWhenOpened, 'probing does not generate facts');
+    });
+
+    test('reopens with a longer delay when the trial fails', async () => {
+        config.retryAttempts = 1;
+        server.setBehaviour('server-error');
+        for (const topic of ['a', 'b', 'c']) await pipeline.generateFact(topic);
+        await wait(60);
+
+        const before = Date.now();
+        await pipeline.generateFact('d');
+        const circuit = pipeline.breaker.getState();
+        assert.equal(circuit.state, 'open');
+        assert.ok(circuit.nextRetryAt - before >= 80, 'second open waits twice the base delay');
+    });
+
+    test('falls back without a request when rate limited locally', async () => {
+        config.rateLimit.callHistory = Array(config.rateLimit.maxCallsPerMinute).fill(Date.now());
+        assert.equal(pipeline.checkRateLimit(), false);
+
+        const fact = await pipeline.generateFact(TOPIC);
+        assert.equal(fact.source, CURATED_SOURCE);
+        assert.equal(server.requests.length, 0);
+    });
+
+    test('forgets calls older than a minute', () => {
+        config.rateLimit.callHistory = Array(config.rateLimit.maxCallsPerMinute).fill(Date.now() - 61000);
+        assert.equal(pipeline.checkRateLimit(), true);
+        assert.equal(config.rateLimit.callHistory.length, 0);
+    });
+
+    test('resolves to null when cancelled mid-request', async () => {
+        server.setBehaviour('slow');
+        config.timeout = 5000;
+        const request = new AbortController();
+        setTimeout(() => request.abort(new DOMException('Cancelled', 'AbortError')), 50);
+
+        const fact = await pipeline.generateFact(TOPIC, { signal: request.signal });
+        assert.equal(fact, null);
+        assert.equal(config.apiStatus.errorCount, 0, 'cancelling is not a provider error');
+        assert.deepEqual(retries, []);
+    });
+
+    test('serves the offline library without a request', async () => {
+        const libraryFact = { ...MOCK_FACT, title: 'Stored Fact', source: 'Library' };
+        pipeline = createFactPipeline(config, {
+            isOnline: () => false,
+            getOfflineFact: async () => libraryFact,
+            logger: silent
+        });
+
+        assert.equal(await pipeline.generateFact(TOPIC), libraryFact);
+        assert.equal(server.requests.length, 0);
+    });
+});
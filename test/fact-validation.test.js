@@ -0,0 +1,25 @@
+/**
+ * Fact sanitising and parsing of provider replies.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHTML, parseFact, sanitiseText } from '../src/ai/fact-validation.js';
+
+const REPLY = `Title: Neutron Stars
+Content: Neutron stars are < 20 km across yet weigh more than the Sun, and spin > 700 times a second.
+Physics: Neutron degeneracy pressure holds them up against further collapse.`;
+
+test('strips tags and markdown but keeps bare comparisons', () => {
+    assert.equal(sanitiseText('<b>Bright</b> **stars** <!-- note -->shine'), 'Bright stars shine');
+    assert.equal(sanitiseText('Pulsars are < 20 km and > 1.4 solar masses'), 'Pulsars are < 20 km and > 1.4 solar masses');
+});
+
+test('accepts facts with < and > comparisons', () => {
+    const fact = parseFact(REPLY);
+
+    assert.equal(fact.title, 'Neutron Stars');
+    assert.match(fact.content, /< 20 km across yet weigh more than the Sun, and spin > 700/);
+    assert.equal(escapeHTML('< 20 km'), '&lt; 20 km');
+});
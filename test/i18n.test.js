@@ -0,0 +1,53 @@
+/**
+ * Locale detection, string lookup with fallback, and bundle completeness.
+ */
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LOCALES, detectLocale, getFactText, setLocale, t } from '../src/i18n/index.js';
+
+afterEach(() => setLocale('en'));
+
+test('detects the first supported browser language', () => {
+    assert.equal(detectLocale(['id-ID', 'en-US']), 'id');
+    assert.equal(detectLocale(['fr-FR', 'en-GB']), 'en');
+    assert.equal(detectLocale(['fr-FR']), 'en');
+    assert.equal(detectLocale([]), 'en');
+});
+
+test('ignores unknown locales', () => {
+    assert.equal(setLocale('xx'), 'en');
+});
+
+test('fills in placeholders and leaves unknown ones', () => {
+    assert.equal(t('panel.factCount', { index: 2, total: 9 }), '2 / 9 facts');
+    assert.equal(t('panel.factCount', { index: 2 }), '2 / {total} facts');
+});
+
+test('falls back to English, then to the key', () => {
+    setLocale('id');
+    assert.equal(t('panel.generate'), '✨ Buat Fakta');
+
+    const translated = LOCALES.id.strings['panel.refresh'];
+    delete LOCALES.id.strings['panel.refresh'];
+    try {
+        assert.equal(t('panel.refresh'), '🔄 Refresh');
+    } finally {
+        LOCALES.id.strings['panel.refresh'] = translated;
+    }
+    assert.equal(t('no.such.key'), 'no.such.key');
+
+    assert.equal(getFactText('black holes').title, 'Lubang Hitam');
+    assert.equal(getFactText('no such fact'), null);
+});
+
+test('every locale translates every English key', () => {
+    const { en, ...others } = LOCALES;
+    for (const [code, bundle] of Object.entries(others)) {
+        for (const section of ['strings', 'facts', 'fallbackFacts']) {
+            const missing = Object.keys(en[section]).filter(key => !(key in bundle[section]));
+            assert.deepEqual(missing, [], `${code} ${section}`);
+        }
+    }
+});
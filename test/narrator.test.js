@@ -0,0 +1,112 @@
+/**
+ * Narrator sentence splitting and playback, on a fake speechSynthesis.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createNarrator, splitSentences } from '../src/audio/narrator.js';
+
+// Records utterances; finish() ends the one being spoken, cancel() errors it
+// like browsers do
+function createFakeSynth() {
+    const synth = {
+        spoken: [],
+        speaking: null,
+        getVoices: () => [{ name: 'Nova', lang: 'en-GB' }],
+        speak(utterance) {
+            synth.spoken.push(utterance.text);
+            synth.speaking = utterance;
+        },
+        cancel() {
+            const utterance = synth.speaking;
+            synth.speaking = null;
+            utterance?.onerror?.({ error: 'interrupted' });
+        },
+        finish() {
+            const utterance = synth.speaking;
+            synth.speaking = null;
+            utterance.onend();
+        }
+    };
+    return synth;
+}
+
+class FakeUtterance {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+const SECTIONS = [
+    { id: 'title', text: 'Pulsars' },
+    { id: 'content', text: 'They spin 700 times a second. Some keep time to 0.1 microseconds!' }
+];
+
+test('splits text into sentences, keeping decimals whole', () => {
+    assert.deepEqual(splitSentences(SECTIONS[1].text), ['They spin 700 times a second.', 'Some keep time to 0.1 microseconds!']);
+    assert.deepEqual(splitSentences('"Quoted." Next one? Last'), ['"Quoted."', 'Next one?', 'Last']);
+});
+
+test('speaks sections sentence by sentence and reports each one', () => {
+    const synth = createFakeSynth();
+    const narrator = createNarrator({ synth, Utterance: FakeUtterance });
+    const events = [];
+    narrator.on('sentence', ({ section, index }) => events.push(`${section}-${index}`));
+    narrator.on('end', () => events.push('end'));
+
+    narrator.speak(SECTIONS);
+    synth.finish();
+    synth.finish();
+    synth.finish();
+
+    assert.deepEqual(events, ['title-0', 'content-0', 'content-1', 'end']);
+    assert.equal(narrator.getState(), 'idle');
+});
+
+test('pausing re-speaks the interrupted sentence on resume', () => {
+    const synth = createFakeSynth();
+    const narrator = createNarrator({ synth, Utterance: FakeUtterance });
+    const errors = [];
+    narrator.on('error', error => errors.push(error));
+
+    narrator.speak(SECTIONS);
+    synth.finish();
+    assert.equal(narrator.pause(), true);
+    assert.equal(narrator.getState(), 'paused');
+    assert.equal(narrator.resume(), true);
+
+    assert.deepEqual(synth.spoken, ['Pulsars', 'They spin 700 times a second.', 'They spin 700 times a second.']);
+    assert.deepEqual(errors, [], 'our own cancel is not an error');
+});
+
+test('applies the chosen voice and rate', () => {
+    const synth = createFakeSynth();
+    const narrator = createNarrator({ synth, Utterance: FakeUtterance });
+    narrator.setVoice('Nova');
+    narrator.setRate(1.5);
+    narrator.speak(SECTIONS);
+
+    assert.equal(synth.speaking.voice.name, 'Nova');
+    assert.equal(synth.speaking.lang, 'en-GB');
+    assert.equal(synth.speaking.rate, 1.5);
+});
+
+test('uses the language hint until a voice is chosen', () => {
+    const synth = createFakeSynth();
+    const narrator = createNarrator({ synth, Utterance: FakeUtterance });
+    narrator.setLang('id');
+    narrator.speak(SECTIONS);
+    assert.equal(synth.speaking.lang, 'id');
+
+    narrator.setVoice('Nova');
+    synth.finish();
+    assert.equal(synth.speaking.lang, 'en-GB');
+});
+
+test('does nothing without speech synthesis', () => {
+    const narrator = createNarrator({ synth: null, Utterance: null });
+    assert.equal(narrator.isSupported(), false);
+    assert.equal(narrator.speak(SECTIONS), false);
+    assert.deepEqual(narrator.getVoices(), []);
+});
@@ -0,0 +1,86 @@
+/**
+ * Quiz questions from facts, and session scoring.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QUESTION_TYPES, createQuestion, createQuiz, maskTitle } from '../src/quiz/quiz.js';
+
+const FACTS = [
+    { title: 'Black Holes', content: 'Black holes are regions where nothing, not even light, escapes.', physics: 'Escape velocity exceeds the speed of light inside the event horizon.' },
+    { title: 'Wormholes', content: 'Theoretical passages through spacetime.', physics: 'Solutions of general relativity connecting distant regions.' },
+    { title: 'Dark Matter', content: 'Invisible matter detected only through gravity.', physics: 'Galaxy rotation curves need more mass than we can see.' },
+    { title: 'Pulsars', content: 'A pulsar is a spinning neutron star.', physics: 'Beams sweep past Earth once per rotation.' }
+];
+
+// Cycles through fixed values so tests can steer the question type
+const sequence = (...values) => {
+    let i = 0;
+    return () => values[i++ % values.length];
+};
+
+test('masks the title out of the description', () => {
+    assert.equal(maskTitle(FACTS[0].content, 'Black Holes'), '_____ _____ are regions where nothing, not even light, escapes.');
+    assert.equal(maskTitle(FACTS[3].content, 'Pulsars'), 'A _____ is a spinning neutron star.');
+});
+
+test('builds multiple choice questions with the fact among the choices', () => {
+    const question = createQuestion(FACTS[0], FACTS, { random: sequence(0.9, 0.1, 0.5) });
+
+    assert.equal(question.type, QUESTION_TYPES.MULTIPLE_CHOICE);
+    assert.equal(question.choices.length, 4);
+    assert.equal(new Set(question.choices).size, 4);
+    assert.equal(question.choices[question.answer], 'Black Holes');
+    assert.equal(question.explanation, FACTS[0].physics);
+    assert.doesNotMatch(question.statement, /black hole/i);
+});
+
+test('falls back to true / false with too few other facts', () => {
+    const question = createQuestion(FACTS[1], FACTS.slice(0, 2), { random: sequence(0.9, 0.9, 0) });
+
+    assert.equal(question.type, QUESTION_TYPES.TRUE_FALSE);
+    assert.deepEqual(question.choices, ['True', 'False']);
+    assert.equal(question.prompt, 'True or false: this describes Black Holes.');
+    assert.equal(question.answer, 1);
+});
+
+test('words questions with the given text', () => {
+    const text = { whichFact: 'Milik yang mana?', trueOrFalse: 'Benar atau salah: {title}.', true: 'Benar', false: 'Salah' };
+    const question = createQuestion(FACTS[1], FACTS.slice(0, 2), { random: sequence(0.1), text });
+
+    assert.equal(question.prompt, 'Benar atau salah: Wormholes.');
+    assert.deepEqual(question.choices, ['Benar', 'Salah']);
+});
+
+test('has no question for a fact with nothing to compare against', () => {
+    assert.equal(createQuestion(FACTS[0], [FACTS[0]]), null);
+});
+
+test('tracks score, streaks and the best streak', () => {
+    const quiz = createQuiz({ getFacts: () => FACTS });
+    const answers = [];
+    quiz.on('answer', ({ correct }) => answers.push(correct));
+
+    for (const correct of [true, true, false, true]) {
+        const question = quiz.next();
+        const choice = correct ? question.answer : (question.answer + 1) % question.choices.length;
+        quiz.answer(choice);
+    }
+
+    assert.deepEqual(answers, [true, true, false, true]);
+    assert.deepEqual(quiz.getStats(), { score: 3, total: 4, streak: 1, bestStreak: 2 });
+    assert.equal(quiz.answer(0), null, 'a question only counts once');
+
+    quiz.reset();
+    assert.deepEqual(quiz.getStats(), { score: 0, total: 0, streak: 0, bestStreak: 2 });
+    assert.equal(createQuiz({ getFacts: () => FACTS, state: quiz.getState() }).getStats().bestStreak, 2);
+});
+
+test('does not ask about the same fact twice in a row', () => {
+    const quiz = createQuiz({ getFacts: () => FACTS, recentWindow: 2 });
+    const asked = Array.from({ length: 30 }, () => quiz.next().factTitle);
+    for (let i = 1; i < asked.length; i++) {
+        assert.notEqual(asked[i], asked[i - 1]);
+    }
+});
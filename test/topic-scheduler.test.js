@@ -0,0 +1,80 @@
+/**
+ * Topic scheduler: curriculum coverage, repeat avoidance, variants and
+ * pinned syllabi.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTopicScheduler } from '../src/ai/topic-scheduler.js';
+
+const TOPICS = ['Black holes', 'neutron stars', 'quasars', 'dark matter', 'black  holes'];
+
+test('de-duplicates the curriculum', () => {
+    const scheduler = createTopicScheduler(TOPICS);
+    assert.deepEqual(scheduler.getTopics(), ['black holes', 'neutron stars', 'quasars', 'dark matter']);
+});
+
+test('covers every topic before repeating one', () => {
+    const scheduler = createTopicScheduler(TOPICS);
+    const firstRound = new Set([1, 2, 3, 4].map(() => scheduler.next().topic));
+
+    assert.equal(firstRound.size, 4);
+    assert.deepEqual(scheduler.getCoverage(), { covered: 4, total: 4, uncovered: [] });
+});
+
+test('avoids recently shown topics', () => {
+    const scheduler = createTopicScheduler(TOPICS, { recentWindow: 3 });
+    const shown = Array.from({ length: 40 }, () => scheduler.next().topic);
+    for (let i = 1; i < shown.length; i++) {
+        assert.ok(!shown.slice(Math.max(0, i - 3), i).includes(shown[i]), `"${shown[i]}" repeated within 3 facts`);
+    }
+});
+
+test('moves through variants on each visit to a topic', () => {
+    const scheduler = createTopicScheduler(TOPICS, { variantsPerTopic: 2 });
+    const variants = [1, 2, 3].map(() => scheduler.visit('Quasars').variant);
+    assert.deepEqual(variants, [0, 1, 0]);
+});
+
+test('follows a pinned syllabus in order, then resumes', () => {
+    const scheduler = createTopicScheduler(TOPICS);
+    const events = [];
+    scheduler.on('syllabusprogress', ({ position, total }) => events.push(`${position}/${total}`));
+    scheduler.on('syllabuscomplete', () => events.push('complete'));
+
+    scheduler.setSyllabus(['Quasars', 'Wormholes']);
+    assert.equal(scheduler.next().topic, 'quasars');
+    assert.equal(scheduler.next().topic, 'wormholes', 'syllabus topics need not be in the curriculum');
+    assert.deepEqual(events, ['1/2', '2/2', 'complete']);
+    assert.equal(scheduler.getSyllabus(), null);
+    assert.ok(TOPICS.map(topic => topic.toLowerCase()).includes(scheduler.next().topic));
+});
+
+test('restores coverage and syllabus from saved state', () => {
+    const scheduler = createTopicScheduler(TOPICS);
+    scheduler.next();
+    scheduler.setSyllabus(['dark matter', 'quasars']);
+    scheduler.next();
+
+    const restored = createTopicScheduler(TOPICS, { state: JSON.parse(JSON.stringify(scheduler.getState())) });
+    assert.equal(restored.getCoverage().covered, scheduler.getCoverage().covered);
+    assert.equal(restored.next().topic, 'quasars');
+});
+
+test('biases free picks toward preferred topics', () => {
+    const scheduler = createTopicScheduler(TOPICS, { recentWindow: 2 });
+    const prefer = ['Quasars', 'Wormholes'];
+    const shown = Array.from({ length: 200 }, () => scheduler.next({ prefer }).topic);
+    const preferred = shown.filter(topic => topic === 'quasars' || topic === 'wormholes').length;
+
+    assert.ok(preferred > 120 && preferred < 190, `${preferred} of 200 picks were preferred`);
+    assert.equal(scheduler.getCoverage().covered, 4, 'the rest of the curriculum keeps moving');
+});
+
+test('keeps a pinned syllabus ahead of preferred topics', () => {
+    const scheduler = createTopicScheduler(TOPICS, { random: () => 0 });
+    scheduler.setSyllabus(['dark matter']);
+    assert.equal(scheduler.next({ prefer: ['wormholes'] }).topic, 'dark matter');
+    assert.equal(scheduler.next({ prefer: ['wormholes'] }).topic, 'wormholes');
+});
@@ -0,0 +1,48 @@
+/**
+ * Transition state machine: stepping through a transformation and reversing it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TRANSITION_STATES, createTransitionMachine } from '../src/animation/transition-machine.js';
+
+const createMachine = () => {
+    const uniforms = { interstellar_mix: { value: 0.0 }, transition_progress: { value: 0.0 } };
+    const machine = createTransitionMachine({ uniforms, durations: { warp: 100, crossfade: 100, hold: 100 } });
+    return { machine, uniforms };
+};
+
+test('lands on the destination and reports the scene change', () => {
+    const { machine } = createMachine();
+    const changes = [];
+    machine.on('scenechange', (event) => changes.push(event));
+
+    machine.start(2);
+    for (let i = 0; i < 10; i++) machine.update(50);
+
+    assert.equal(machine.getState(), TRANSITION_STATES.IDLE);
+    assert.equal(machine.getScene(), 2);
+    assert.deepEqual(changes, [{ scene: 2, previous: 0 }]);
+});
+
+test('reversing mid-crossfade swaps the ends and reports the scene change', () => {
+    const { machine, uniforms } = createMachine();
+    const changes = [];
+    machine.on('scenechange', (event) => changes.push(event));
+
+    machine.start(1);
+    machine.update(100);
+    machine.update(25);
+    assert.equal(machine.getState(), TRANSITION_STATES.CROSSFADING);
+
+    machine.reverse();
+    assert.equal(machine.getScene(), 1);
+    assert.equal(uniforms.transition_progress.value, 0.75);
+    assert.deepEqual(changes, [{ scene: 1, previous: 0 }]);
+
+    for (let i = 0; i < 10; i++) machine.update(50);
+    assert.equal(machine.getState(), TRANSITION_STATES.IDLE);
+    assert.equal(machine.getScene(), 0);
+    assert.deepEqual(changes.at(-1), { scene: 0, previous: 1 });
+});
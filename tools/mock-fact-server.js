@@ -0,0 +1,175 @@
+/**
+ * ============================================================================
+ * MOCK FACT SERVER
+ * ============================================================================
+ * Local stand-in for the serverless /api/generate-fact endpoint, for the
+ * tests in test/ and for trying failure handling in the browser without
+ * touching the real deployment:
+ *
+ *   npm run mock-server -- --port=8787 --behaviour=slow --delay=5000
+ *
+ * then set the Serverless API endpoint in the AI Backend GUI folder to
+ * http://localhost:8787/api/generate-fact. A ?behaviour= query parameter on
+ * the endpoint URL overrides the server's behaviour per request.
+ *
+ * Behaviours:
+ *   success       a valid fact (streamed as SSE when asked to stream)
+ *   rate-limit    429 with a Retry-After header
+ *   server-error  500
+ *   slow          a valid fact, but only after `delay` ms
+ *   malformed     200 with a fact that fails validation
+ *   fallback      { success: false, fallback: true }
+ * ============================================================================
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+export const BEHAVIOURS = ['success', 'rate-limit', 'server-error', 'slow', 'malformed', 'fallback'];
+
+export const MOCK_FACT = {
+    title: 'Pulsar Timekeepers',
+    content: 'Millisecond pulsars spin hundreds of times per second with such regularity that they rival atomic clocks, letting astronomers time their pulses to within a millionth of a second over decades.',
+    physics: 'Conservation of angular momentum spins the collapsed core up, and its enormous moment of inertia keeps the rotation almost perfectly steady.'
+};
+
+const MOCK_METADATA = { model: 'mock-model', tokens_used: 42 };
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Access-Control-Expose-Headers': 'Retry-After' // Readable cross-origin
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function sendJSON(response, status, body, headers = {}) {
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+// Same reply as sendJSON's success body, as { text } deltas plus a final event
+async function sendFactStream(response) {
+    response.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const text = `Title: ${MOCK_FACT.title}\nContent: ${MOCK_FACT.content}\nPhysics: ${MOCK_FACT.physics}`;
+    for (const chunk of text.match(/[\s\S]{1,24}/g)) {
+        if (response.destroyed) return;
+        response.write(`data: ${JSON.stringify({ text: chunk })}\n\n`);
+        await wait(5);
+    }
+    response.end(`data: ${JSON.stringify({ success: true, metadata: MOCK_METADATA })}\n\n`);
+}
+
+async function readBody(request) {
+    let body = '';
+    for await (const chunk of request) body += chunk;
+    try {
+        return JSON.parse(body || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+// options: { behaviour, delay (ms, for 'slow'), retryAfter (s, for 'rate-limit') }
+export function createMockFactServer({ behaviour = 'success', delay = 2000, retryAfter = 30 } = {}) {
+    const queued = [];  // One-off behaviours, used before the default
+    const requests = []; // { behaviour, body } per generate request
+
+    async function handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS);
+            response.end();
+            return;
+        }
+        if (request.method !== 'POST' || url.pathname !== '/api/generate-fact') {
+            sendJSON(response, 404, { success: false, error: 'Not found' });
+            return;
+        }
+
+        const body = await readBody(request);
+        const current = url.searchParams.get('behaviour') || queued.shift() || behaviour;
+        requests.push({ behaviour: current, body });
+
+        switch (current) {
+            case 'rate-limit':
+                sendJSON(response, 429, { success: false, error: 'Too many requests' }, { 'Retry-After': String(retryAfter) });
+                return;
+            case 'server-error':
+                sendJSON(response, 500, { success: false, error: 'Upstream model failed' });
+                return;
+            case 'malformed':
+                sendJSON(response, 200, { success: true, fact: { title: '<img src=x onerror=alert(1)>', content: 'Too short' }, metadata: MOCK_METADATA });
+                return;
+            case 'fallback':
+                sendJSON(response, 200, { success: false, fallback: true, debug: 'mock fallback' });
+                return;
+            case 'slow':
+                await wait(delay);
+                if (response.destroyed) return; // Client gave up
+                break;
+            case 'success':
+                break;
+            default:
+                sendJSON(response, 400, { success: false, error: `Unknown behaviour "${current}"` });
+                return;
+        }
+
+        if (body.stream) {
+            await sendFactStream(response);
+        } else {
+            sendJSON(response, 200, { success: true, fact: MOCK_FACT, metadata: MOCK_METADATA });
+        }
+    }
+
+    const server = http.createServer((request, response) => {
+        handle(request, response).catch((error) => {
+            console.error('Mock fact server error:', error);
+            if (!response.headersSent) sendJSON(response, 500, { success: false, error: error.message });
+        });
+    });
+
+    return {
+        requests,
+        // Resolves to the generate endpoint URL; port 0 picks a free one
+        listen(port = 0) {
+            return new Promise((resolve) => {
+                server.listen(port, '127.0.0.1', () => {
+                    resolve(`http://127.0.0.1:${server.address().port}/api/generate-fact`);
+                });
+            });
+        },
+        setBehaviour(value) {
+            behaviour = value;
+        },
+        // Behaviours for the next requests, in order
+        queueBehaviours(...values) {
+            queued.push(...values);
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// --- Command Line ---
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = Object.fromEntries(process.argv.slice(2)
+        .map(arg => arg.replace(/^--/, '').split('='))
+        .map(([key, value]) => [key, value ?? 'true']));
+    const options = {
+        behaviour: args.behaviour || 'success',
+        delay: Number(args.delay || 2000),
+        retryAfter: Number(args['retry-after'] || 30)
+    };
+    if (!BEHAVIOURS.includes(options.behaviour)) {
+        console.error(`Unknown behaviour "${options.behaviour}", expected one of: ${BEHAVIOURS.join(', ')}`);
+        process.exit(1);
+    }
+
+    const server = createMockFactServer(options);
+    const url = await server.listen(Number(args.port || 8787));
+    console.log(`Mock fact server (${options.behaviour}) listening on ${url}`);
+}